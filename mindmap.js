@@ -3,1128 +3,8748 @@
  * Allows users to create, edit, connect, and manage mindmap nodes
  */
 
-class MindMapCreator {
-    constructor() {
-        // Core application state
-        this.nodes = new Map();
-        this.connections = new Map();
-        this.selectedNodes = new Set();
-        this.selectedConnections = new Set();
-        this.currentTool = 'select';
-        this.isConnecting = false;
-        this.connectionStart = null;
-        this.tempConnection = null;
-        this.isDragging = false;
-        this.dragOffset = { x: 0, y: 0 };
-        this.nodeCounter = 0;
-        this.connectionCounter = 0;
-        this.zoom = 1;
-        this.pan = { x: 0, y: 0 };
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Map file format written by downloads and named saves
+const MINDMAP_FILE_FORMAT = 'mindmap';
+const MINDMAP_FILE_VERSION = 10;
+
+// Rolling recovery snapshot, kept apart from the named saves in 'mindmaps'
+const AUTOSAVE_KEY = 'mindmap-autosave';
+const AUTOSAVE_DELAY = 1000;
+
+// Node label defaults; lines never grow wider than MAX_LINE_WIDTH_EM times the font size
+const DEFAULT_FONT_SIZE = 16;
+const DEFAULT_FONT_FAMILY = "'Inter', sans-serif";
+const MAX_LINE_WIDTH_EM = 14;
+const LINE_HEIGHT = 1.25;
+const MIN_NODE_SIZE = 60;
+
+// Node shapes. Width and height are multiples of the node size; text boxes are
+// the room left for the label, and fit says how getFittedNodeSize() grows the shape
+// around it. Polygon corners are fractions of the width and height.
+const NODE_SHAPES = {
+    circle: { width: 1, height: 1, textWidth: 0.7, fit: 'ellipse', wrapAspect: 1.5 },
+    ellipse: { width: 1.5, height: 1, textWidth: 1.05, fit: 'ellipse', wrapAspect: 2.5 },
+    cloud: { width: 1.6, height: 1.05, textWidth: 1, fit: 'ellipse', inset: 0.8, wrapAspect: 2.5 },
+    square: { width: 1, height: 1, textWidth: 0.9, textHeight: 0.9, fit: 'box', wrapAspect: 1.5 },
+    rectangle: { width: 1.6, height: 0.8, textWidth: 1.44, textHeight: 0.68, fit: 'box', wrapAspect: 4 },
+    pill: { width: 1.8, height: 0.7, textWidth: 1.4, textHeight: 0.6, fit: 'box', wrapAspect: 5 },
+    diamond: {
+        width: 1.4, height: 1, textWidth: 0.66, fit: 'diamond', wrapAspect: 2,
+        points: [[0, -0.5], [0.5, 0], [0, 0.5], [-0.5, 0]]
+    },
+    hexagon: {
+        width: 1.5, height: 1, textWidth: 0.84, textHeight: 0.85, fit: 'box', wrapAspect: 2,
+        points: [[-0.5, 0], [-0.3, -0.5], [0.3, -0.5], [0.5, 0], [0.3, 0.5], [-0.3, 0.5]]
+    },
+    parallelogram: {
+        width: 1.6, height: 0.8, textWidth: 1, textHeight: 0.6, fit: 'box', wrapAspect: 3,
+        points: [[-0.3, -0.5], [0.5, -0.5], [0.3, 0.5], [-0.5, 0.5]]
+    },
+    // Text only: an invisible box that still takes clicks and shows selection
+    text: { width: 1.6, height: 0.8, textWidth: 1.5, textHeight: 0.75, fit: 'box', wrapAspect: 4 }
+};
+
+// Stroke-dasharray for each dash style of connections and node borders
+const LINE_DASHES = { solid: 'none', dashed: '6, 4', dotted: '2, 4' };
+
+// Connection styling: routings and arrowheads
+const CONNECTION_ROUTINGS = ['straight', 'curved', 'elbow'];
+const CONNECTION_ARROWS = ['none', 'end', 'both'];
+// Sideways spacing between connections that join the same two nodes
+const PARALLEL_CONNECTION_GAP = 14;
+// Default node border and corner radius
+const DEFAULT_BORDER_COLOR = 'rgba(255, 255, 255, 0.8)';
+const DEFAULT_BORDER_WIDTH = 2;
+const NODE_CORNER_RADIUS = 8;
+
+// Images embedded in nodes: longest side when first added, resize limits,
+// the largest bitmap stored before it is scaled down, and the gap above the text
+const IMAGE_DEFAULT_SIZE = 160;
+const IMAGE_MIN_SIZE = 24;
+const IMAGE_MAX_SIZE = 800;
+const IMAGE_STORED_MAX = 1024;
+const IMAGE_TEXT_GAP = 8;
+
+// Largest file that can be attached to a node, and how much of the notes a hover preview shows
+const ATTACHMENT_MAX_BYTES = 1024 * 1024;
+const NOTES_PREVIEW_LENGTH = 400;
+
+// Colours handed to new tags in turn, the colour of a tag without one, and the longest tag name
+const TAG_COLORS = ['#D0021B', '#F5A623', '#7ED321', '#4A90E2', '#9013FE', '#50E3C2', '#BD10E0', '#8B572A'];
+const DEFAULT_TAG_COLOR = '#9B9B9B';
+const TAG_NAME_MAX_LENGTH = 40;
+
+// Copied nodes travel as JSON under their own clipboard type, next to a plain-text outline;
+// duplicates are shifted by a fixed offset so they don't hide the originals
+const CLIPBOARD_FORMAT = 'mindmap-clipboard';
+const CLIPBOARD_MIME_TYPE = 'application/x-mindmap+json';
+const DUPLICATE_OFFSET = 30;
+
+// FreeMind/Freeplane built-in icons that have a marker icon here; the first name is written back
+const FREEMIND_ICONS = {
+    'full-1': '🔴',
+    'full-2': '🟡',
+    'full-3': '🟢',
+    messagebox_warning: '⚠️',
+    idea: '💡',
+    button_ok: '✅',
+    help: '❓',
+    yes: '⭐',
+    hourglass: '🚧',
+    button_cancel: '❌',
+    pushpin: '📌',
+    'emoji-1F525': '🔥'
+};
+
+// Mermaid node shapes as [open, close, node shape], longer delimiters first so they win
+const MERMAID_MINDMAP_SHAPES = [
+    ['((', '))', 'circle'],
+    ['))', '((', 'cloud'],
+    ['{{', '}}', 'hexagon'],
+    ['(', ')', 'pill'],
+    [')', '(', 'cloud'],
+    ['[', ']', 'rectangle']
+];
+const MERMAID_FLOWCHART_SHAPES = [
+    ['(((', ')))', 'circle'],
+    ['((', '))', 'circle'],
+    ['([', '])', 'pill'],
+    ['[[', ']]', 'rectangle'],
+    ['[(', ')]', 'rectangle'],
+    ['{{', '}}', 'hexagon'],
+    ['[/', '/]', 'parallelogram'],
+    ['[/', '\\]', 'parallelogram'],
+    ['[\\', '\\]', 'parallelogram'],
+    ['[\\', '/]', 'parallelogram'],
+    ['(', ')', 'ellipse'],
+    ['[', ']', 'rectangle'],
+    ['{', '}', 'diamond'],
+    ['>', ']', 'rectangle']
+];
+
+// Graphviz node shapes and the node shape each is read as; ellipse is Graphviz's default
+const DOT_SHAPES = {
+    box: 'rectangle',
+    rect: 'rectangle',
+    rectangle: 'rectangle',
+    record: 'rectangle',
+    Mrecord: 'pill',
+    square: 'square',
+    circle: 'circle',
+    doublecircle: 'circle',
+    ellipse: 'ellipse',
+    oval: 'ellipse',
+    diamond: 'diamond',
+    hexagon: 'hexagon',
+    parallelogram: 'parallelogram',
+    trapezium: 'parallelogram',
+    plaintext: 'text',
+    plain: 'text',
+    none: 'text',
+    underline: 'text'
+};
+
+// Spacing used when placing new child and sibling nodes
+const CHILD_GAP_X = 60;
+const CHILD_GAP_Y = 20;
+
+// Automatic layout spacing (px) and animation length (ms)
+const LAYOUT_LEVEL_GAP = 60;
+const LAYOUT_SIBLING_GAP = 20;
+const LAYOUT_TREE_GAP = 80;
+const LAYOUT_ANIMATION_MS = 400;
+
+// Zoom limits; zooming to fit never magnifies past FIT_MAX_ZOOM
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 3;
+const FIT_MAX_ZOOM = 1.5;
+
+// Touch and pen gesture timings (ms) and movement tolerance (px)
+const LONG_PRESS_DELAY = 500;
+const DOUBLE_TAP_DELAY = 300;
+const TAP_TOLERANCE = 6;
+
+// Space left around the map in exported images
+const EXPORT_PADDING = 20;
+
+// Built-in map themes. Node colours go by depth, the last level repeating below;
+// plainTextColor is for text-only nodes, and the palette fills the colour presets.
+// Nodes and connections with no colour, font or routing of their own follow the theme.
+const THEMES = [
+    {
+        id: 'classic',
+        name: 'Classic',
+        background: '#EEF2F7',
+        fontFamily: DEFAULT_FONT_FAMILY,
+        levels: [{ color: '#4A90E2', textColor: '#FFFFFF' }],
+        plainTextColor: '#333333',
+        connection: { color: '#4A90E2', width: 2, routing: 'straight' },
+        palette: ['#4A90E2', '#7ED321', '#F5A623', '#D0021B', '#9013FE', '#50E3C2']
+    },
+    {
+        id: 'vivid',
+        name: 'Vivid',
+        background: '#FFFFFF',
+        fontFamily: DEFAULT_FONT_FAMILY,
+        levels: [
+            { color: '#D0021B', textColor: '#FFFFFF' },
+            { color: '#F5A623', textColor: '#FFFFFF' },
+            { color: '#7ED321', textColor: '#FFFFFF' },
+            { color: '#4A90E2', textColor: '#FFFFFF' },
+            { color: '#9013FE', textColor: '#FFFFFF' }
+        ],
+        plainTextColor: '#333333',
+        connection: { color: '#9B9B9B', width: 2, routing: 'curved' },
+        palette: ['#D0021B', '#F5A623', '#7ED321', '#4A90E2', '#9013FE', '#50E3C2']
+    },
+    {
+        id: 'pastel',
+        name: 'Pastel',
+        background: '#FBF8F3',
+        fontFamily: 'Arial, Helvetica, sans-serif',
+        levels: [
+            { color: '#F4B6C2', textColor: '#5A3E4B' },
+            { color: '#B5D8EB', textColor: '#2F4B5C' },
+            { color: '#C8E6C9', textColor: '#2E4D30' },
+            { color: '#FFE0B2', textColor: '#5C4124' }
+        ],
+        plainTextColor: '#555555',
+        connection: { color: '#B0A8B9', width: 2, routing: 'curved' },
+        palette: ['#F4B6C2', '#B5D8EB', '#C8E6C9', '#FFE0B2', '#D7C4EC', '#B2DFDB']
+    },
+    {
+        id: 'dark',
+        name: 'Dark',
+        background: '#1E1F26',
+        fontFamily: DEFAULT_FONT_FAMILY,
+        levels: [
+            { color: '#6C8EF5', textColor: '#FFFFFF' },
+            { color: '#3A3F58', textColor: '#E6E8F0' },
+            { color: '#2C3040', textColor: '#C9CCD8' }
+        ],
+        plainTextColor: '#E6E8F0',
+        connection: { color: '#7A83A6', width: 2, routing: 'curved' },
+        palette: ['#6C8EF5', '#4CC38A', '#F2B14C', '#E5534B', '#A77BF3', '#3FC1C9']
+    },
+    {
+        id: 'mono',
+        name: 'Monochrome',
+        background: '#FFFFFF',
+        fontFamily: "'Courier New', monospace",
+        levels: [
+            { color: '#222222', textColor: '#FFFFFF' },
+            { color: '#555555', textColor: '#FFFFFF' },
+            { color: '#DDDDDD', textColor: '#222222' }
+        ],
+        plainTextColor: '#222222',
+        connection: { color: '#444444', width: 1.5, routing: 'elbow' },
+        palette: ['#222222', '#555555', '#888888', '#BBBBBB', '#DDDDDD', '#FFFFFF']
+    }
+];
+const DEFAULT_THEME_ID = 'classic';
+// Custom themes live in localStorage apart from the maps; theme files carry their own format tag
+const CUSTOM_THEMES_KEY = 'mindmap-themes';
+const THEME_FILE_FORMAT = 'mindmap-theme';
+// The theme editor shows this many depth levels and palette colours
+const THEME_EDITOR_LEVELS = 5;
+const THEME_PALETTE_SIZE = 6;
 
-        // DOM elements
-        this.canvas = document.getElementById('mindmapCanvas');
-        this.nodesLayer = document.getElementById('nodesLayer');
-        this.connectionsLayer = document.getElementById('connectionsLayer');
-        this.connectionOverlay = document.getElementById('connectionOverlay');
+/**
+ * Undo/redo stack of reversible commands
+ * A command is any object with execute(), undo() and a human-readable label
+ */
+class HistoryManager {
+    constructor(limit = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit;
+        this.onChange = null;
+    }
 
-        // Initialize the application
-        this.init();
+    /**
+     * Apply a command and record it
+     */
+    execute(command) {
+        command.execute();
+        this.push(command);
     }
 
     /**
-     * Initialize the mindmap application
+     * Record a command whose effect has already been applied
      */
-    init() {
-        this.setupEventListeners();
-        this.setupToolbar();
-        this.setupModals();
-        
-        // Wait for DOM to be fully rendered before creating welcome node
-        setTimeout(() => {
-            this.createWelcomeNode();
-        }, 100);
-        
-        // Show instructions panel initially
-        setTimeout(() => {
-            document.getElementById('instructionsPanel').style.display = 'block';
-        }, 1000);
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
     }
 
     /**
-     * Set up all event listeners for the application
+     * Revert the most recent command
      */
-    setupEventListeners() {
-        // Canvas events
-        this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleCanvasMouseMove.bind(this));
-        this.canvas.addEventListener('mousedown', this.handleCanvasMouseDown.bind(this));
-        this.canvas.addEventListener('mouseup', this.handleCanvasMouseUp.bind(this));
-        this.canvas.addEventListener('wheel', this.handleCanvasWheel.bind(this));
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
 
-        // Keyboard events
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    /**
+     * Re-apply the most recently undone command
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.execute();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
 
-        // Window events
-        window.addEventListener('resize', this.handleResize.bind(this));
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
     }
 
     /**
-     * Set up toolbar functionality
+     * Forget all recorded commands
      */
-    setupToolbar() {
-        // Tool selection
-        document.getElementById('selectTool').addEventListener('click', () => this.setTool('select'));
-        document.getElementById('nodeTool').addEventListener('click', () => this.setTool('node'));
-        document.getElementById('connectionTool').addEventListener('click', () => this.setTool('connection'));
-
-        // Actions
-        document.getElementById('deleteBtn').addEventListener('click', () => this.deleteSelected());
-        document.getElementById('clearBtn').addEventListener('click', () => this.clearAll());
-        
-        // Zoom controls
-        document.getElementById('zoomInBtn').addEventListener('click', () => this.zoomIn());
-        document.getElementById('zoomOutBtn').addEventListener('click', () => this.zoomOut());
-        document.getElementById('resetZoomBtn').addEventListener('click', () => this.resetZoom());
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
 
-        // Save/Load
-        document.getElementById('saveBtn').addEventListener('click', () => this.showSaveModal());
-        document.getElementById('loadBtn').addEventListener('click', () => this.showLoadModal());
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
 
-        // Instructions
-        document.getElementById('closeInstructions').addEventListener('click', () => {
-            document.getElementById('instructionsPanel').style.display = 'none';
-        });
+/**
+ * A reversible change to the map, stored as before/after snapshots of the
+ * nodes and connections it touched (null means the element did not exist),
+ * plus the tag list and the theme when those changed
+ */
+class MapChangeCommand {
+    constructor(app, label, before, after) {
+        this.app = app;
+        this.label = label;
+        this.before = before;
+        this.after = after;
     }
 
     /**
-     * Set up modal functionality
+     * Build a command from two full map states, keeping only what differs.
+     * Returns null when the states are identical.
      */
-    setupModals() {
-        // Node edit modal
-        const nodeModal = document.getElementById('nodeEditModal');
-        document.getElementById('closeModal').addEventListener('click', () => this.hideNodeModal());
-        document.getElementById('cancelEdit').addEventListener('click', () => this.hideNodeModal());
-        document.getElementById('saveEdit').addEventListener('click', () => this.saveNodeEdit());
-
-        // Node color presets
-        document.querySelectorAll('#nodeColorPresets .color-preset').forEach(preset => {
-            preset.addEventListener('click', (e) => {
-                document.getElementById('nodeColor').value = e.target.dataset.color;
-                document.querySelectorAll('#nodeColorPresets .color-preset').forEach(p => p.classList.remove('selected'));
-                e.target.classList.add('selected');
+    static fromStates(app, label, beforeState, afterState) {
+        const before = { nodes: {}, connections: {}, counters: beforeState.counters };
+        const after = { nodes: {}, connections: {}, counters: afterState.counters };
+        let changed = false;
+
+        ['nodes', 'connections'].forEach(kind => {
+            const ids = new Set([...beforeState[kind].keys(), ...afterState[kind].keys()]);
+            ids.forEach(id => {
+                const oldJson = beforeState[kind].get(id) || null;
+                const newJson = afterState[kind].get(id) || null;
+                if (oldJson !== newJson) {
+                    before[kind][id] = oldJson ? JSON.parse(oldJson) : null;
+                    after[kind][id] = newJson ? JSON.parse(newJson) : null;
+                    changed = true;
+                }
             });
         });
 
-        // Text color presets
-        document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
-            preset.addEventListener('click', (e) => {
-                document.getElementById('textColor').value = e.target.dataset.color;
-                document.querySelectorAll('#textColorPresets .color-preset').forEach(p => p.classList.remove('selected'));
-                e.target.classList.add('selected');
-            });
+        ['tags', 'theme'].forEach(field => {
+            if (beforeState[field] !== afterState[field]) {
+                before[field] = JSON.parse(beforeState[field]);
+                after[field] = JSON.parse(afterState[field]);
+                changed = true;
+            }
         });
 
-        // Shape selector
-        document.querySelectorAll('.shape-option').forEach(option => {
-            option.addEventListener('click', (e) => {
-                const shape = e.currentTarget.dataset.shape;
-                document.querySelectorAll('.shape-option').forEach(opt => opt.classList.remove('selected'));
-                e.currentTarget.classList.add('selected');
-                // Store selected shape for saving
-                this.selectedShape = shape;
-            });
-        });
+        return changed ? new MapChangeCommand(app, label, before, after) : null;
+    }
 
-        // Save/Load modal
-        const saveLoadModal = document.getElementById('saveLoadModal');
-        document.getElementById('closeSaveLoadModal').addEventListener('click', () => this.hideSaveLoadModal());
-        document.getElementById('cancelSaveLoad').addEventListener('click', () => this.hideSaveLoadModal());
-        document.getElementById('confirmSaveLoad').addEventListener('click', () => this.handleSaveLoad());
+    execute() {
+        this.app.applyMapSnapshot(this.after);
+    }
 
-        // Close modals on backdrop click
-        [nodeModal, saveLoadModal].forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    modal.classList.remove('show');
-                }
-            });
-        });
+    undo() {
+        this.app.applyMapSnapshot(this.before);
     }
+}
 
-    /**
-     * Create a welcome node to get users started
-     */
-    createWelcomeNode() {
-        const centerX = this.canvas.clientWidth / 2;
-        const centerY = this.canvas.clientHeight / 2;
-        console.log('Creating welcome node at:', centerX, centerY);
-        console.log('Canvas dimensions:', this.canvas.clientWidth, this.canvas.clientHeight);
-        console.log('NodesLayer element:', this.nodesLayer);
-        this.createNode(centerX, centerY, 'Welcome to MindMap!', '#4A90E2', '#FFFFFF', 'circle');
+/**
+ * Automatic layout algorithms
+ * Works on a layout forest (ordered children by node id) and node sizes,
+ * and returns target centre positions by node id without touching the map
+ */
+class LayoutEngine {
+    constructor(sizes) {
+        this.sizes = sizes;
+    }
+
+    size(nodeId) {
+        return this.sizes.get(nodeId) || { width: 60, height: 60 };
     }
 
     /**
-     * Set the current tool
+     * Layered tree with the root at (0, 0). Horizontal trees grow left to
+     * right; vertical ones grow top-down like an org chart. Every depth
+     * gets its own row/column so nodes never overlap.
      */
-    setTool(tool) {
-        this.currentTool = tool;
-        
-        // Update toolbar UI
-        document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
-        document.getElementById(tool + 'Tool').classList.add('active');
-        
-        // Update canvas cursor
-        this.canvas.setAttribute('class', 'mindmap-canvas');
-        if (tool === 'select') {
-            this.canvas.classList.add('select-mode');
+    tree(rootId, childrenOf, horizontal) {
+        const mainExtent = id => (horizontal ? this.size(id).width : this.size(id).height);
+        const crossExtent = id => (horizontal ? this.size(id).height : this.size(id).width);
+
+        // Widest node per depth decides the spacing between levels
+        const levelExtent = [];
+        const depthOf = new Map();
+        const measure = (id, depth) => {
+            depthOf.set(id, depth);
+            levelExtent[depth] = Math.max(levelExtent[depth] || 0, mainExtent(id));
+            (childrenOf.get(id) || []).forEach(childId => measure(childId, depth + 1));
+        };
+        measure(rootId, 0);
+
+        const levelPosition = [0];
+        for (let depth = 1; depth < levelExtent.length; depth++) {
+            levelPosition[depth] = levelPosition[depth - 1] + levelExtent[depth - 1] / 2 + LAYOUT_LEVEL_GAP + levelExtent[depth] / 2;
         }
-        
-        // Reset connection state
-        this.isConnecting = false;
-        this.connectionStart = null;
-        this.clearTempConnection();
+
+        // Space each subtree needs across the growth direction
+        const span = new Map();
+        const measureSpan = id => {
+            const children = childrenOf.get(id) || [];
+            const childSpan = children.reduce((total, childId) => total + measureSpan(childId), 0) +
+                LAYOUT_SIBLING_GAP * Math.max(0, children.length - 1);
+            const result = Math.max(crossExtent(id), childSpan);
+            span.set(id, result);
+            return result;
+        };
+        measureSpan(rootId);
+
+        const positions = new Map();
+        const place = (id, crossCenter) => {
+            const main = levelPosition[depthOf.get(id)];
+            positions.set(id, horizontal ? { x: main, y: crossCenter } : { x: crossCenter, y: main });
+
+            const children = childrenOf.get(id) || [];
+            const total = children.reduce((sum, childId) => sum + span.get(childId), 0) +
+                LAYOUT_SIBLING_GAP * Math.max(0, children.length - 1);
+            let start = crossCenter - total / 2;
+            children.forEach(childId => {
+                place(childId, start + span.get(childId) / 2);
+                start += span.get(childId) + LAYOUT_SIBLING_GAP;
+            });
+        };
+        place(rootId, 0);
+
+        return positions;
     }
 
     /**
-     * Handle canvas click events
+     * Classic mind-map layout with the root at (0, 0) and each depth on a
+     * ring around it. Every branch gets an angular wedge proportional to its
+     * number of leaves, and rings are pushed out until each node fits its wedge.
      */
-    handleCanvasClick(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        if (this.currentTool === 'node') {
-            // Adjust coordinates for zoom and pan
-            const adjustedX = (x / this.zoom) - this.pan.x;
-            const adjustedY = (y / this.zoom) - this.pan.y;
-            this.createNode(adjustedX, adjustedY, 'New Node', '#4A90E2', '#FFFFFF', 'circle');
-        } else if (this.currentTool === 'select') {
-            if (!e.target.closest('.mindmap-node')) {
-                this.clearSelection();
-            }
+    radial(rootId, childrenOf) {
+        const diameter = id => Math.hypot(this.size(id).width, this.size(id).height);
+
+        const leaves = new Map();
+        const countLeaves = id => {
+            const children = childrenOf.get(id) || [];
+            const count = children.length === 0 ? 1 : children.reduce((sum, childId) => sum + countLeaves(childId), 0);
+            leaves.set(id, count);
+            return count;
+        };
+        countLeaves(rootId);
+
+        // Angular wedge of every node
+        const wedges = new Map();
+        const levels = [];
+        const assign = (id, start, end, depth) => {
+            wedges.set(id, { start: start, end: end, depth: depth });
+            (levels[depth] = levels[depth] || []).push(id);
+
+            const children = childrenOf.get(id) || [];
+            let angle = start;
+            children.forEach(childId => {
+                const share = (end - start) * leaves.get(childId) / leaves.get(id);
+                assign(childId, angle, angle + share, depth + 1);
+                angle += share;
+            });
+        };
+        assign(rootId, -Math.PI / 2, Math.PI * 1.5, 0);
+
+        // Ring radii: clear of the previous ring, and wide enough for each wedge
+        const radii = [0];
+        for (let depth = 1; depth < levels.length; depth++) {
+            const previousMax = Math.max(...levels[depth - 1].map(diameter));
+            const currentMax = Math.max(...levels[depth].map(diameter));
+            let radius = radii[depth - 1] + previousMax / 2 + LAYOUT_LEVEL_GAP + currentMax / 2;
+
+            levels[depth].forEach(id => {
+                const wedge = wedges.get(id);
+                const angle = wedge.end - wedge.start;
+                if (angle < Math.PI) {
+                    radius = Math.max(radius, (diameter(id) + LAYOUT_SIBLING_GAP) / angle);
+                }
+            });
+            radii[depth] = radius;
         }
+
+        const positions = new Map();
+        wedges.forEach((wedge, id) => {
+            const angle = (wedge.start + wedge.end) / 2;
+            const radius = radii[wedge.depth];
+            positions.set(id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+        });
+        positions.set(rootId, { x: 0, y: 0 });
+        return positions;
     }
 
     /**
-     * Handle canvas mouse move events
+     * Force-directed layout for graphs without a clear root. Connected
+     * nodes pull towards a rest length that depends on their sizes, all
+     * nodes push each other away, and a final pass removes any overlap.
+     * The centroid of the nodes stays where it was.
      */
-    handleCanvasMouseMove(e) {
-        if (this.isDragging && this.selectedNodes.size > 0) {
-            const rect = this.canvas.getBoundingClientRect();
-            const mouseX = (e.clientX - rect.left) / this.zoom - this.pan.x;
-            const mouseY = (e.clientY - rect.top) / this.zoom - this.pan.y;
-            
-            // Calculate new position by subtracting the offset
-            const newX = mouseX - this.dragOffset.x;
-            const newY = mouseY - this.dragOffset.y;
-            
-            this.selectedNodes.forEach(nodeId => {
-                this.moveNode(nodeId, newX, newY);
+    force(nodeIds, edges, startPositions) {
+        const ids = nodeIds.slice();
+        const radius = new Map(ids.map(id => [id, Math.hypot(this.size(id).width, this.size(id).height) / 2]));
+        const positions = new Map();
+
+        ids.forEach((id, index) => {
+            const start = startPositions.get(id);
+            // Spread nodes that sit exactly on top of each other
+            const jitter = index * 0.618;
+            positions.set(id, { x: start.x + Math.cos(jitter) * index * 0.5, y: start.y + Math.sin(jitter) * index * 0.5 });
+        });
+
+        const centroid = positions => {
+            let x = 0;
+            let y = 0;
+            positions.forEach(position => {
+                x += position.x;
+                y += position.y;
             });
-        }
+            return { x: x / positions.size, y: y / positions.size };
+        };
+        const origin = centroid(positions);
+
+        const iterations = Math.max(60, Math.min(300, Math.round(30000 / Math.max(ids.length, 1))));
+        let temperature = 120;
+        const cooling = temperature / iterations;
+
+        for (let step = 0; step < iterations; step++) {
+            const displacement = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+
+            // Repulsion between every pair, stronger when they overlap
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const a = positions.get(ids[i]);
+                    const b = positions.get(ids[j]);
+                    let dx = a.x - b.x;
+                    let dy = a.y - b.y;
+                    const distance = Math.max(0.01, Math.hypot(dx, dy));
+                    const minimum = radius.get(ids[i]) + radius.get(ids[j]) + LAYOUT_SIBLING_GAP;
+                    let strength = (minimum * minimum) / distance;
+                    if (distance < minimum) {
+                        strength *= 4;
+                    }
+                    dx = (dx / distance) * strength;
+                    dy = (dy / distance) * strength;
+                    displacement.get(ids[i]).x += dx;
+                    displacement.get(ids[i]).y += dy;
+                    displacement.get(ids[j]).x -= dx;
+                    displacement.get(ids[j]).y -= dy;
+                }
+            }
 
-        if (this.isConnecting && this.connectionStart) {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            this.updateTempConnection(x, y);
+            // Springs along connections
+            edges.forEach(([startId, endId]) => {
+                const a = positions.get(startId);
+                const b = positions.get(endId);
+                if (!a || !b || startId === endId) return;
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.max(0.01, Math.hypot(dx, dy));
+                const rest = radius.get(startId) + radius.get(endId) + LAYOUT_LEVEL_GAP;
+                const strength = (distance - rest) * 0.5;
+                displacement.get(startId).x += (dx / distance) * strength;
+                displacement.get(startId).y += (dy / distance) * strength;
+                displacement.get(endId).x -= (dx / distance) * strength;
+                displacement.get(endId).y -= (dy / distance) * strength;
+            });
+
+            // Weak gravity keeps disconnected parts together
+            const center = centroid(positions);
+            ids.forEach(id => {
+                const position = positions.get(id);
+                const move = displacement.get(id);
+                move.x += (center.x - position.x) * 0.02;
+                move.y += (center.y - position.y) * 0.02;
+
+                const length = Math.hypot(move.x, move.y);
+                if (length > 0) {
+                    const limited = Math.min(length, temperature);
+                    position.x += (move.x / length) * limited;
+                    position.y += (move.y / length) * limited;
+                }
+            });
+
+            temperature = Math.max(1, temperature - cooling);
         }
+
+        this.removeOverlaps(ids, positions, radius);
+
+        // Keep the layout where the nodes were
+        const center = centroid(positions);
+        positions.forEach(position => {
+            position.x += origin.x - center.x;
+            position.y += origin.y - center.y;
+        });
+        return positions;
     }
 
     /**
-     * Handle canvas mouse down events
+     * Push apart any nodes whose bounding circles still overlap
      */
-    handleCanvasMouseDown(e) {
-        if (e.target.closest('.mindmap-node') && this.currentTool === 'select') {
-            const nodeElement = e.target.closest('.mindmap-node');
-            const nodeId = nodeElement.getAttribute('data-node-id');
-            const node = this.nodes.get(nodeId);
-            
-            if (node) {
-                // Don't interfere with Ctrl+Click selection - let handleNodeClick handle it
-                if (!e.ctrlKey && !e.metaKey) {
-                    // Only clear and select for dragging if not using Ctrl+Click
-                    if (!this.selectedNodes.has(nodeId)) {
-                        this.clearSelection();
-                        this.selectedNodes.add(nodeId);
-                        this.updateNodeSelection(nodeId, true);
+    removeOverlaps(ids, positions, radius) {
+        for (let pass = 0; pass < 50; pass++) {
+            let moved = false;
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const a = positions.get(ids[i]);
+                    const b = positions.get(ids[j]);
+                    const dx = b.x - a.x;
+                    const dy = b.y - a.y;
+                    const distance = Math.max(0.01, Math.hypot(dx, dy));
+                    const minimum = radius.get(ids[i]) + radius.get(ids[j]) + LAYOUT_SIBLING_GAP / 2;
+                    if (distance < minimum) {
+                        const push = (minimum - distance) / 2;
+                        a.x -= (dx / distance) * push;
+                        a.y -= (dy / distance) * push;
+                        b.x += (dx / distance) * push;
+                        b.y += (dy / distance) * push;
+                        moved = true;
                     }
-                } else {
-                    // For Ctrl+Click, don't do anything here - let the click handler manage selection
-                    return;
                 }
-                
-                // Start dragging immediately
-                this.isDragging = true;
-                const rect = this.canvas.getBoundingClientRect();
-                const mouseX = (e.clientX - rect.left) / this.zoom - this.pan.x;
-                const mouseY = (e.clientY - rect.top) / this.zoom - this.pan.y;
-                this.dragOffset.x = mouseX - node.x;
-                this.dragOffset.y = mouseY - node.y;
-                
-                this.canvas.classList.add('dragging');
-                
-                // Prevent the click event from firing
-                e.preventDefault();
-                e.stopPropagation();
             }
+            if (!moved) return;
         }
     }
 
     /**
-     * Handle canvas mouse up events
+     * Bounding box of laid-out nodes
      */
-    handleCanvasMouseUp(e) {
-        this.isDragging = false;
-        this.canvas.classList.remove('dragging');
+    bounds(positions) {
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        positions.forEach((position, id) => {
+            const { width, height } = this.size(id);
+            minX = Math.min(minX, position.x - width / 2);
+            minY = Math.min(minY, position.y - height / 2);
+            maxX = Math.max(maxX, position.x + width / 2);
+            maxY = Math.max(maxY, position.y + height / 2);
+        });
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
     }
+}
 
+/**
+ * Plain outlines: ordered trees of topics ({ text, notes, children }) read
+ * from Markdown headings and bullets or indented text, and written back as
+ * Markdown. Parsing never fails; lines that are not headings or bullets
+ * become notes of the topic above them.
+ */
+class Outline {
     /**
-     * Handle canvas wheel events for zooming
+     * Read the topic trees from Markdown or an indented plain-text outline
      */
-    handleCanvasWheel(e) {
-        e.preventDefault();
-        const delta = e.deltaY > 0 ? 0.9 : 1.1;
-        this.zoom *= delta;
-        this.zoom = Math.max(0.1, Math.min(3, this.zoom));
-        this.updateTransform();
+    static parse(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n')
+            .map(line => line.replace(/\t/g, '    '))
+            .filter(line => line.trim() && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line));
+        // Without any Markdown structure, indentation alone shapes the tree
+        const structured = lines.some(line => Outline.heading(line) || Outline.bullet(line));
+
+        const roots = [];
+        // Open topics from the outermost in; headings have a rank, list items an indent
+        const stack = [];
+        const add = (text, parent) => {
+            const topic = { text: text, notes: '', children: [] };
+            (parent ? parent.topic.children : roots).push(topic);
+            return topic;
+        };
+
+        lines.forEach(line => {
+            const indent = line.search(/\S/);
+            const heading = Outline.heading(line);
+            const bullet = Outline.bullet(line);
+
+            if (heading) {
+                while (stack.length > 0 && (stack[stack.length - 1].rank === null || stack[stack.length - 1].rank >= heading.rank)) {
+                    stack.pop();
+                }
+                const topic = add(heading.text, stack[stack.length - 1]);
+                stack.push({ topic: topic, rank: heading.rank, indent: -1 });
+            } else if (bullet || !structured) {
+                while (stack.length > 0 && stack[stack.length - 1].rank === null && stack[stack.length - 1].indent >= indent) {
+                    stack.pop();
+                }
+                const topic = add(bullet ? bullet.text : line.trim(), stack[stack.length - 1]);
+                stack.push({ topic: topic, rank: null, indent: indent });
+            } else if (stack.length > 0) {
+                const topic = stack[stack.length - 1].topic;
+                topic.notes += (topic.notes ? '\n' : '') + line.trim();
+            } else {
+                // A title line before the first heading or bullet holds what follows
+                stack.push({ topic: add(line.trim(), null), rank: 0, indent: -1 });
+            }
+        });
+
+        return roots;
     }
 
     /**
-     * Handle keyboard events
+     * ATX heading ("## Text") with its rank, or null
      */
-    handleKeyDown(e) {
-        // Don't handle global shortcuts when editing text in modals or inputs
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-            // Only handle Ctrl+S for save when in input fields
-            if (e.ctrlKey && e.key === 's') {
-                e.preventDefault();
-                this.showSaveModal();
-            }
-            return;
-        }
+    static heading(line) {
+        const match = /^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+        return match && match[2] ? { rank: match[1].length, text: match[2] } : null;
+    }
 
-        if (e.key === 'Delete' || e.key === 'Backspace') {
-            this.deleteSelected();
-        } else if (e.key === 'Escape') {
-            this.clearSelection();
-            this.setTool('select');
-        } else if (e.ctrlKey && e.key === 's') {
-            e.preventDefault();
-            this.showSaveModal();
-        }
+    /**
+     * Bullet or numbered list item with its text (task boxes dropped), or null
+     */
+    static bullet(line) {
+        const match = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*\S)\s*$/.exec(line);
+        return match ? { text: match[1] } : null;
     }
 
     /**
-     * Handle window resize
+     * Write topic trees as Markdown: each root a heading, everything below it nested bullets
      */
-    handleResize() {
-        // Update canvas dimensions and redraw
-        this.updateConnections();
+    static toMarkdown(roots) {
+        const sections = roots.map(root => {
+            const lines = [`# ${Outline.singleLine(root.text)}`];
+            if (root.notes.trim()) {
+                lines.push('', ...Outline.noteLines(root.notes, ''));
+            }
+            if (root.children.length > 0) {
+                lines.push('');
+            }
+            const visit = (topic, depth) => {
+                const indent = '  '.repeat(depth);
+                lines.push(`${indent}- ${Outline.singleLine(topic.text)}`);
+                lines.push(...Outline.noteLines(topic.notes, `${indent}  `));
+                topic.children.forEach(child => visit(child, depth + 1));
+            };
+            root.children.forEach(child => visit(child, 0));
+            return lines.join('\n');
+        });
+        return sections.join('\n\n') + '\n';
     }
 
     /**
-     * Create a new node
+     * Labels may hold line breaks, but an outline entry is one line
      */
-    createNode(x, y, text = 'New Node', color = '#4A90E2', textColor = '#FFFFFF', shape = 'circle') {
-        const nodeId = `node_${++this.nodeCounter}`;
-        
-        // Calculate dynamic size based on text content and shape
-        const words = text.split(' ');
-        const longestWord = Math.max(...words.map(word => word.length));
-        const totalWords = words.length;
-        
-        // Base size calculation considering word count and longest word
-        const minSize = 60;
-        let baseSize = Math.max(minSize, longestWord * 8 + totalWords * 4);
-        
-        // For circles, increase size to account for circular geometry constraints
-        if (shape === 'circle') {
-            baseSize = baseSize * 1.4; // 40% larger for circles to prevent corner spillage
-        }
-        
-        const size = baseSize;
-        
-        const node = {
-            id: nodeId,
-            x: x,
-            y: y,
-            text: text,
-            color: color,
-            textColor: textColor,
-            shape: shape,
-            size: size,
-            // For backwards compatibility
-            radius: size
-        };
+    static singleLine(text) {
+        return text.replace(/\s*\n\s*/g, ' ').trim() || '(empty)';
+    }
 
-        console.log('Creating node:', node);
-        this.nodes.set(nodeId, node);
-        this.renderNode(node);
-        console.log('Node created and rendered');
-        return nodeId;
+    /**
+     * Non-blank note lines with the given indent
+     */
+    static noteLines(notes, indent) {
+        return notes.split('\n').filter(line => line.trim()).map(line => indent + line.trim());
     }
 
     /**
-     * Render a node on the canvas
+     * Topic trees and cross-links from a diagram's nodes ({ id, text, shape, ... }) and
+     * edges ({ from, to, label, color, arrows, tree }). A tree edge becomes a branch when
+     * its end has no parent yet and no loop would form; every other edge is a cross-link.
+     * Node text is plain, so its markup characters are escaped for the labels.
      */
-    renderNode(node) {
-        const nodeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        nodeGroup.classList.add('mindmap-node');
-        nodeGroup.setAttribute('data-node-id', node.id);
-        nodeGroup.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+    static fromGraph(nodes, edges) {
+        const topics = new Map(nodes.map(node => [node.id, Object.assign({
+            notes: '', children: [], links: [], collapsed: false, icon: null,
+            connectionColor: null, connectionLabel: '', connectionArrows: 'none'
+        }, node, { text: RichText.escape(node.text) })]));
+        const parents = new Map();
+        const isAncestor = (ancestorId, nodeId) => {
+            for (let id = nodeId; id !== undefined; id = parents.get(id)) {
+                if (id === ancestorId) return true;
+            }
+            return false;
+        };
 
-        // Create shape based on node type
-        const shape = this.createNodeShape(node);
-        nodeGroup.appendChild(shape);
+        const crossLinks = [];
+        edges.forEach(edge => {
+            if (edge.tree && !parents.has(edge.to) && !isAncestor(edge.to, edge.from)) {
+                parents.set(edge.to, edge.from);
+                const topic = topics.get(edge.to);
+                topic.connectionColor = edge.color;
+                topic.connectionLabel = edge.label;
+                topic.connectionArrows = edge.arrows;
+                topics.get(edge.from).children.push(topic);
+            } else {
+                crossLinks.push({ from: edge.from, to: edge.to, color: edge.color, label: edge.label, arrows: edge.arrows });
+            }
+        });
 
-        // Create text with proper wrapping
-        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        text.classList.add('node-text');
-        this.renderWrappedText(text, node.text, node.size, node.textColor, node.shape);
-        
-        nodeGroup.appendChild(text);
+        const roots = nodes.filter(node => !parents.has(node.id)).map(node => topics.get(node.id));
+        return { topics: roots, crossLinks: crossLinks };
+    }
+}
 
-        // Add event listeners
-        nodeGroup.addEventListener('click', (e) => this.handleNodeClick(e, node.id));
-        nodeGroup.addEventListener('dblclick', (e) => this.editNode(node.id));
+/**
+ * FreeMind and Freeplane .mm files. Reading gives topic trees like Outline's,
+ * with colours, links, icons, folding and the FreeMind ids that cross-links
+ * ({ from, to, color, label }) refer to, plus the names of anything that had
+ * to be left out. Throws an Error when the file is not a FreeMind map.
+ */
+class FreeMindFormat {
+    static parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        if (doc.documentElement.nodeName !== 'map') {
+            throw new Error('The file is not a FreeMind map.');
+        }
 
-        this.nodesLayer.appendChild(nodeGroup);
+        const unsupported = new Set();
+        const crossLinks = [];
+        const read = element => {
+            const topic = {
+                id: element.getAttribute('ID'),
+                text: element.getAttribute('TEXT') || element.getAttribute('LOCALIZED_TEXT') || '',
+                notes: '',
+                children: [],
+                color: FreeMindFormat.color(element.getAttribute('BACKGROUND_COLOR')),
+                textColor: FreeMindFormat.color(element.getAttribute('COLOR')),
+                links: [],
+                collapsed: element.getAttribute('FOLDED') === 'true',
+                icon: null,
+                shape: element.getAttribute('STYLE') === 'fork' ? 'text' : null,
+                connectionColor: null
+            };
+
+            if (['HGAP', 'VGAP', 'VSHIFT', 'VSHIFT_QUANTITY'].some(name => element.hasAttribute(name))) {
+                unsupported.add('manual node positions');
+            }
+
+            const link = element.getAttribute('LINK');
+            if (link) {
+                const url = RichText.safeUrl(link);
+                if (url) {
+                    topic.links.push({ url: url, title: '' });
+                } else {
+                    unsupported.add(link.startsWith('#') ? 'links to other nodes' : 'links to local files');
+                }
+            }
+
+            let bold = false;
+            let italic = false;
+            Array.from(element.children).forEach(child => {
+                switch (child.nodeName) {
+                    case 'node':
+                        topic.children.push(read(child));
+                        break;
+                    case 'richcontent': {
+                        const content = FreeMindFormat.htmlToText(child);
+                        const type = child.getAttribute('TYPE');
+                        if (type === 'NODE') {
+                            topic.text = content;
+                        } else if (content) {
+                            // Freeplane's details are kept with the notes
+                            topic.notes = topic.notes ? `${topic.notes}\n${content}` : content;
+                        }
+                        break;
+                    }
+                    case 'font':
+                        bold = child.getAttribute('BOLD') === 'true';
+                        italic = child.getAttribute('ITALIC') === 'true';
+                        if (child.hasAttribute('NAME') || child.hasAttribute('SIZE')) {
+                            unsupported.add('font names and sizes');
+                        }
+                        break;
+                    case 'icon': {
+                        const name = child.getAttribute('BUILTIN') || '';
+                        // Freeplane names emoji icons after their code points
+                        const emoji = /^emoji-([0-9A-F]+(?:-[0-9A-F]+)*)$/i.exec(name);
+                        const icon = FREEMIND_ICONS[name] ||
+                            (emoji ? String.fromCodePoint(...emoji[1].split('-').map(code => parseInt(code, 16))) : null);
+                        if (!topic.icon && icon) {
+                            topic.icon = icon;
+                        } else {
+                            unsupported.add(topic.icon ? 'more than one icon per node' : `icon "${name}"`);
+                        }
+                        break;
+                    }
+                    case 'edge':
+                        topic.connectionColor = FreeMindFormat.color(child.getAttribute('COLOR'));
+                        if (child.hasAttribute('STYLE') || child.hasAttribute('WIDTH')) {
+                            unsupported.add('edge styles and widths');
+                        }
+                        break;
+                    case 'arrowlink':
+                        crossLinks.push({
+                            from: topic.id,
+                            to: child.getAttribute('DESTINATION'),
+                            color: FreeMindFormat.color(child.getAttribute('COLOR')),
+                            label: child.getAttribute('MIDDLE_LABEL') || ''
+                        });
+                        break;
+                    case 'cloud':
+                        unsupported.add('clouds');
+                        break;
+                    case 'attribute':
+                        unsupported.add('attributes');
+                        break;
+                    case 'hook':
+                        unsupported.add(`add-on "${child.getAttribute('NAME')}"`);
+                        break;
+                    case 'linktarget':
+                    case 'attribute_layout':
+                        // Freeplane bookkeeping for arrow links and attribute tables
+                        break;
+                    default:
+                        unsupported.add(`<${child.nodeName}> elements`);
+                }
+            });
+
+            // Labels are plain text here, and font style covers every line of them
+            topic.text = RichText.escape(topic.text);
+            if (bold || italic) {
+                const marker = bold && italic ? '***' : bold ? '**' : '*';
+                topic.text = topic.text.split('\n').map(line => line.replace(/^(\s*)(\S(?:.*\S)?)(\s*)$/,
+                    (match, before, content, after) => `${before}${marker}${content}${marker}${after}`)).join('\n');
+            }
+            return topic;
+        };
+
+        const topics = Array.from(doc.documentElement.children)
+            .filter(element => element.nodeName === 'node')
+            .map(read);
+        return { topics: topics, crossLinks: crossLinks, unsupported: unsupported };
     }
 
     /**
-     * Create the appropriate SVG shape for a node
+     * A #RRGGBB colour from a FreeMind colour attribute, or null
      */
-    createNodeShape(node) {
-        const shape = node.shape || 'circle';
-        const size = node.size || node.radius || 40;
-        
-        let element;
-        
-        switch (shape) {
-            case 'square':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                element.classList.add('node-shape', 'node-square');
-                element.setAttribute('x', -size/2);
-                element.setAttribute('y', -size/2);
-                element.setAttribute('width', size);
-                element.setAttribute('height', size);
-                element.setAttribute('rx', 8);
-                break;
-                
-            case 'rectangle':
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                element.classList.add('node-shape', 'node-rectangle');
-                const rectWidth = size * 1.6;
-                const rectHeight = size * 0.8;
-                element.setAttribute('x', -rectWidth/2);
-                element.setAttribute('y', -rectHeight/2);
-                element.setAttribute('width', rectWidth);
-                element.setAttribute('height', rectHeight);
-                element.setAttribute('rx', 8);
-                break;
-                
-            default: // circle
-                element = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-                element.classList.add('node-shape', 'node-circle');
-                element.setAttribute('r', size/2);
-                break;
-        }
-        
-        element.setAttribute('fill', node.color);
-        element.setAttribute('stroke', 'rgba(255, 255, 255, 0.8)');
-        element.setAttribute('stroke-width', '2');
-        
-        return element;
+    static color(value) {
+        const match = /^#[0-9a-f]{6}/i.exec(value || '');
+        return match ? match[0] : null;
     }
 
     /**
-     * Handle node click events
+     * Plain text of rich content, one line per paragraph, line break or list item
      */
-    handleNodeClick(e, nodeId) {
-        console.log('Node clicked:', nodeId, 'Tool:', this.currentTool, 'CtrlKey:', e.ctrlKey, 'MetaKey:', e.metaKey);
-        e.stopPropagation();
-        
-        if (this.currentTool === 'connection') {
-            if (!this.isConnecting) {
-                this.startConnection(nodeId);
-            } else if (this.connectionStart !== nodeId) {
-                this.completeConnection(nodeId);
+    static htmlToText(element) {
+        let text = '';
+        const walk = node => {
+            if (node.nodeType === 3) {
+                text += node.nodeValue.replace(/\s+/g, ' ');
+                return;
             }
-        } else if (this.currentTool === 'select') {
-            if (e.ctrlKey || e.metaKey) {
-                // Ctrl+Click or Cmd+Click for multiple selection
-                console.log('Ctrl+Click detected, toggling selection');
-                this.toggleNodeSelection(nodeId);
-            } else {
-                // Regular click - clear other selections and select this node
-                console.log('Regular click, selecting single node');
-                this.selectNode(nodeId);
+            const name = node.nodeName.toLowerCase();
+            if (name === 'head') return;
+            if (name === 'br') {
+                text += '\n';
+                return;
             }
-        }
+            const block = ['p', 'div', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(name);
+            if (block) text += '\n';
+            Array.from(node.childNodes).forEach(walk);
+            if (block) text += '\n';
+        };
+        walk(element);
+        return text.split('\n').map(line => line.trim()).filter(line => line).join('\n');
     }
 
     /**
-     * Start creating a connection
+     * Write topic trees and cross-links as a FreeMind map; several trees share a root named after the title
      */
-    startConnection(nodeId) {
-        this.isConnecting = true;
-        this.connectionStart = nodeId;
-        this.selectNode(nodeId);
+    static stringify(topics, crossLinks, title) {
+        const doc = document.implementation.createDocument(null, 'map', null);
+        const map = doc.documentElement;
+        map.setAttribute('version', '1.0.1');
+        const iconNames = new Map(Object.entries(FREEMIND_ICONS).map(([name, icon]) => [icon, name]));
+        const linksFrom = new Map();
+        crossLinks.forEach(link => {
+            if (!linksFrom.has(link.from)) linksFrom.set(link.from, []);
+            linksFrom.get(link.from).push(link);
+        });
+
+        const write = (topic, parent) => {
+            const element = doc.createElement('node');
+            element.setAttribute('ID', topic.id);
+            element.setAttribute('TEXT', topic.text);
+            if (topic.color) element.setAttribute('BACKGROUND_COLOR', topic.color);
+            if (topic.textColor) element.setAttribute('COLOR', topic.textColor);
+            if (topic.shape === 'text') element.setAttribute('STYLE', 'fork');
+            if (topic.collapsed && topic.children.length > 0) element.setAttribute('FOLDED', 'true');
+            if (topic.links.length > 0) element.setAttribute('LINK', topic.links[0].url);
+            FreeMindFormat.append(parent, element);
+
+            if (topic.bold || topic.italic) {
+                const font = doc.createElement('font');
+                if (topic.bold) font.setAttribute('BOLD', 'true');
+                if (topic.italic) font.setAttribute('ITALIC', 'true');
+                FreeMindFormat.append(element, font);
+            }
+            if (topic.icon) {
+                const icon = doc.createElement('icon');
+                icon.setAttribute('BUILTIN', iconNames.get(topic.icon) ||
+                    `emoji-${Array.from(topic.icon).map(char => char.codePointAt(0).toString(16).toUpperCase()).join('-')}`);
+                FreeMindFormat.append(element, icon);
+            }
+            if (topic.connectionColor) {
+                const edge = doc.createElement('edge');
+                edge.setAttribute('COLOR', topic.connectionColor);
+                FreeMindFormat.append(element, edge);
+            }
+            if (topic.notes.trim()) {
+                const richContent = doc.createElement('richcontent');
+                richContent.setAttribute('TYPE', 'NOTE');
+                const html = doc.createElement('html');
+                html.appendChild(doc.createElement('head'));
+                const body = doc.createElement('body');
+                topic.notes.split('\n').forEach(line => {
+                    const paragraph = doc.createElement('p');
+                    paragraph.textContent = line;
+                    body.appendChild(paragraph);
+                });
+                html.appendChild(body);
+                richContent.appendChild(html);
+                FreeMindFormat.append(element, richContent);
+            }
+            (linksFrom.get(topic.id) || []).forEach(link => {
+                const arrow = doc.createElement('arrowlink');
+                arrow.setAttribute('DESTINATION', link.to);
+                arrow.setAttribute('ENDARROW', 'Default');
+                arrow.setAttribute('STARTARROW', 'None');
+                if (link.color) arrow.setAttribute('COLOR', link.color);
+                if (link.label) arrow.setAttribute('MIDDLE_LABEL', link.label);
+                FreeMindFormat.append(element, arrow);
+            });
+            topic.children.forEach(child => write(child, element));
+        };
+
+        const roots = topics.length === 1 ? topics
+            : [{ id: 'root', text: title, notes: '', children: topics, color: null, textColor: null, links: [], collapsed: false, icon: null }];
+        roots.forEach(root => write(root, map));
+        map.appendChild(doc.createTextNode('\n'));
+        return new XMLSerializer().serializeToString(doc) + '\n';
     }
 
     /**
-     * Complete creating a connection
+     * Append an element on a line of its own
      */
-    completeConnection(nodeId) {
-        if (this.connectionStart && this.connectionStart !== nodeId) {
-            this.createConnection(this.connectionStart, nodeId);
-        }
-        this.isConnecting = false;
-        this.connectionStart = null;
-        this.clearTempConnection();
+    static append(parent, element) {
+        parent.appendChild(parent.ownerDocument.createTextNode('\n'));
+        parent.appendChild(element);
     }
+}
 
-    /**
-     * Create a connection between two nodes
-     */
-    createConnection(startNodeId, endNodeId) {
-        const connectionId = `connection_${++this.connectionCounter}`;
-        const connection = {
-            id: connectionId,
-            start: startNodeId,
-            end: endNodeId
+/**
+ * OPML outlines. Reading gives topic trees like FreeMindFormat's, folded
+ * as the head's expansionState says; colours travel in _color and
+ * _textColor attributes next to the customary _note. Throws an Error when
+ * the file is not OPML.
+ */
+class OpmlFormat {
+    static parse(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        const opml = doc.documentElement;
+        const body = Array.from(opml.children).find(element => element.nodeName === 'body');
+        if (opml.nodeName !== 'opml' || !body) {
+            throw new Error('The file is not an OPML outline.');
+        }
+
+        const head = Array.from(opml.children).find(element => element.nodeName === 'head');
+        const headField = name => {
+            const element = head && Array.from(head.children).find(child => child.nodeName === name);
+            return element ? element.textContent.trim() : '';
+        };
+        const expansionState = headField('expansionState');
+        // Outlines are numbered from 1 in document order; listed ones are expanded
+        const expanded = expansionState ? new Set(expansionState.split(/[\s,]+/).map(Number)) : null;
+
+        const known = ['text', 'title', '_note', 'url', 'htmlUrl', 'xmlUrl', 'type', '_color', '_textColor', 'created'];
+        const unsupported = new Set();
+        let index = 0;
+        const read = element => {
+            index += 1;
+            const position = index;
+            const url = ['url', 'htmlUrl', 'xmlUrl']
+                .map(name => element.getAttribute(name) && RichText.safeUrl(element.getAttribute(name)))
+                .find(Boolean);
+            Array.from(element.attributes).forEach(attribute => {
+                if (!known.includes(attribute.name)) unsupported.add(`"${attribute.name}" attributes`);
+            });
+
+            const children = Array.from(element.children)
+                .filter(child => child.nodeName === 'outline')
+                .map(read);
+            return {
+                id: null,
+                text: RichText.escape(element.getAttribute('text') || element.getAttribute('title') || ''),
+                notes: element.getAttribute('_note') || '',
+                children: children,
+                color: FreeMindFormat.color(element.getAttribute('_color')),
+                textColor: FreeMindFormat.color(element.getAttribute('_textColor')),
+                links: url ? [{ url: url, title: '' }] : [],
+                collapsed: !!expanded && children.length > 0 && !expanded.has(position),
+                icon: null,
+                shape: null,
+                connectionColor: null
+            };
         };
 
-        this.connections.set(connectionId, connection);
-        this.renderConnection(connection);
-        return connectionId;
+        const topics = Array.from(body.children)
+            .filter(element => element.nodeName === 'outline')
+            .map(read);
+        return { topics: topics, crossLinks: [], unsupported: unsupported, title: headField('title') };
     }
 
     /**
-     * Render a connection on the canvas
+     * Write topic trees as an OPML 2.0 outline
      */
-    renderConnection(connection) {
-        const startNode = this.nodes.get(connection.start);
-        const endNode = this.nodes.get(connection.end);
-        
-        if (!startNode || !endNode) return;
+    static stringify(topics, title) {
+        const doc = document.implementation.createDocument(null, 'opml', null);
+        const opml = doc.documentElement;
+        opml.setAttribute('version', '2.0');
+        const head = doc.createElement('head');
+        const body = doc.createElement('body');
+        const titleElement = doc.createElement('title');
+        titleElement.textContent = title;
+        FreeMindFormat.append(head, titleElement);
+
+        const expanded = [];
+        let index = 0;
+        const write = (topic, parent) => {
+            index += 1;
+            if (topic.children.length > 0 && !topic.collapsed) expanded.push(index);
+
+            const element = doc.createElement('outline');
+            element.setAttribute('text', topic.text);
+            if (topic.notes) element.setAttribute('_note', topic.notes);
+            if (topic.links.length > 0) {
+                element.setAttribute('type', 'link');
+                element.setAttribute('url', topic.links[0].url);
+            }
+            if (topic.color) element.setAttribute('_color', topic.color);
+            if (topic.textColor) element.setAttribute('_textColor', topic.textColor);
+            FreeMindFormat.append(parent, element);
+            topic.children.forEach(child => write(child, element));
+        };
+        topics.forEach(topic => write(topic, body));
+
+        const expansionState = doc.createElement('expansionState');
+        expansionState.textContent = expanded.join(',');
+        FreeMindFormat.append(head, expansionState);
+        FreeMindFormat.append(opml, head);
+        FreeMindFormat.append(opml, body);
+        opml.appendChild(doc.createTextNode('\n'));
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(doc) + '\n';
+    }
+}
 
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.classList.add('connection-line');
-        line.setAttribute('data-connection-id', connection.id);
-        line.setAttribute('x1', startNode.x);
-        line.setAttribute('y1', startNode.y);
-        line.setAttribute('x2', endNode.x);
-        line.setAttribute('y2', endNode.y);
+/**
+ * Mermaid diagrams: indented `mindmap` trees, and `flowchart` (or `graph`)
+ * nodes and edges with their styles. Reading gives topic trees and
+ * cross-links like FreeMindFormat's; in a flowchart, solid edges make the
+ * branches and dotted ones the cross-links. Throws an Error that names the
+ * line it could not read.
+ */
+class MermaidFormat {
+    static parse(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+        const skipBlank = () => {
+            while (index < lines.length && (!lines[index].trim() || lines[index].trim().startsWith('%%'))) {
+                index += 1;
+            }
+        };
 
-        line.addEventListener('click', (e) => this.handleConnectionClick(e, connection.id));
+        // YAML front matter may come first and give the diagram a title
+        let title = '';
+        skipBlank();
+        if (index < lines.length && lines[index].trim() === '---') {
+            const end = lines.findIndex((line, lineIndex) => lineIndex > index && line.trim() === '---');
+            if (end === -1) {
+                throw new Error(`Line ${index + 1}: the front matter is not closed with "---"`);
+            }
+            lines.slice(index + 1, end).forEach(line => {
+                const match = /^title:\s*(.*?)\s*$/.exec(line.trim());
+                if (match) title = match[1].replace(/^(["'])(.*)\1$/, '$2');
+            });
+            index = end + 1;
+            skipBlank();
+        }
 
-        this.connectionsLayer.appendChild(line);
+        if (index >= lines.length) {
+            throw new Error('The text holds no Mermaid diagram.');
+        }
+        const header = lines[index].trim();
+        let diagram;
+        if (/^mindmap\b/.test(header)) {
+            diagram = MermaidFormat.parseMindmap(lines, index + 1);
+        } else if (/^(flowchart|graph)\b/.test(header)) {
+            // Statements may follow the header on its own line ("graph TD; A --> B")
+            const remainder = header.replace(/^(flowchart|graph)(\s+(TB|TD|BT|RL|LR))?\s*;?\s*/, '');
+            if (remainder) lines[index] = remainder;
+            diagram = MermaidFormat.parseFlowchart(lines, remainder ? index : index + 1);
+        } else {
+            throw new Error(`Line ${index + 1}: expected "mindmap", "flowchart" or "graph" but found "${header}"`);
+        }
+        diagram.title = title;
+        return diagram;
     }
 
     /**
-     * Handle connection click events
+     * Whether pasted text starts like a Mermaid mindmap or flowchart
      */
-    handleConnectionClick(e, connectionId) {
-        e.stopPropagation();
-        if (this.currentTool === 'select') {
-            this.selectConnection(connectionId);
-        }
+    static detect(text) {
+        return /^(\s*%%[^\n]*\n)*\s*(---\n[\s\S]*?\n---\s*\n)?(\s*%%[^\n]*\n)*\s*(mindmap[ \t]*(\n|$)|(flowchart|graph)(\s+(TB|TD|BT|RL|LR))?[ \t]*(;|\n|$))/.test(String(text).replace(/\r\n?/g, '\n'));
     }
 
     /**
-     * Update temporary connection line
+     * Topic trees from the lines of a mindmap, nested by indentation
      */
-    updateTempConnection(x, y) {
-        if (!this.connectionStart) return;
+    static parseMindmap(lines, start) {
+        const unsupported = new Set();
+        const roots = [];
+        const stack = [];
+        lines.slice(start).forEach((line, offset) => {
+            const lineNumber = start + offset + 1;
+            const indent = line.replace(/\t/g, '    ').search(/\S/);
+            let content = line.trim();
+            if (!content || content.startsWith('%%')) return;
+            if (content.startsWith('::icon(')) {
+                unsupported.add('icons');
+                return;
+            }
+            const classes = /\s*:::[^"]*$/.exec(content);
+            if (classes) {
+                unsupported.add('classes');
+                content = content.slice(0, classes.index);
+            }
 
-        const startNode = this.nodes.get(this.connectionStart);
-        if (!startNode) return;
+            // Without a shape the whole line is the text
+            const shapeAt = content.search(/[([{)]/);
+            let node = { text: content, shape: null };
+            if (shapeAt !== -1) {
+                node = MermaidFormat.readShape(content, shapeAt, MERMAID_MINDMAP_SHAPES, lineNumber);
+                if (!node || node.end < content.length) {
+                    throw new Error(`Line ${lineNumber}: cannot read the node "${content}"`);
+                }
+            }
 
-        this.clearTempConnection();
+            while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+                stack.pop();
+            }
+            const topic = {
+                id: null,
+                text: RichText.escape(node.text),
+                notes: '',
+                children: [],
+                color: null,
+                textColor: null,
+                links: [],
+                collapsed: false,
+                icon: null,
+                shape: node.shape,
+                connectionColor: null
+            };
+            (stack.length > 0 ? stack[stack.length - 1].topic.children : roots).push(topic);
+            stack.push({ topic: topic, indent: indent });
+        });
+        return { topics: roots, crossLinks: [], unsupported: unsupported };
+    }
 
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.classList.add('temp-connection');
-        line.setAttribute('x1', startNode.x);
-        line.setAttribute('y1', startNode.y);
-        line.setAttribute('x2', x);
-        line.setAttribute('y2', y);
+    /**
+     * Topic trees and cross-links from the statements of a flowchart
+     */
+    static parseFlowchart(lines, start) {
+        const unsupported = new Set();
+        const nodes = new Map();
+        const edges = [];
+        const styles = [];
+        const linkStyles = [];
+        const declare = id => {
+            if (!nodes.has(id)) {
+                nodes.set(id, { id: id, text: id, shape: null, color: null, textColor: null, borderColor: null });
+            }
+            return nodes.get(id);
+        };
 
-        this.connectionsLayer.appendChild(line);
-        this.tempConnection = line;
+        lines.slice(start).forEach((line, offset) => {
+            const lineNumber = start + offset + 1;
+            MermaidFormat.statements(line).forEach(statement => {
+                if (!statement || statement.startsWith('%%') || statement === 'end') return;
+                let match;
+                if (/^subgraph\b/.test(statement)) {
+                    // The subgraph's nodes are kept, its box is not
+                    unsupported.add('subgraphs');
+                } else if ((match = /^(classDef|class|click|direction|accTitle|accDescr)\b/.exec(statement))) {
+                    unsupported.add(`"${match[1]}" statements`);
+                } else if ((match = /^style\s+([\w\u00C0-\uFFFF]+)\s+(.+)$/.exec(statement))) {
+                    styles.push({ id: match[1], properties: MermaidFormat.properties(match[2]) });
+                } else if ((match = /^linkStyle\s+(default|\d+(?:\s*,\s*\d+)*)\s+(.+)$/.exec(statement))) {
+                    linkStyles.push({ targets: match[1], properties: MermaidFormat.properties(match[2]), lineNumber: lineNumber });
+                } else {
+                    MermaidFormat.readChain(statement, lineNumber, declare, edges, unsupported);
+                }
+            });
+        });
+
+        const toColor = value => {
+            const color = MermaidFormat.color(value);
+            if (!color) unsupported.add(`color "${value}"`);
+            return color;
+        };
+        styles.forEach(({ id, properties }) => {
+            const node = declare(id);
+            properties.forEach((value, key) => {
+                if (key === 'fill' && /^(none|transparent)$/i.test(value)) {
+                    node.shape = 'text';
+                } else if (key === 'fill') {
+                    node.color = toColor(value);
+                } else if (key === 'color') {
+                    node.textColor = toColor(value);
+                } else if (key === 'stroke' && !/^(none|transparent)$/i.test(value)) {
+                    node.borderColor = toColor(value);
+                } else if (key !== 'stroke') {
+                    unsupported.add(`"${key}" styles`);
+                }
+            });
+        });
+        linkStyles.forEach(({ targets, properties, lineNumber }) => {
+            const indexes = targets === 'default' ? edges.map((edge, index) => index) : targets.split(',').map(Number);
+            indexes.forEach(index => {
+                if (!edges[index]) {
+                    throw new Error(`Line ${lineNumber}: there is no link number ${index} to style`);
+                }
+                properties.forEach((value, key) => {
+                    if (key === 'stroke') {
+                        edges[index].color = toColor(value);
+                    } else {
+                        unsupported.add(`"${key}" link styles`);
+                    }
+                });
+            });
+        });
+
+        const graph = Outline.fromGraph(Array.from(nodes.values()), edges);
+        return { topics: graph.topics, crossLinks: graph.crossLinks, unsupported: unsupported };
     }
 
     /**
-     * Clear temporary connection line
+     * Read one flowchart statement: nodes, optionally joined by links into a chain
+     * (A --> B & C -.-> D), adding the links to edges
      */
-    clearTempConnection() {
-        if (this.tempConnection) {
-            this.tempConnection.remove();
-            this.tempConnection = null;
+    static readChain(statement, lineNumber, declare, edges, unsupported) {
+        let position = 0;
+        const rest = () => statement.slice(position);
+        const skipSpace = () => {
+            position += /^\s*/.exec(rest())[0].length;
+        };
+        const readGroup = () => {
+            const ids = [];
+            do {
+                skipSpace();
+                const match = /^[\w\u00C0-\uFFFF]+/.exec(rest());
+                if (!match) {
+                    throw new Error(`Line ${lineNumber}: expected a node but found ${rest() ? `"${rest()}"` : 'the end of the line'}`);
+                }
+                position += match[0].length;
+                const node = declare(match[0]);
+                const shape = MermaidFormat.readShape(statement, position, MERMAID_FLOWCHART_SHAPES, lineNumber);
+                if (shape) {
+                    node.text = shape.text;
+                    node.shape = shape.shape;
+                    position = shape.end;
+                }
+                const classes = /^:::[\w-]+/.exec(rest());
+                if (classes) {
+                    unsupported.add('classes');
+                    position += classes[0].length;
+                }
+                ids.push(match[0]);
+                skipSpace();
+            } while (statement[position] === '&' && ++position);
+            return ids;
+        };
+        // Either "-- text -->" or a bare link with an optional |text|
+        const readLink = () => {
+            skipSpace();
+            let match = /^(<)?(--|==|-\.)\s+(\S.*?)\s+(-{2,}|={2,}|\.-+)(>)?(?![-=.>])/.exec(rest());
+            let link;
+            if (match) {
+                link = { left: match[1], body: match[2], label: match[3], right: match[5] };
+            } else if ((match = /^(<)?(-{2,}|={2,}|-?\.+-)(>|[xo](?![\w\u00C0-\uFFFF]))?(?:\s*\|([^|]*)\|)?/.exec(rest()))) {
+                link = { left: match[1], body: match[2], label: match[4] || '', right: match[3] };
+            } else {
+                throw new Error(`Line ${lineNumber}: expected a link such as "-->" but found "${rest()}"`);
+            }
+            position += match[0].length;
+            const label = link.label.trim().replace(/^"(.*)"$/, '$1');
+            return {
+                label: MermaidFormat.unescape(label),
+                arrows: link.right ? (link.left ? 'both' : 'end') : 'none',
+                dotted: link.body.includes('.')
+            };
+        };
+
+        let sources = readGroup();
+        while (position < statement.length) {
+            const link = readLink();
+            const targets = readGroup();
+            sources.forEach(from => targets.forEach(to => {
+                edges.push({ from: from, to: to, label: link.label, color: null, arrows: link.arrows, tree: !link.dotted });
+            }));
+            sources = targets;
         }
     }
 
     /**
-     * Select a node
+     * The shaped text at a position, as { text, shape, end }, or null when no shape opens there
      */
-    selectNode(nodeId) {
-        this.clearSelection();
-        this.selectedNodes.add(nodeId);
-        this.updateNodeSelection(nodeId, true);
+    static readShape(source, position, shapes, lineNumber) {
+        // Like Mermaid, the longest opening delimiter wins even if it is never closed
+        const matching = shapes.filter(([open]) => source.startsWith(open, position));
+        if (matching.length === 0) return null;
+        const candidates = matching.filter(([open]) => open.length === matching[0][0].length);
+
+        for (const [open, close, shape] of candidates) {
+            const start = position + open.length;
+            let text;
+            let end;
+            if (source[start] === '"') {
+                const quote = source.indexOf('"', start + 1);
+                if (quote === -1) {
+                    throw new Error(`Line ${lineNumber}: the quoted text is not closed`);
+                }
+                text = source.slice(start + 1, quote);
+                end = source.startsWith(close, quote + 1) ? quote + 1 : -1;
+            } else {
+                end = source.indexOf(close, start);
+                text = source.slice(start, end);
+            }
+            if (end !== -1) {
+                return { text: MermaidFormat.unescape(text.trim()), shape: shape, end: end + close.length };
+            }
+        }
+        throw new Error(`Line ${lineNumber}: "${candidates[0][0]}" is not closed with "${candidates[0][1]}"`);
     }
 
     /**
-     * Toggle node selection
+     * Split a line into statements at semicolons outside quotes
      */
-    toggleNodeSelection(nodeId) {
-        console.log('Toggle selection for node:', nodeId, 'Currently selected:', Array.from(this.selectedNodes));
-        if (this.selectedNodes.has(nodeId)) {
-            this.selectedNodes.delete(nodeId);
-            this.updateNodeSelection(nodeId, false);
-        } else {
-            this.selectedNodes.add(nodeId);
-            this.updateNodeSelection(nodeId, true);
+    static statements(line) {
+        const statements = [''];
+        let quoted = false;
+        for (const char of line) {
+            if (char === '"') quoted = !quoted;
+            if (char === ';' && !quoted) {
+                statements.push('');
+            } else {
+                statements[statements.length - 1] += char;
+            }
         }
-        console.log('After toggle, selected nodes:', Array.from(this.selectedNodes));
+        return statements.map(statement => statement.trim());
     }
 
     /**
-     * Select a connection
+     * Style properties ("fill:#f9f,color:#333") by name
      */
-    selectConnection(connectionId) {
-        this.clearSelection();
-        this.selectedConnections.add(connectionId);
-        this.updateConnectionSelection(connectionId, true);
+    static properties(text) {
+        const properties = new Map();
+        text.replace(/;\s*$/, '').split(',').forEach(pair => {
+            const colon = pair.indexOf(':');
+            if (colon !== -1) {
+                properties.set(pair.slice(0, colon).trim(), pair.slice(colon + 1).replace(/!important/, '').trim());
+            }
+        });
+        return properties;
     }
 
     /**
-     * Update node selection visual state
+     * A #RRGGBB colour from a hex or CSS colour name, or null
      */
-    updateNodeSelection(nodeId, selected) {
-        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-        console.log('Updating node selection:', nodeId, 'selected:', selected, 'element found:', !!nodeElement);
-        if (nodeElement) {
-            if (selected) {
-                nodeElement.classList.add('selected');
-                console.log('Added selected class to node:', nodeId);
+    static color(value) {
+        const text = String(value || '').trim();
+        const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(text);
+        if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toUpperCase();
+        const hex = /^#[0-9a-f]{6}/i.exec(text);
+        if (hex) return hex[0].toUpperCase();
+        if (!/^[a-z]+$/i.test(text)) return null;
+
+        // The canvas turns any colour name it knows into hex, and leaves the old value otherwise
+        const context = document.createElement('canvas').getContext('2d');
+        if (!context) return null;
+        context.fillStyle = '#010203';
+        context.fillStyle = text;
+        return /^#[0-9a-f]{6}$/i.test(context.fillStyle) && context.fillStyle !== '#010203' ? context.fillStyle.toUpperCase() : null;
+    }
+
+    /**
+     * Label text from Mermaid's entity codes, <br> breaks and `markdown strings`
+     */
+    static unescape(text) {
+        const markdown = /^`([\s\S]*)`$/.exec(text);
+        const names = { quot: '"', amp: '&', lt: '<', gt: '>', apos: '\'', nbsp: ' ' };
+        return (markdown ? markdown[1] : text)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+            .replace(/#(quot|amp|lt|gt|apos|nbsp);/g, (entity, name) => names[name]);
+    }
+
+    /**
+     * Label text with the characters that would end it written as entity codes
+     */
+    static escape(text) {
+        return text.replace(/#(?=\w+;)/g, '#35;').replace(/"/g, '#quot;').replace(/\|/g, '#124;').replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Write topic trees as a Mermaid mindmap; several trees share a root named after the title
+     */
+    static stringifyMindmap(topics, title) {
+        const delimiters = { circle: ['((', '))'], cloud: [')', '('], hexagon: ['{{', '}}'], pill: ['(', ')'], ellipse: ['(', ')'] };
+        const lines = ['mindmap'];
+        const write = (topic, depth) => {
+            const text = topic.text.replace(/\s*\n\s*/g, ' ').trim() || '(empty)';
+            // Text-only nodes are Mermaid's default, unboxed shape when the text allows it
+            if (topic.shape === 'text' && /^[^()[\]{}"]+$/.test(text) && !text.startsWith('::')) {
+                lines.push('  '.repeat(depth) + text);
             } else {
-                nodeElement.classList.remove('selected');
-                console.log('Removed selected class from node:', nodeId);
+                const [open, close] = delimiters[topic.shape] || ['[', ']'];
+                lines.push(`${'  '.repeat(depth)}${topic.id}${open}"${MermaidFormat.escape(topic.text)}"${close}`);
+            }
+            topic.children.forEach(child => write(child, depth + 1));
+        };
+
+        const roots = topics.length === 1 ? topics : [{ id: 'root', text: title, children: topics, shape: 'circle' }];
+        roots.forEach(root => write(root, 1));
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write diagram nodes ({ id, text, shape, color, textColor, borderColor }) and edges
+     * ({ from, to, label, color, arrows, tree }) as a left-to-right Mermaid flowchart
+     */
+    static stringifyFlowchart(nodes, edges) {
+        const delimiters = {
+            circle: ['((', '))'],
+            pill: ['([', '])'],
+            hexagon: ['{{', '}}'],
+            parallelogram: ['[/', '/]'],
+            ellipse: ['(', ')'],
+            diamond: ['{', '}']
+        };
+        const lines = ['flowchart LR'];
+        nodes.forEach(node => {
+            const [open, close] = delimiters[node.shape] || ['[', ']'];
+            lines.push(`    ${node.id}${open}"${MermaidFormat.escape(node.text)}"${close}`);
+        });
+        edges.forEach(edge => {
+            const line = edge.tree ? '--' : '-.-';
+            const link = (edge.arrows === 'both' ? '<' : '') + line + (edge.arrows === 'none' ? (edge.tree ? '-' : '') : '>');
+            const label = edge.label ? `|"${MermaidFormat.escape(edge.label)}"|` : '';
+            lines.push(`    ${edge.from} ${link}${label} ${edge.to}`);
+        });
+        nodes.forEach(node => {
+            const properties = [];
+            if (node.shape === 'text') {
+                properties.push('fill:none', 'stroke:none');
+            } else {
+                if (node.color) properties.push(`fill:${node.color}`);
+                if (node.borderColor) properties.push(`stroke:${node.borderColor}`);
+            }
+            if (node.textColor) properties.push(`color:${node.textColor}`);
+            if (properties.length > 0) lines.push(`    style ${node.id} ${properties.join(',')}`);
+        });
+        edges.forEach((edge, index) => {
+            if (edge.color) lines.push(`    linkStyle ${index} stroke:${edge.color}`);
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Graphviz DOT graphs. Reading gives topic trees and cross-links like
+ * MermaidFormat's: edges with constraint=false are the cross-links, the
+ * rest make the branches. Subgraphs are flattened into their nodes. Throws
+ * an Error that names the line it could not read.
+ */
+class DotFormat {
+    static parse(text) {
+        const tokens = DotFormat.tokenize(String(text));
+        let position = 0;
+        const peek = () => tokens[position];
+        const fail = expected => {
+            const token = peek();
+            const line = token ? token.line : (tokens.length > 0 ? tokens[tokens.length - 1].line : 1);
+            throw new Error(`Line ${line}: expected ${expected} but found ${token ? `"${token.value}"` : 'the end of the text'}`);
+        };
+        const accept = value => {
+            const token = peek();
+            if (token && token.type !== 'id' && token.value === value) {
+                position += 1;
+                return true;
+            }
+            return false;
+        };
+        const expect = value => {
+            if (!accept(value)) fail(`"${value}"`);
+        };
+        const keyword = word => {
+            const token = peek();
+            if (token && token.type === 'id' && !token.quoted && token.value.toLowerCase() === word) {
+                position += 1;
+                return true;
             }
+            return false;
+        };
+        const name = () => {
+            const token = peek();
+            if (!token || token.type !== 'id') fail('a name');
+            position += 1;
+            return token;
+        };
+
+        keyword('strict');
+        let directed;
+        if (keyword('digraph')) {
+            directed = true;
+        } else if (keyword('graph')) {
+            directed = false;
+        } else {
+            fail('"graph" or "digraph"');
         }
+        const title = peek() && peek().type === 'id' ? name().value : '';
+        expect('{');
+
+        const unsupported = new Set();
+        const nodes = new Map();
+        const edges = [];
+        // Names met inside each open { } group, so a whole group can end an edge
+        const groups = [];
+        const attributeList = () => {
+            const attributes = {};
+            while (accept('[')) {
+                while (!accept(']')) {
+                    const key = name().value.toLowerCase();
+                    const value = accept('=') ? name() : { value: 'true' };
+                    if (value.html) unsupported.add('HTML labels');
+                    attributes[key] = value.value;
+                    if (!accept(',')) accept(';');
+                }
+            }
+            return attributes;
+        };
+        const declare = (id, defaults) => {
+            if (!nodes.has(id)) nodes.set(id, Object.assign({}, defaults));
+            groups.forEach(group => group.add(id));
+        };
+        const operand = scope => {
+            const subgraph = keyword('subgraph');
+            if (subgraph || (peek() && peek().type === 'punct' && peek().value === '{')) {
+                if (subgraph) {
+                    unsupported.add('subgraphs');
+                    if (peek() && peek().type === 'id') name();
+                }
+                expect('{');
+                const group = new Set();
+                groups.push(group);
+                statements({ node: Object.assign({}, scope.node), edge: Object.assign({}, scope.edge) });
+                groups.pop();
+                return { ids: Array.from(group), subgraph: true };
+            }
+            const id = name().value;
+            if (accept(':')) {
+                name();
+                if (accept(':')) name();
+                unsupported.add('ports');
+            }
+            declare(id, scope.node);
+            return { ids: [id], subgraph: false };
+        };
+        const statements = scope => {
+            while (!accept('}')) {
+                if (!peek()) fail('"}"');
+                if (accept(';')) continue;
+
+                const token = peek();
+                const next = tokens[position + 1];
+                const kind = token.type === 'id' && !token.quoted ? token.value.toLowerCase() : '';
+                if (['graph', 'node', 'edge'].includes(kind) && next && next.value === '[') {
+                    position += 1;
+                    const attributes = attributeList();
+                    if (kind !== 'graph') Object.assign(scope[kind], attributes);
+                    continue;
+                }
+                if (token.type === 'id' && next && next.type === 'punct' && next.value === '=') {
+                    // A graph attribute such as rankdir=LR
+                    position += 2;
+                    name();
+                    continue;
+                }
+
+                const first = operand(scope);
+                if (peek() && peek().type === 'edge') {
+                    const chain = [first.ids];
+                    while (peek() && peek().type === 'edge') {
+                        const operator = peek();
+                        if ((operator.value === '->') !== directed) {
+                            throw new Error(`Line ${operator.line}: a ${directed ? 'digraph' : 'graph'} joins nodes with "${directed ? '->' : '--'}"`);
+                        }
+                        position += 1;
+                        chain.push(operand(scope).ids);
+                    }
+                    const attributes = Object.assign({}, scope.edge, attributeList());
+                    for (let index = 1; index < chain.length; index++) {
+                        chain[index - 1].forEach(from => chain[index].forEach(to => {
+                            edges.push({ from: from, to: to, attributes: attributes });
+                        }));
+                    }
+                } else if (!first.subgraph) {
+                    Object.assign(nodes.get(first.ids[0]), attributeList());
+                }
+            }
+        };
+        statements({ node: {}, edge: {} });
+        if (peek()) fail('the end of the text');
+
+        const toColor = value => {
+            if (!value) return null;
+            const color = MermaidFormat.color(value);
+            if (!color) unsupported.add(`color "${value}"`);
+            return color;
+        };
+        const report = (attributes, known, kind) => Object.keys(attributes).forEach(key => {
+            if (!known.includes(key)) unsupported.add(`"${key}" ${kind} attributes`);
+        });
+
+        const graphNodes = Array.from(nodes, ([id, attributes]) => {
+            report(attributes, ['label', 'shape', 'style', 'color', 'fillcolor', 'fontcolor', 'fontname'], 'node');
+            const style = (attributes.style || '').toLowerCase();
+            const filled = style.includes('filled');
+            const shapeName = attributes.shape || 'ellipse';
+            let shape = DOT_SHAPES[shapeName] || DOT_SHAPES[shapeName.toLowerCase()] || null;
+            if (!shape) unsupported.add(`"${shapeName}" shapes`);
+            if (shape === 'rectangle' && style.includes('rounded')) shape = 'pill';
+            return {
+                id: id,
+                text: DotFormat.label(attributes.label, id),
+                shape: shape,
+                color: shape === 'text' ? null : toColor(attributes.fillcolor || (filled ? attributes.color : null)),
+                textColor: toColor(attributes.fontcolor),
+                borderColor: filled && !attributes.fillcolor ? null : toColor(attributes.color)
+            };
+        });
+        const graphEdges = edges.map(({ from, to, attributes }) => {
+            report(attributes, ['label', 'color', 'dir', 'constraint', 'style', 'arrowhead', 'arrowtail', 'penwidth'], 'edge');
+            const dir = (attributes.dir || (directed ? 'forward' : 'none')).toLowerCase();
+            // Connections have no arrow at the start only, so such an edge is turned around
+            const reversed = dir === 'back';
+            return {
+                from: reversed ? to : from,
+                to: reversed ? from : to,
+                label: attributes.label ? DotFormat.label(attributes.label, '') : '',
+                color: toColor(attributes.color),
+                arrows: dir === 'both' ? 'both' : dir === 'none' ? 'none' : 'end',
+                tree: !/^(false|no|0)$/i.test(attributes.constraint || '')
+            };
+        });
+
+        const graph = Outline.fromGraph(graphNodes, graphEdges);
+        return { topics: graph.topics, crossLinks: graph.crossLinks, unsupported: unsupported, title: title };
     }
 
     /**
-     * Update connection selection visual state
+     * Whether pasted text starts like a DOT graph
      */
-    updateConnectionSelection(connectionId, selected) {
-        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
-        if (connectionElement) {
-            if (selected) {
-                connectionElement.classList.add('selected');
+    static detect(text) {
+        return /^(\s*(\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/))*\s*(strict\s+)?(di)?graph\b[^{;]*\{/i.test(String(text));
+    }
+
+    /**
+     * Split DOT text into names, punctuation and edge operators, each with its line
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let line = 1;
+        let index = 0;
+        while (index < text.length) {
+            const char = text[index];
+            const atLineStart = index === 0 || text[index - 1] === '\n';
+            if (char === '\n') {
+                line += 1;
+                index += 1;
+            } else if (/\s/.test(char)) {
+                index += 1;
+            } else if (text.startsWith('//', index) || (char === '#' && atLineStart)) {
+                while (index < text.length && text[index] !== '\n') index += 1;
+            } else if (text.startsWith('/*', index)) {
+                const end = text.indexOf('*/', index + 2);
+                if (end === -1) throw new Error(`Line ${line}: the comment is not closed with "*/"`);
+                line += (text.slice(index, end).match(/\n/g) || []).length;
+                index = end + 2;
+            } else if (text.startsWith('->', index) || text.startsWith('--', index)) {
+                tokens.push({ type: 'edge', value: text.substr(index, 2), line: line });
+                index += 2;
+            } else if ('{}[]=;,:'.includes(char)) {
+                tokens.push({ type: 'punct', value: char, line: line });
+                index += 1;
+            } else if (char === '"') {
+                // Only \" is undone here; labels keep their other escapes until read
+                const startLine = line;
+                let value = '';
+                index += 1;
+                while (index < text.length && text[index] !== '"') {
+                    if (text[index] === '\\' && text[index + 1] === '"') {
+                        value += '"';
+                        index += 2;
+                    } else if (text[index] === '\\' && text[index + 1] === '\n') {
+                        line += 1;
+                        index += 2;
+                    } else if (text[index] === '\\') {
+                        value += text.substr(index, 2);
+                        index += 2;
+                    } else {
+                        if (text[index] === '\n') line += 1;
+                        value += text[index];
+                        index += 1;
+                    }
+                }
+                if (index >= text.length) throw new Error(`Line ${startLine}: the quoted text is not closed`);
+                index += 1;
+                tokens.push({ type: 'id', value: value, line: startLine, quoted: true });
+            } else if (char === '<') {
+                // HTML-like labels keep their text only
+                const startLine = line;
+                let depth = 0;
+                let end = index;
+                do {
+                    if (text[end] === '<') depth += 1;
+                    if (text[end] === '>') depth -= 1;
+                    if (text[end] === '\n') line += 1;
+                    end += 1;
+                } while (end < text.length && depth > 0);
+                if (depth > 0) throw new Error(`Line ${startLine}: the HTML label is not closed with ">"`);
+                const html = text.slice(index + 1, end - 1);
+                tokens.push({ type: 'id', value: html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim(), line: startLine, quoted: true, html: true });
+                index = end;
             } else {
-                connectionElement.classList.remove('selected');
+                const match = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*)/.exec(text.slice(index, index + 256));
+                if (!match) throw new Error(`Line ${line}: unexpected "${char}"`);
+                tokens.push({ type: 'id', value: match[0], line: line });
+                index += match[0].length;
             }
         }
+        return tokens;
     }
 
     /**
-     * Clear all selections
+     * Label text with DOT's escapes read: \n, \l and \r break lines, \N is the node name
      */
-    clearSelection() {
-        this.selectedNodes.forEach(nodeId => this.updateNodeSelection(nodeId, false));
-        this.selectedConnections.forEach(connectionId => this.updateConnectionSelection(connectionId, false));
-        this.selectedNodes.clear();
-        this.selectedConnections.clear();
+    static label(value, nodeName) {
+        if (value === undefined) return nodeName;
+        return value
+            .replace(/\\(.)/g, (escape, char) => char === 'N' ? nodeName : 'nlr'.includes(char) ? '\n' : char)
+            .replace(/\n$/, '');
     }
 
     /**
-     * Move a node to new position
+     * Write diagram nodes and edges, as MermaidFormat.stringifyFlowchart takes them, as a
+     * left-to-right digraph on the map's background and font
      */
-    moveNode(nodeId, x, y) {
-        const node = this.nodes.get(nodeId);
-        if (!node) return;
+    static stringify(nodes, edges, title, background, fontName) {
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+        const shapes = {
+            circle: 'circle',
+            square: 'square',
+            rectangle: 'box',
+            pill: 'box',
+            ellipse: 'ellipse',
+            diamond: 'diamond',
+            hexagon: 'hexagon',
+            parallelogram: 'parallelogram',
+            cloud: 'ellipse',
+            text: 'plaintext'
+        };
+        const lines = [
+            `digraph ${quote(title)} {`,
+            `    graph [rankdir=LR, bgcolor=${quote(background)}];`,
+            `    node [fontname=${quote(fontName)}];`
+        ];
+        nodes.forEach(node => {
+            const attributes = [`label=${quote(node.text)}`, `shape=${shapes[node.shape] || 'ellipse'}`];
+            const styles = node.shape === 'pill' ? ['rounded'] : [];
+            if (node.color && node.shape !== 'text') {
+                styles.push('filled');
+                attributes.push(`fillcolor=${quote(node.color)}`);
+            }
+            if (styles.length > 0) attributes.push(`style=${quote(styles.join(','))}`);
+            if (node.textColor) attributes.push(`fontcolor=${quote(node.textColor)}`);
+            if (node.borderColor) attributes.push(`color=${quote(node.borderColor)}`);
+            lines.push(`    ${quote(node.id)} [${attributes.join(', ')}];`);
+        });
+        edges.forEach(edge => {
+            const attributes = [];
+            if (!edge.tree) attributes.push('constraint=false');
+            if (edge.arrows !== 'end') attributes.push(`dir=${edge.arrows === 'both' ? 'both' : 'none'}`);
+            if (edge.color) attributes.push(`color=${quote(edge.color)}`);
+            if (edge.label) attributes.push(`label=${quote(edge.label)}`);
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
 
-        node.x = x;
-        node.y = y;
+/**
+ * Markdown-lite markup for node labels: **bold**, *italic*, `code`,
+ * [text](url) links and line breaks. Parsing never fails; anything that
+ * is not valid markup is kept as literal text.
+ */
+class RichText {
+    /**
+     * Split a label into lines of styled runs ({ text, bold, italic, code, href }).
+     * Each run also lists where its characters sit in the label (sources).
+     */
+    static parse(text) {
+        let offset = 0;
+        return String(text).split('\n').map(line => {
+            const runs = RichText.parseLine(line, {}, offset);
+            offset += line.length + 1;
+            return runs;
+        });
+    }
 
-        // Update node position
-        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-        if (nodeElement) {
-            nodeElement.setAttribute('transform', `translate(${x}, ${y})`);
+    /**
+     * Parse one line, found at offset in the label, starting from the style of the markup around it
+     */
+    static parseLine(line, inherited, offset = 0) {
+        const runs = [];
+        const style = { bold: !!inherited.bold, italic: !!inherited.italic };
+        const link = inherited.href ? { href: inherited.href } : {};
+        let buffer = '';
+        let sources = [];
+        const flush = () => {
+            if (buffer) {
+                runs.push(Object.assign({ text: buffer, sources: sources }, style, link));
+                buffer = '';
+                sources = [];
+            }
+        };
+
+        let i = 0;
+        while (i < line.length) {
+            const char = line[i];
+
+            // A backslash makes the next markup character literal
+            if (char === '\\' && i + 1 < line.length && '\\*`[]()'.includes(line[i + 1])) {
+                buffer += line[i + 1];
+                sources.push(offset + i + 1);
+                i += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                const end = line.indexOf('`', i + 1);
+                if (end > i + 1) {
+                    flush();
+                    const code = line.slice(i + 1, end);
+                    runs.push(Object.assign({ text: code, sources: Array.from(code, (c, index) => offset + i + 1 + index), code: true }, style, link));
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            // Like Markdown, a marker opens before a non-space with a closing marker
+            // later on the line, and closes after a non-space
+            const opens = marker => !/\s/.test(line[i + marker.length] || ' ') &&
+                line.indexOf(marker, i + marker.length + 1) !== -1;
+            const closes = () => i > 0 && !/\s/.test(line[i - 1]);
+
+            if (line.startsWith('**', i) && (style.bold ? closes() : opens('**'))) {
+                flush();
+                style.bold = !style.bold;
+                i += 2;
+                continue;
+            }
+
+            if (char === '*' && (style.italic ? closes() : opens('*'))) {
+                flush();
+                style.italic = !style.italic;
+                i += 1;
+                continue;
+            }
+
+            if (char === '[' && !inherited.href) {
+                const match = /^\[([^\]]+)\]\(([^)\s]+)\)/.exec(line.slice(i));
+                const url = match && RichText.safeUrl(match[2]);
+                if (url) {
+                    flush();
+                    runs.push(...RichText.parseLine(match[1], { bold: style.bold, italic: style.italic, href: url }, offset + i + 1));
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            buffer += char;
+            sources.push(offset + i);
+            i += 1;
         }
 
-        // Update connected lines
-        this.updateNodeConnections(nodeId);
+        flush();
+        return runs;
     }
 
     /**
-     * Update connections for a specific node
+     * Replace pattern matches in the plain text of a label (as toPlainText gives it) while
+     * keeping the markup around them. The replacer gets String.replace's arguments and
+     * returns plain text; markup inside a replaced stretch is kept after the new text.
      */
-    updateNodeConnections(nodeId) {
-        this.connections.forEach(connection => {
-            if (connection.start === nodeId || connection.end === nodeId) {
-                this.updateConnectionPosition(connection.id);
+    static replace(text, pattern, replacer) {
+        // For each plain character, where it sits in the label and whether it is code
+        const sources = [];
+        const code = [];
+        let plain = '';
+        let lineEnd = -1;
+        RichText.parse(text).forEach(runs => {
+            runs.forEach(run => {
+                plain += run.text;
+                sources.push(...run.sources);
+                code.push(...run.sources.map(() => !!run.code));
+            });
+            lineEnd = String(text).indexOf('\n', lineEnd + 1);
+            if (lineEnd !== -1) {
+                plain += '\n';
+                sources.push(lineEnd);
+                code.push(false);
+            }
+        });
+
+        const edits = [];
+        plain.replace(pattern, (...args) => {
+            const offset = args[args.length - (typeof args[args.length - 1] === 'object' ? 3 : 2)];
+            edits.push({ start: offset, end: offset + args[0].length, text: replacer(...args) });
+            return args[0];
+        });
+
+        let result = String(text);
+        const allMapped = new Set(sources);
+        for (let i = edits.length - 1; i >= 0; i--) {
+            const edit = edits[i];
+            let rawStart = edit.start < sources.length ? sources[edit.start] : result.length;
+            // The backslash escaping the first character goes with it
+            if (edit.end > edit.start && result[rawStart - 1] === '\\' && !allMapped.has(rawStart - 1)) {
+                rawStart -= 1;
+            }
+            const rawEnd = edit.end > edit.start ? sources[edit.end - 1] + 1 : rawStart;
+            const mapped = new Set(sources.slice(edit.start, edit.end));
+            let kept = '';
+            for (let j = rawStart; j < rawEnd; j++) {
+                const escape = result[j] === '\\' && mapped.has(j + 1);
+                if (!mapped.has(j) && !escape) kept += result[j];
+            }
+            const replacement = code[edit.start] ? edit.text : edit.text.replace(/[\\*`[\]]/g, '\\$&');
+            result = result.slice(0, rawStart) + replacement + kept + result.slice(rawEnd);
+        }
+        return result;
+    }
+
+    /**
+     * Only web and mail links are followed; bare domains get https://
+     */
+    static safeUrl(url) {
+        if (/^(https?:|mailto:)/i.test(url)) return url;
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return null;
+        return /^[^/]+\.[^/]+/.test(url) ? `https://${url}` : null;
+    }
+
+    /**
+     * Style the whole label shares: { bold, italic, href }, false or null where some text lacks it
+     */
+    static commonStyle(text) {
+        const runs = [].concat(...RichText.parse(text)).filter(run => run.text.trim());
+        const every = key => runs.length > 0 && runs.every(run => run[key]);
+        return {
+            bold: every('bold'),
+            italic: every('italic'),
+            href: every('href') && runs.every(run => run.href === runs[0].href) ? runs[0].href : null
+        };
+    }
+
+    /**
+     * Escape the markup characters in plain text so that it reads literally as a label
+     */
+    static escape(text) {
+        return String(text).replace(/[\\*`[\]()]/g, '\\$&');
+    }
+
+    /**
+     * Strip the markup from a label, optionally keeping link targets as "text (url)"
+     */
+    static toPlainText(text, withUrls = false) {
+        return RichText.parse(text).map(runs => runs.map((run, index) => {
+            const next = runs[index + 1];
+            const endsLink = run.href && (!next || next.href !== run.href);
+            return withUrls && endsLink && run.text !== run.href ? `${run.text} (${run.href})` : run.text;
+        }).join('')).join('\n');
+    }
+}
+
+class MindMapCreator {
+    constructor() {
+        // Core application state
+        this.nodes = new Map();
+        this.connections = new Map();
+        this.selectedNodes = new Set();
+        this.selectedConnections = new Set();
+        this.currentTool = 'select';
+        this.isConnecting = false;
+        this.connectionStart = null;
+        this.tempConnection = null;
+        this.isDragging = false;
+        this.dragOffsets = new Map();
+        this.isPanning = false;
+        this.panStart = null;
+        this.marquee = null;
+        this.spacePressed = false;
+        this.suppressNextClick = false;
+
+        // Pointer gesture state (touch, pen and mouse)
+        this.activePointers = new Map();
+        this.pointerGesture = null;
+        this.pinch = null;
+        this.longPressTimer = null;
+        this.lastTap = null;
+        this.lastEditRequest = null;
+        this.lastPointerType = 'mouse';
+        this.dropTargetId = null;
+
+        // Where the pointer last was over the canvas, so pastes land under it
+        this.lastPointerClient = null;
+        // The last copied nodes, for browsers that drop the JSON clipboard type
+        this.clipboard = null;
+
+        // Running layout animation, if any
+        this.layoutAnimation = null;
+
+        // Nodes inside collapsed branches
+        this.hiddenNodes = new Set();
+
+        // Map-wide tag list ({ name, color }) and the legend's filter; in 'only'
+        // mode the nodes without a filtered tag are hidden instead of dimmed
+        this.tags = [];
+        this.tagFilter = { names: new Set(), mode: 'highlight' };
+        this.filteredNodes = new Set();
+        // Map theme; nodes and connections without their own style follow it
+        this.theme = this.cloneTheme(THEMES.find(theme => theme.id === DEFAULT_THEME_ID));
+
+        // Tags chosen in the style dialog, and those the edited nodes started with
+        this.pendingTags = [];
+        this.originalTags = [];
+
+        this.nodeCounter = 0;
+        this.connectionCounter = 0;
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+
+        // Undo/redo history
+        this.history = new HistoryManager();
+        this.history.onChange = () => this.updateHistoryButtons();
+        this.dragStartState = null;
+
+        // In-place text editor over a node, if one is open
+        this.inlineEditor = null;
+
+        // Text measurement: a canvas context and the widths it has measured
+        this.measureContext = null;
+        this.textWidthCache = new Map();
+
+        // Autosave state
+        this.isDirty = false;
+        this.autosaveTimer = null;
+
+        // DOM elements
+        this.canvas = document.getElementById('mindmapCanvas');
+        this.nodesLayer = document.getElementById('nodesLayer');
+        this.connectionsLayer = document.getElementById('connectionsLayer');
+        this.viewportLayer = document.getElementById('viewportLayer');
+        this.connectionOverlay = document.getElementById('connectionOverlay');
+
+        // Initialize the application
+        this.init();
+    }
+
+    /**
+     * Initialize the mindmap application
+     */
+    init() {
+        this.setupEventListeners();
+        this.setupToolbar();
+        this.setupModals();
+        this.setupDetailsPanel();
+        this.setupSearch();
+        this.setupTags();
+        this.setupThemes();
+        
+        // Labels measured before the web font arrived are wrapped again once it has
+        if (document.fonts && document.fonts.ready) {
+            document.fonts.ready.then(() => {
+                this.textWidthCache.clear();
+                this.nodes.forEach(node => this.refreshNode(node.id));
+            });
+        }
+        
+        // Wait for DOM to be fully rendered before creating welcome node
+        setTimeout(() => {
+            this.createWelcomeNode();
+        }, 100);
+        
+        // Show instructions panel initially
+        setTimeout(() => {
+            document.getElementById('instructionsPanel').style.display = 'block';
+        }, 1000);
+    }
+
+    /**
+     * Set up all event listeners for the application
+     */
+    setupEventListeners() {
+        // Canvas events
+        this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
+        this.canvas.addEventListener('pointerdown', this.handleCanvasPointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handleCanvasPointerMove.bind(this));
+        this.canvas.addEventListener('pointerleave', () => { this.lastPointerClient = null; });
+        this.canvas.addEventListener('pointerup', this.handleCanvasPointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handleCanvasPointerUp.bind(this));
+        this.canvas.addEventListener('wheel', this.handleCanvasWheel.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleCanvasContextMenu.bind(this));
+
+        // Keyboard events
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        document.addEventListener('copy', (e) => this.handleCopy(e, false));
+        document.addEventListener('cut', (e) => this.handleCopy(e, true));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+
+        // Window events
+        window.addEventListener('resize', this.handleResize.bind(this));
+        window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+
+        // Renaming the map counts as an unsaved change
+        document.getElementById('projectTitle').addEventListener('input', () => this.markDirty());
+    }
+
+    /**
+     * Set up toolbar functionality
+     */
+    setupToolbar() {
+        // Tool selection
+        document.getElementById('selectTool').addEventListener('click', () => this.setTool('select'));
+        document.getElementById('nodeTool').addEventListener('click', () => this.setTool('node'));
+        document.getElementById('connectionTool').addEventListener('click', () => this.setTool('connection'));
+        document.getElementById('panTool').addEventListener('click', () => this.setTool('pan'));
+
+        // History
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        this.updateHistoryButtons();
+
+        // Actions
+        document.getElementById('styleBtn').addEventListener('click', () => this.editSelectedStyle());
+        document.getElementById('detailsBtn').addEventListener('click', () => this.toggleDetailsPanel());
+        document.getElementById('tagsBtn').addEventListener('click', () => this.toggleTagLegend());
+        document.getElementById('deleteBtn').addEventListener('click', () => this.deleteSelected());
+        document.getElementById('clearBtn').addEventListener('click', () => this.clearAll());
+        
+        // Zoom controls
+        document.getElementById('zoomInBtn').addEventListener('click', () => this.zoomIn());
+        document.getElementById('zoomOutBtn').addEventListener('click', () => this.zoomOut());
+        document.getElementById('resetZoomBtn').addEventListener('click', () => this.resetZoom());
+        document.getElementById('zoomFitBtn').addEventListener('click', () => this.zoomToFit());
+        document.getElementById('zoomSelectionBtn').addEventListener('click', () => this.zoomToSelection());
+
+        // Save/Load
+        document.getElementById('saveBtn').addEventListener('click', () => this.showSaveModal());
+        document.getElementById('loadBtn').addEventListener('click', () => this.showLoadModal());
+
+        // Map files
+        document.getElementById('downloadMapBtn').addEventListener('click', () => this.downloadMindMapFile());
+        document.getElementById('openFileBtn').addEventListener('click', () => this.showOpenFileDialog());
+        document.getElementById('mapFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.openMapFile(file);
+            }
+        });
+        this.setupFileDrop();
+
+        // Layout
+        document.getElementById('layoutRadialBtn').addEventListener('click', () => this.applyLayout('radial'));
+        document.getElementById('layoutTreeBtn').addEventListener('click', () => this.applyLayout('tree'));
+        document.getElementById('layoutOrgBtn').addEventListener('click', () => this.applyLayout('org'));
+        document.getElementById('layoutForceBtn').addEventListener('click', () => this.applyLayout('force'));
+
+        // Collapsing branches
+        document.getElementById('toggleBranchBtn').addEventListener('click', () => this.toggleSelectedBranches());
+        document.getElementById('expandAllBtn').addEventListener('click', () => this.expandAll());
+        document.querySelectorAll('[data-collapse-level]').forEach(item => {
+            item.addEventListener('click', () => this.collapseToLevel(parseInt(item.getAttribute('data-collapse-level'), 10)));
+        });
+
+        // Export
+        document.getElementById('exportSvgBtn').addEventListener('click', () => this.showExportModal('svg'));
+        document.getElementById('exportPngBtn').addEventListener('click', () => this.showExportModal('png'));
+        document.getElementById('exportMarkdownBtn').addEventListener('click', () => this.exportMarkdown());
+        document.getElementById('exportFreeMindBtn').addEventListener('click', () => this.exportFreeMind());
+        document.getElementById('exportOpmlBtn').addEventListener('click', () => this.exportOpml());
+        document.getElementById('exportMermaidMindmapBtn').addEventListener('click', () => this.exportMermaid('mindmap'));
+        document.getElementById('exportMermaidFlowchartBtn').addEventListener('click', () => this.exportMermaid('flowchart'));
+        document.getElementById('exportDotBtn').addEventListener('click', () => this.exportDot());
+        this.setupDropdowns();
+
+        // Instructions
+        document.getElementById('closeInstructions').addEventListener('click', () => {
+            document.getElementById('instructionsPanel').style.display = 'none';
+        });
+    }
+
+    /**
+     * Set up modal functionality
+     */
+    setupModals() {
+        // Node edit modal
+        const nodeModal = document.getElementById('nodeEditModal');
+        document.getElementById('closeModal').addEventListener('click', () => this.hideNodeModal());
+        document.getElementById('cancelEdit').addEventListener('click', () => this.hideNodeModal());
+        document.getElementById('saveEdit').addEventListener('click', () => this.saveNodeEdit());
+
+        // Node color presets, drawn from the theme palette
+        document.getElementById('nodeColorPresets').addEventListener('click', (e) => {
+            const preset = e.target.closest('.color-preset');
+            if (!preset) return;
+            document.getElementById('nodeColor').value = preset.dataset.color;
+            document.querySelectorAll('#nodeColorPresets .color-preset').forEach(p => p.classList.remove('selected'));
+            preset.classList.add('selected');
+        });
+        document.getElementById('nodeThemeColors').addEventListener('click', () => this.resetColorSettings());
+        document.getElementById('nodeDefaultBorder').addEventListener('click', () => this.resetBorderSettings());
+
+        // Text color presets
+        document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
+            preset.addEventListener('click', (e) => {
+                document.getElementById('textColor').value = e.target.dataset.color;
+                document.querySelectorAll('#textColorPresets .color-preset').forEach(p => p.classList.remove('selected'));
+                e.target.classList.add('selected');
+            });
+        });
+
+        // Shape selector
+        document.querySelectorAll('.shape-option').forEach(option => {
+            option.addEventListener('click', (e) => {
+                const shape = e.currentTarget.dataset.shape;
+                document.querySelectorAll('.shape-option').forEach(opt => opt.classList.remove('selected'));
+                e.currentTarget.classList.add('selected');
+                // Store selected shape for saving
+                this.selectedShape = shape;
+
+                // A text colour that follows the theme changes with the shape, and
+                // white text would vanish without a shape behind it
+                const textColor = document.getElementById('textColor');
+                const node = this.nodes.get(this.currentEditingNode || (this.currentEditingNodes || [])[0]);
+                if (node && (this.colorReset || !node.textColor) &&
+                    textColor.value.toLowerCase() === this.colorFormDefaults.textColor.toLowerCase()) {
+                    const themed = this.getNodeStyle(Object.assign({}, node, { textColor: null, shape: shape })).textColor;
+                    this.colorFormDefaults.textColor = themed;
+                    this.showColorSettings(document.getElementById('nodeColor').value, themed);
+                } else if (shape === 'text' && textColor.value.toLowerCase() === '#ffffff') {
+                    textColor.value = '#333333';
+                    document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
+                        preset.classList.toggle('selected', preset.dataset.color === '#333333');
+                    });
+                }
+            });
+        });
+
+        // Image picker: the chosen picture is kept until the dialog is saved
+        const imageInput = document.getElementById('nodeImageInput');
+        document.getElementById('nodeImageChoose').addEventListener('click', () => imageInput.click());
+        imageInput.addEventListener('change', async () => {
+            const file = imageInput.files[0];
+            imageInput.value = '';
+            if (!file) return;
+            try {
+                this.pendingImage = Object.assign({ placement: 'above' }, await this.readImageFile(file));
+            } catch (error) {
+                this.showMessage(error.message, 'error');
+                return;
+            }
+            this.showImageSettings(this.pendingImage);
+        });
+        document.getElementById('nodeImageRemove').addEventListener('click', () => {
+            this.pendingImage = null;
+            this.showImageSettings(null);
+        });
+
+        // Icon picker
+        document.querySelectorAll('#nodeIconPicker .icon-option').forEach(option => {
+            option.addEventListener('click', (e) => {
+                this.selectedIcon = e.currentTarget.dataset.icon || null;
+                this.iconChanged = true;
+                this.showIconSelection(this.selectedIcon);
+            });
+        });
+
+        // Connection edit modal
+        const connectionModal = document.getElementById('connectionEditModal');
+        document.getElementById('closeConnectionModal').addEventListener('click', () => this.hideConnectionModal());
+        document.getElementById('cancelConnectionEdit').addEventListener('click', () => this.hideConnectionModal());
+        document.getElementById('saveConnectionEdit').addEventListener('click', () => this.saveConnectionEdit());
+        document.getElementById('connectionThemeStyle').addEventListener('click', () => this.resetConnectionStyle());
+        document.getElementById('connectionColorPresets').addEventListener('click', (e) => {
+            const preset = e.target.closest('.color-preset');
+            if (!preset) return;
+            document.getElementById('connectionColor').value = preset.dataset.color;
+            document.querySelectorAll('#connectionColorPresets .color-preset').forEach(p => p.classList.remove('selected'));
+            preset.classList.add('selected');
+        });
+
+        // Save/Load modal
+        const saveLoadModal = document.getElementById('saveLoadModal');
+        document.getElementById('closeSaveLoadModal').addEventListener('click', () => this.hideSaveLoadModal());
+        document.getElementById('cancelSaveLoad').addEventListener('click', () => this.hideSaveLoadModal());
+        document.getElementById('confirmSaveLoad').addEventListener('click', () => this.handleSaveLoad());
+
+        // Export modal
+        const exportModal = document.getElementById('exportModal');
+        document.getElementById('closeExportModal').addEventListener('click', () => this.hideExportModal());
+        document.getElementById('cancelExport').addEventListener('click', () => this.hideExportModal());
+        document.getElementById('confirmExport').addEventListener('click', () => this.handleExport());
+        document.getElementById('exportFormat').addEventListener('change', () => this.updateExportOptions());
+
+        // Close modals on backdrop click
+        [nodeModal, connectionModal, saveLoadModal, exportModal].forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal.classList.remove('show');
+                }
+            });
+        });
+    }
+
+    /**
+     * Set up open/close behaviour for header and toolbar dropdown menus
+     */
+    setupDropdowns() {
+        document.querySelectorAll('.dropdown').forEach(dropdown => {
+            dropdown.querySelector('.dropdown-toggle').addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isOpen = dropdown.classList.contains('open');
+                this.closeDropdowns();
+                dropdown.classList.toggle('open', !isOpen);
+            });
+
+            // Choosing an item closes the menu
+            dropdown.querySelectorAll('.dropdown-item').forEach(item => {
+                item.addEventListener('click', () => this.closeDropdowns());
+            });
+        });
+
+        document.addEventListener('click', () => this.closeDropdowns());
+    }
+
+    /**
+     * Close every open dropdown menu
+     */
+    closeDropdowns() {
+        document.querySelectorAll('.dropdown.open').forEach(dropdown => dropdown.classList.remove('open'));
+    }
+
+    /**
+     * Create a welcome node to get users started
+     */
+    createWelcomeNode() {
+        // Don't add the welcome node on top of a restored map
+        if (this.nodes.size > 0) return;
+
+        const centerX = (this.canvas.clientWidth / 2 - this.pan.x) / this.zoom;
+        const centerY = (this.canvas.clientHeight / 2 - this.pan.y) / this.zoom;
+        console.log('Creating welcome node at:', centerX, centerY);
+        console.log('Canvas dimensions:', this.canvas.clientWidth, this.canvas.clientHeight);
+        console.log('NodesLayer element:', this.nodesLayer);
+        this.createNode(centerX, centerY, 'Welcome to MindMap!');
+    }
+
+    /**
+     * Set the current tool
+     */
+    setTool(tool) {
+        this.currentTool = tool;
+        
+        // Update toolbar UI
+        document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+        document.getElementById(tool + 'Tool').classList.add('active');
+        
+        // Update canvas cursor
+        this.canvas.setAttribute('class', 'mindmap-canvas');
+        if (tool === 'select') {
+            this.canvas.classList.add('select-mode');
+        } else if (tool === 'pan') {
+            this.canvas.classList.add('drag-mode');
+        }
+        
+        // Reset connection state
+        this.isConnecting = false;
+        this.connectionStart = null;
+        this.clearTempConnection();
+    }
+
+    /**
+     * Handle canvas click events
+     */
+    handleCanvasClick(e) {
+        // A pan gesture ends with a click that should not create or deselect anything
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+
+        if (this.currentTool === 'node') {
+            // Convert screen coordinates to map coordinates under the current zoom and pan
+            const point = this.screenToMap(e.clientX, e.clientY);
+            this.recordChange('Add node', () => {
+                this.createNode(point.x, point.y, 'New Node');
+            });
+        } else if (this.currentTool === 'select') {
+            if (!e.target.closest('.mindmap-node')) {
+                this.clearSelection();
+            }
+        }
+    }
+
+    /**
+     * Handle canvas pointer down events (mouse, pen and touch)
+     */
+    handleCanvasPointerDown(e) {
+        // Any earlier gesture is over, so its pending click suppression no longer applies
+        this.suppressNextClick = false;
+        this.lastPointerType = e.pointerType;
+        this.hideNotesPreview();
+        // Pressing the map gives it the keyboard back from a toolbar button or panel control
+        const focused = document.activeElement;
+        if (focused && focused !== document.body && !this.canvas.contains(focused)) {
+            focused.blur();
+        }
+
+        if (e.pointerType === 'touch') {
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.activePointers.size === 2) {
+                this.startPinch();
+                return;
+            }
+            if (this.activePointers.size > 2) return;
+        }
+
+        const onNode = e.target.closest('.mindmap-node');
+        const onConnection = e.target.closest('.connection');
+        this.pointerGesture = { pointerId: e.pointerId, clientX: e.clientX, clientY: e.clientY, moved: false };
+
+        // Middle button, space+drag, the pan tool, or empty canvas with a finger or any tool
+        // but select pans the view. Touch has no hover or modifier keys, so it pans rather
+        // than drawing a marquee.
+        if (e.button === 1 || (e.button === 0 && (this.spacePressed || this.currentTool === 'pan')) ||
+            (e.button === 0 && !onNode && !onConnection && (e.pointerType === 'touch' || this.currentTool !== 'select'))) {
+            this.startPan(e);
+            return;
+        }
+
+        // Dragging empty canvas with the mouse or a pen draws a selection rectangle
+        if (e.button === 0 && !onNode && !onConnection && this.currentTool === 'select') {
+            this.startMarquee(e);
+            return;
+        }
+
+        if (onNode && e.pointerType !== 'mouse') {
+            // Remember the selection before this press changes it, for Ctrl+Click style toggling
+            this.startLongPress(onNode.getAttribute('data-node-id'), Array.from(this.selectedNodes));
+        }
+
+        if (onNode && this.currentTool === 'select') {
+            const nodeElement = onNode;
+            const nodeId = nodeElement.getAttribute('data-node-id');
+            const node = this.nodes.get(nodeId);
+            
+            if (node) {
+                // Don't interfere with Ctrl+Click selection - let handleNodeClick handle it
+                if (!e.ctrlKey && !e.metaKey) {
+                    // Only clear and select for dragging if not using Ctrl+Click
+                    if (!this.selectedNodes.has(nodeId)) {
+                        this.clearSelection();
+                        this.selectedNodes.add(nodeId);
+                        this.updateNodeSelection(nodeId, true);
+                    }
+                } else {
+                    // For Ctrl+Click, don't do anything here - let the click handler manage selection
+                    return;
+                }
+                
+                // Start dragging immediately
+                this.isDragging = true;
+                this.dragStartState = this.captureMapState();
+                const point = this.screenToMap(e.clientX, e.clientY);
+                this.dragOffsets = new Map();
+                this.selectedNodes.forEach(selectedId => {
+                    const selectedNode = this.nodes.get(selectedId);
+                    if (!selectedNode) return;
+                    // Collapsed branches travel with the node they are folded into
+                    const hiddenIds = selectedNode.collapsed ? this.getDescendants(selectedId) : [];
+                    [selectedId, ...hiddenIds].forEach(id => {
+                        const node = this.nodes.get(id);
+                        this.dragOffsets.set(id, { x: node.x - point.x, y: node.y - point.y });
+                    });
+                });
+                
+                this.canvas.classList.add('dragging');
+                
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }
+    }
+
+    /**
+     * Handle canvas pointer move events
+     */
+    handleCanvasPointerMove(e) {
+        this.lastPointerClient = { x: e.clientX, y: e.clientY };
+        if (this.activePointers.has(e.pointerId)) {
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+
+        if (this.pinch) {
+            this.updatePinch();
+            return;
+        }
+
+        const gesture = this.pointerGesture;
+        if (gesture && gesture.pointerId === e.pointerId && !gesture.moved &&
+            Math.hypot(e.clientX - gesture.clientX, e.clientY - gesture.clientY) > TAP_TOLERANCE) {
+            gesture.moved = true;
+            this.cancelLongPress();
+            // The click that ends a drag or pan must not change the selection or add a node
+            this.suppressNextClick = true;
+            // Capture only once the pointer really moves, so plain taps keep their click target
+            if (this.isPanning || this.isDragging || this.marquee) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+        }
+
+        if (this.marquee) {
+            if (gesture && gesture.moved) {
+                this.updateMarquee(e);
+            }
+            return;
+        }
+
+        if (this.isPanning) {
+            const dx = e.clientX - this.panStart.clientX;
+            const dy = e.clientY - this.panStart.clientY;
+            this.setPan(this.panStart.panX + dx, this.panStart.panY + dy);
+            return;
+        }
+
+        if (this.isDragging && this.selectedNodes.size > 0) {
+            const point = this.screenToMap(e.clientX, e.clientY);
+
+            // Every selected node keeps its own offset from the pointer
+            this.dragOffsets.forEach((offset, nodeId) => {
+                this.moveNode(nodeId, point.x + offset.x, point.y + offset.y);
+            });
+
+            // Dropping onto another node makes the dragged nodes its children
+            if (this.pointerGesture && this.pointerGesture.moved) {
+                this.setDropTarget(this.findNodeAt(point, new Set(this.dragOffsets.keys())));
+            }
+        }
+
+        if (this.isConnecting && this.connectionStart) {
+            const point = this.screenToMap(e.clientX, e.clientY);
+            this.updateTempConnection(point.x, point.y);
+        }
+    }
+
+    /**
+     * Handle canvas pointer up events
+     */
+    handleCanvasPointerUp(e) {
+        this.activePointers.delete(e.pointerId);
+        this.cancelLongPress();
+
+        if (this.pinch) {
+            // The pinch ends when either finger lifts; the other one is ignored until it does too
+            if (this.activePointers.size < 2) {
+                this.pinch = null;
+            }
+            this.suppressNextClick = true;
+            return;
+        }
+
+        const gesture = this.pointerGesture;
+        if (!gesture || gesture.pointerId !== e.pointerId) return;
+        this.pointerGesture = null;
+
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+
+        if (!gesture.moved && e.pointerType !== 'mouse' && e.type === 'pointerup') {
+            this.handleTap(e);
+        }
+
+        this.endDragOrPan(e);
+    }
+
+    /**
+     * Finish an active pan or node drag
+     */
+    endDragOrPan(e) {
+        if (this.marquee) {
+            this.endMarquee();
+            return;
+        }
+
+        if (this.isPanning) {
+            this.isPanning = false;
+            this.canvas.classList.remove('dragging');
+            // Only the primary button is followed by a click event to swallow
+            if (e.button !== 0) {
+                this.suppressNextClick = false;
+            }
+            return;
+        }
+
+        // Record the whole drag, including any reparenting, as a single undo step
+        if (this.dragStartState) {
+            const reparented = this.dropTargetId ? this.reparentDraggedNodes(this.dropTargetId) : false;
+            this.commitChange(reparented ? 'Reparent nodes' : 'Move nodes', this.dragStartState);
+            this.dragStartState = null;
+        }
+        this.setDropTarget(null);
+        this.isDragging = false;
+        this.canvas.classList.remove('dragging');
+    }
+
+    /**
+     * Begin panning the view from a pointer down event
+     */
+    startPan(e) {
+        this.isPanning = true;
+        this.panStart = { clientX: e.clientX, clientY: e.clientY, panX: this.pan.x, panY: this.pan.y };
+        this.canvas.classList.add('dragging');
+        // Stops middle-click autoscroll and text selection
+        e.preventDefault();
+    }
+
+    /**
+     * Begin a rubber-band selection. Shift adds to the current selection,
+     * Alt removes from it, and no modifier replaces it.
+     */
+    startMarquee(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.marquee = {
+            startX: e.clientX - rect.left,
+            startY: e.clientY - rect.top,
+            mode: e.altKey ? 'subtract' : (e.shiftKey ? 'add' : 'replace'),
+            baseNodes: new Set(this.selectedNodes),
+            baseConnections: new Set(this.selectedConnections),
+            element: null
+        };
+        // Keep the browser from selecting page text or starting a native drag
+        e.preventDefault();
+    }
+
+    /**
+     * Resize the selection rectangle and select what it covers so far
+     */
+    updateMarquee(e) {
+        const marquee = this.marquee;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.min(marquee.startX, e.clientX - rect.left);
+        const y = Math.min(marquee.startY, e.clientY - rect.top);
+        const width = Math.abs(e.clientX - rect.left - marquee.startX);
+        const height = Math.abs(e.clientY - rect.top - marquee.startY);
+
+        if (!marquee.element) {
+            marquee.element = document.createElementNS(SVG_NS, 'rect');
+            marquee.element.classList.add('selection-marquee');
+            this.canvas.appendChild(marquee.element);
+        }
+        marquee.element.setAttribute('x', x);
+        marquee.element.setAttribute('y', y);
+        marquee.element.setAttribute('width', width);
+        marquee.element.setAttribute('height', height);
+
+        // Hit-test in map coordinates so zoom and pan do not matter
+        const topLeft = this.screenToMap(x + rect.left, y + rect.top);
+        const bottomRight = this.screenToMap(x + width + rect.left, y + height + rect.top);
+        const hits = this.getElementsInRect({
+            x: topLeft.x,
+            y: topLeft.y,
+            width: bottomRight.x - topLeft.x,
+            height: bottomRight.y - topLeft.y
+        });
+
+        let nodeIds;
+        let connectionIds;
+        if (marquee.mode === 'add') {
+            nodeIds = new Set([...marquee.baseNodes, ...hits.nodes]);
+            connectionIds = new Set([...marquee.baseConnections, ...hits.connections]);
+        } else if (marquee.mode === 'subtract') {
+            nodeIds = new Set([...marquee.baseNodes].filter(nodeId => !hits.nodes.includes(nodeId)));
+            connectionIds = new Set([...marquee.baseConnections].filter(connectionId => !hits.connections.includes(connectionId)));
+        } else {
+            nodeIds = new Set(hits.nodes);
+            connectionIds = new Set(hits.connections);
+        }
+        this.setSelection(nodeIds, connectionIds);
+    }
+
+    /**
+     * Finish a rubber-band selection; the selection made while dragging stays
+     */
+    endMarquee() {
+        if (this.marquee.element) {
+            this.marquee.element.remove();
+        }
+        this.marquee = null;
+    }
+
+    /**
+     * Find the visible nodes that overlap a map rectangle, and the
+     * connections whose ends both lie inside it
+     */
+    getElementsInRect(rect) {
+        const contains = (x, y) => x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+        const nodes = [];
+        const connections = [];
+
+        this.nodes.forEach(node => {
+            if (this.isNodeHidden(node.id)) return;
+            const { width, height } = this.getNodeDimensions(node);
+            if (node.x + width / 2 >= rect.x && node.x - width / 2 <= rect.x + rect.width &&
+                node.y + height / 2 >= rect.y && node.y - height / 2 <= rect.y + rect.height) {
+                nodes.push(node.id);
+            }
+        });
+
+        this.connections.forEach(connection => {
+            const start = this.nodes.get(connection.start);
+            const end = this.nodes.get(connection.end);
+            if (!start || !end || this.isNodeHidden(start.id) || this.isNodeHidden(end.id)) return;
+            if (contains(start.x, start.y) && contains(end.x, end.y)) {
+                connections.push(connection.id);
+            }
+        });
+
+        return { nodes: nodes, connections: connections };
+    }
+
+    /**
+     * Start a two-finger pinch, abandoning any single-finger gesture
+     */
+    startPinch() {
+        this.cancelLongPress();
+        if (this.pointerGesture) {
+            this.endDragOrPan({ button: 0 });
+            this.pointerGesture = null;
+        }
+
+        const [first, second] = Array.from(this.activePointers.values());
+        const rect = this.canvas.getBoundingClientRect();
+        const midX = (first.x + second.x) / 2 - rect.left;
+        const midY = (first.y + second.y) / 2 - rect.top;
+
+        this.pinch = {
+            distance: Math.max(1, Math.hypot(second.x - first.x, second.y - first.y)),
+            zoom: this.zoom,
+            // The map point under the fingers' midpoint stays under it
+            mapX: (midX - this.pan.x) / this.zoom,
+            mapY: (midY - this.pan.y) / this.zoom
+        };
+    }
+
+    /**
+     * Zoom and pan together while two fingers move
+     */
+    updatePinch() {
+        const [first, second] = Array.from(this.activePointers.values());
+        if (!first || !second) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const midX = (first.x + second.x) / 2 - rect.left;
+        const midY = (first.y + second.y) / 2 - rect.top;
+        const distance = Math.hypot(second.x - first.x, second.y - first.y);
+
+        this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.pinch.zoom * distance / this.pinch.distance));
+        this.setPan(midX - this.pinch.mapX * this.zoom, midY - this.pinch.mapY * this.zoom);
+    }
+
+    /**
+     * Start the timer that turns a held touch or pen press into Ctrl+Click
+     */
+    startLongPress(nodeId, previousSelection) {
+        this.cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            // Holding still selects without dragging
+            this.endDragOrPan({ button: 0 });
+            this.pointerGesture = null;
+            this.suppressNextClick = true;
+            if (this.currentTool === 'select') {
+                this.clearSelection();
+                previousSelection.forEach(selectedId => {
+                    this.selectedNodes.add(selectedId);
+                    this.updateNodeSelection(selectedId, true);
+                });
+                this.toggleNodeSelection(nodeId);
+            }
+            if (navigator.vibrate) {
+                navigator.vibrate(20);
+            }
+        }, LONG_PRESS_DELAY);
+    }
+
+    /**
+     * Cancel a pending long press
+     */
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    /**
+     * Detect double taps on nodes, which stand in for double-click on touch and pen
+     */
+    handleTap(e) {
+        const nodeElement = e.target.closest('.mindmap-node');
+        const nodeId = nodeElement ? nodeElement.getAttribute('data-node-id') : null;
+        const now = Date.now();
+        const lastTap = this.lastTap;
+
+        if (nodeId && lastTap && lastTap.nodeId === nodeId && now - lastTap.time < DOUBLE_TAP_DELAY &&
+            Math.hypot(e.clientX - lastTap.clientX, e.clientY - lastTap.clientY) < TAP_TOLERANCE * 3) {
+            this.lastTap = null;
+            this.handleNodeDoubleClick(nodeId);
+            return;
+        }
+
+        this.lastTap = { nodeId: nodeId, time: now, clientX: e.clientX, clientY: e.clientY };
+    }
+
+    /**
+     * Open the editor for a node, ignoring the dblclick some browsers fire right after a double tap
+     */
+    handleNodeDoubleClick(nodeId) {
+        const now = Date.now();
+        if (this.lastEditRequest && this.lastEditRequest.nodeId === nodeId && now - this.lastEditRequest.time < DOUBLE_TAP_DELAY) {
+            return;
+        }
+        this.lastEditRequest = { nodeId: nodeId, time: now };
+
+        // Several selected nodes can only be restyled together, in the dialog
+        if (this.selectedNodes.size > 1 && this.selectedNodes.has(nodeId)) {
+            this.editMultipleNodes();
+        } else {
+            this.startInlineEdit(nodeId);
+        }
+    }
+
+    /**
+     * Keep the browser's long-press menu from appearing over the canvas on touch devices
+     */
+    handleCanvasContextMenu(e) {
+        if (this.lastPointerType === 'touch' || this.lastPointerType === 'pen') {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle canvas wheel events for zooming around the pointer
+     */
+    handleCanvasWheel(e) {
+        e.preventDefault();
+        const delta = e.deltaY > 0 ? 0.9 : 1.1;
+        const rect = this.canvas.getBoundingClientRect();
+        this.zoomAt(this.zoom * delta, e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    /**
+     * Handle keyboard events
+     */
+    handleKeyDown(e) {
+        // Don't handle global shortcuts when editing text in modals or inputs
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            // Only handle Ctrl+S for save and Ctrl+F for search when in input fields
+            if (e.ctrlKey && e.key === 's') {
+                e.preventDefault();
+                this.showSaveModal();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f' && !this.isModalOpen()) {
+                e.preventDefault();
+                this.openSearch();
+            }
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        // Keys that edit or pan the map leave a focused button, link or menu alone
+        const onMap = this.isMapFocused(e.target);
+        if (e.key === ' ' && onMap) {
+            // Hold space to pan by dragging
+            e.preventDefault();
+            if (!this.spacePressed) {
+                this.spacePressed = true;
+                this.canvas.classList.add('drag-mode');
+            }
+        } else if (e.altKey && onMap && !e.ctrlKey && !e.metaKey && /^[0-9]$/.test(e.key) && !this.isModalOpen()) {
+            // Only a plain Alt+digit: AltGr and Option+digit type characters instead
+            e.preventDefault();
+            if (e.key === '0') {
+                this.expandAll();
+            } else {
+                this.collapseToLevel(parseInt(e.key, 10));
+            }
+        } else if ((e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey))) {
+            e.preventDefault();
+            this.redo();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            this.undo();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'a' && !this.isModalOpen()) {
+            e.preventDefault();
+            this.selectAll();
+        } else if (e.key === 'Tab' && onMap && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isModalOpen()) {
+            e.preventDefault();
+            this.addChildNode();
+        } else if (e.key === 'Enter' && onMap && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isModalOpen()) {
+            e.preventDefault();
+            this.addSiblingNode();
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && onMap) {
+            this.deleteSelected();
+        } else if (e.key === 'Escape') {
+            this.closeSearch();
+            this.clearSelection();
+            this.setTool('select');
+        } else if ((e.ctrlKey || e.metaKey) && key === 'f' && !this.isModalOpen()) {
+            e.preventDefault();
+            this.openSearch();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'd' && !this.isModalOpen()) {
+            e.preventDefault();
+            this.duplicateSelection();
+        } else if (e.ctrlKey && e.key === 's') {
+            e.preventDefault();
+            this.showSaveModal();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'o') {
+            e.preventDefault();
+            this.showOpenFileDialog();
+        } else if (e.key === 'F2' && onMap && !this.isModalOpen()) {
+            e.preventDefault();
+            const nodeId = this.getFocusNodeId();
+            if (nodeId) {
+                this.startInlineEdit(nodeId);
+            }
+        } else if (e.key.length === 1 && onMap && !e.ctrlKey && !e.metaKey && !e.altKey &&
+            this.selectedNodes.size === 1 && !this.isModalOpen()) {
+            // Typing on a selected node replaces its text, like a spreadsheet cell
+            e.preventDefault();
+            this.startInlineEdit(Array.from(this.selectedNodes)[0], e.key);
+        } else if (e.shiftKey && e.code === 'Digit1' && onMap && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isModalOpen()) {
+            // Checked after type-to-edit so "!" and "@" still go into a selected node
+            this.zoomToFit();
+        } else if (e.shiftKey && e.code === 'Digit2' && onMap && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isModalOpen()) {
+            this.zoomToSelection();
+        }
+    }
+
+    /**
+     * Whether keyboard focus is on the map itself (the canvas or the page) rather than a control or panel
+     */
+    isMapFocused(target) {
+        return target === document || target === document.body || target === document.documentElement ||
+            this.canvas.contains(target);
+    }
+
+    /**
+     * Check whether any modal dialog is showing
+     */
+    isModalOpen() {
+        return !!document.querySelector('.modal.show');
+    }
+
+    /**
+     * Handle keyboard release events
+     */
+    handleKeyUp(e) {
+        if (e.key === ' ') {
+            this.spacePressed = false;
+            if (this.currentTool !== 'pan') {
+                this.canvas.classList.remove('drag-mode');
+            }
+        }
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        // Update canvas dimensions and redraw
+        this.updateConnections();
+    }
+
+    /**
+     * Create a new node
+     */
+    createNode(x, y, text = 'New Node', color = null, textColor = null, shape = 'circle') {
+        const nodeId = `node_${++this.nodeCounter}`;
+        
+        const node = {
+            id: nodeId,
+            x: x,
+            y: y,
+            text: text,
+            // Null colours and font follow the map theme
+            color: color,
+            textColor: textColor,
+            shape: shape,
+            fontSize: DEFAULT_FONT_SIZE,
+            fontFamily: null,
+            size: MIN_NODE_SIZE,
+            // For backwards compatibility
+            radius: MIN_NODE_SIZE,
+            // Position in the topic tree
+            parentId: null,
+            children: [],
+            // Whether the branch below this node is hidden
+            collapsed: false,
+            // Null border values follow the default look
+            borderColor: null,
+            borderWidth: null,
+            borderDash: null,
+            cornerRadius: null,
+            // Embedded picture ({ src, width, height, placement }) and marker icon
+            image: null,
+            icon: null,
+            // Detail behind the idea, shown in the side panel
+            notes: '',
+            links: [],
+            attachments: [],
+            // Names of entries in the map's tag list
+            tags: []
+        };
+
+        // Calculate dynamic size based on text content, font and shape
+        node.size = this.getFittedNodeSize(node);
+        node.radius = node.size;
+
+        console.log('Creating node:', node);
+        this.nodes.set(nodeId, node);
+        this.renderNode(node);
+        console.log('Node created and rendered');
+        return nodeId;
+    }
+
+    /**
+     * Render a node on the canvas
+     */
+    renderNode(node) {
+        const nodeGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        nodeGroup.classList.add('mindmap-node');
+        nodeGroup.setAttribute('data-node-id', node.id);
+        nodeGroup.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+        // The theme colours depend on depth, so remember which ones this node was drawn with
+        nodeGroup.setAttribute('data-style', this.getNodeStyleKey(node));
+
+        // Custom properties let the stylesheet keep hover and selection states on top
+        if (node.borderColor) nodeGroup.style.setProperty('--node-border-color', node.borderColor);
+        if (node.borderWidth !== null && node.borderWidth !== undefined) {
+            nodeGroup.style.setProperty('--node-border-width', node.borderWidth);
+        }
+        if (node.borderDash) nodeGroup.style.setProperty('--node-border-dash', LINE_DASHES[node.borderDash]);
+
+        // Create shape based on node type
+        const shape = this.createNodeShape(node);
+        nodeGroup.appendChild(shape);
+
+        // Create text with proper wrapping
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.classList.add('node-text');
+        const textHeight = node.image && node.image.placement === 'only' ? 0 : this.renderWrappedText(text, node);
+
+        if (node.image) {
+            this.renderNodeImage(nodeGroup, node, textHeight);
+        }
+        nodeGroup.appendChild(text);
+        if (node.icon) {
+            this.renderNodeIcon(nodeGroup, node);
+        }
+        if (this.hasNodeDetails(node)) {
+            this.renderDetailsIndicator(nodeGroup, node);
+        }
+        if (node.tags.length > 0) {
+            this.renderNodeTags(nodeGroup, node);
+        }
+
+        // Add event listeners
+        nodeGroup.addEventListener('click', (e) => this.handleNodeClick(e, node.id));
+        nodeGroup.addEventListener('dblclick', (e) => this.handleNodeDoubleClick(node.id));
+        nodeGroup.addEventListener('mouseenter', () => this.showNotesPreview(node.id));
+        nodeGroup.addEventListener('mouseleave', () => this.hideNotesPreview());
+
+        // Keep collapse and in-place editing state across re-renders
+        if (this.hiddenNodes.has(node.id)) {
+            nodeGroup.classList.add('branch-hidden');
+        }
+        if (this.inlineEditor && this.inlineEditor.nodeId === node.id) {
+            nodeGroup.classList.add('editing');
+        }
+        this.applySearchClasses(nodeGroup, `node:${node.id}`);
+        nodeGroup.classList.toggle('tag-excluded', this.isExcludedByTagFilter(node));
+        this.renderCollapseToggle(nodeGroup, node, node.collapsed ? this.getDescendants(node.id).length : 0);
+
+        this.nodesLayer.appendChild(nodeGroup);
+        return nodeGroup;
+    }
+
+    /**
+     * Re-render a node in place after its text, size or style changed
+     */
+    refreshNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        if (!node || !nodeElement) return;
+
+        // Keep the node at the same depth in the drawing order
+        const nextSibling = nodeElement.nextSibling;
+        nodeElement.remove();
+        const replacement = this.renderNode(node);
+        if (nextSibling) {
+            this.nodesLayer.insertBefore(replacement, nextSibling);
+        }
+        this.updateNodeSelection(nodeId, this.selectedNodes.has(nodeId));
+        this.updateNodeConnections(nodeId);
+    }
+
+    /**
+     * Work out the smallest size at which a node's shape holds its text
+     */
+    getFittedNodeSize(node, text = node.text) {
+        const fontSize = node.fontSize || DEFAULT_FONT_SIZE;
+        const lineHeight = fontSize * LINE_HEIGHT;
+
+        // Aim for a text block that suits the shape: wide for rectangles, squarish otherwise
+        const natural = this.layoutText(node, text, Infinity);
+        const totalWidth = natural.lineWidths.reduce((sum, width) => sum + width, 0);
+        const shape = NODE_SHAPES[node.shape] || NODE_SHAPES.circle;
+        const balanced = Math.sqrt(totalWidth * lineHeight * shape.wrapAspect);
+        const maxLineWidth = fontSize * MAX_LINE_WIDTH_EM;
+        const wrapWidth = Math.min(
+            natural.width,
+            maxLineWidth,
+            Math.max(balanced, fontSize * 4, Math.min(natural.longestWord, maxLineWidth))
+        );
+
+        const block = this.layoutText(node, text, Math.max(wrapWidth, 1));
+        let width = block.width;
+        let height = block.height;
+
+        // An image sits above the text or replaces it
+        if (node.image && node.image.placement === 'only') {
+            width = node.image.width;
+            height = node.image.height;
+        } else if (node.image) {
+            width = Math.max(width, node.image.width);
+            height += node.image.height + IMAGE_TEXT_GAP;
+        }
+
+        // Invert getTextBoxWidth() and the height each shape leaves for text
+        let size;
+        switch (shape.fit) {
+            case 'box':
+                size = Math.max(width / shape.textWidth, height / shape.textHeight);
+                break;
+            case 'diamond': // the corners of the text block must stay inside the slanted sides
+                size = Math.max(width / shape.textWidth, width / shape.width + height / shape.height + 8);
+                break;
+            default: // ellipse: the corners of the text block must stay inside
+                size = Math.max(
+                    width / shape.textWidth,
+                    Math.hypot(width / shape.width, height / shape.height) / (shape.inset || 1) + 8
+                );
+                break;
+        }
+        return Math.max(MIN_NODE_SIZE, Math.ceil(size));
+    }
+
+    /**
+     * Create the appropriate SVG shape for a node
+     */
+    createNodeShape(node) {
+        const shape = NODE_SHAPES[node.shape] ? node.shape : 'circle';
+        const { width, height } = this.getNodeDimensions(node);
+        const cornerRadius = node.cornerRadius === null || node.cornerRadius === undefined
+            ? NODE_CORNER_RADIUS
+            : node.cornerRadius;
+        
+        let element;
+        
+        switch (shape) {
+            case 'square':
+            case 'rectangle':
+            case 'pill':
+            case 'text':
+                element = document.createElementNS(SVG_NS, 'rect');
+                element.setAttribute('x', -width / 2);
+                element.setAttribute('y', -height / 2);
+                element.setAttribute('width', width);
+                element.setAttribute('height', height);
+                element.setAttribute('rx', shape === 'pill' ? height / 2 : Math.min(cornerRadius, width / 2, height / 2));
+                break;
+
+            case 'ellipse':
+                element = document.createElementNS(SVG_NS, 'ellipse');
+                element.setAttribute('rx', width / 2);
+                element.setAttribute('ry', height / 2);
+                break;
+
+            case 'cloud':
+                element = document.createElementNS(SVG_NS, 'path');
+                element.setAttribute('d', this.getCloudPath(width, height));
+                break;
+
+            case 'diamond':
+            case 'hexagon':
+            case 'parallelogram':
+                element = document.createElementNS(SVG_NS, 'path');
+                element.setAttribute('d', this.getRoundedPolygonPath(this.getShapePoints(shape, width, height), cornerRadius));
+                break;
+                
+            default: // circle
+                element = document.createElementNS(SVG_NS, 'circle');
+                element.setAttribute('r', width / 2);
+                break;
+        }
+        
+        element.classList.add('node-shape', shape === 'text' ? 'node-text-only' : `node-${shape}`);
+        element.setAttribute('fill', this.getNodeStyle(node).color);
+        
+        return element;
+    }
+
+    /**
+     * Corners of a polygon shape, centred on the origin
+     */
+    getShapePoints(shape, width, height) {
+        return NODE_SHAPES[shape].points.map(([x, y]) => ({ x: x * width, y: y * height }));
+    }
+
+    /**
+     * Closed path through polygon corners, each rounded off with a curve
+     */
+    getRoundedPolygonPath(points, radius) {
+        const commands = points.map((corner, index) => {
+            const previous = points[(index + points.length - 1) % points.length];
+            const next = points[(index + 1) % points.length];
+            const toPrevious = Math.hypot(previous.x - corner.x, previous.y - corner.y);
+            const toNext = Math.hypot(next.x - corner.x, next.y - corner.y);
+            const r = Math.min(radius, toPrevious / 2, toNext / 2);
+            const entry = {
+                x: corner.x + (previous.x - corner.x) / toPrevious * r,
+                y: corner.y + (previous.y - corner.y) / toPrevious * r
+            };
+            const exit = {
+                x: corner.x + (next.x - corner.x) / toNext * r,
+                y: corner.y + (next.y - corner.y) / toNext * r
+            };
+            return `${index === 0 ? 'M' : 'L'} ${entry.x} ${entry.y} Q ${corner.x} ${corner.y} ${exit.x} ${exit.y}`;
+        });
+        return `${commands.join(' ')} Z`;
+    }
+
+    /**
+     * Cloud outline: a ring of bumps around an ellipse that fills the node box
+     */
+    getCloudPath(width, height) {
+        const bumps = 10;
+        // Bumps reach about a third of a radius beyond the ring they sit on
+        const rx = width / 2 / 1.3;
+        const ry = height / 2 / 1.3;
+        const points = [];
+        for (let i = 0; i < bumps; i++) {
+            const angle = (i / bumps) * Math.PI * 2;
+            points.push({ x: Math.cos(angle) * rx, y: Math.sin(angle) * ry });
+        }
+
+        const arcs = points.map((point, index) => {
+            const next = points[(index + 1) % bumps];
+            const radius = Math.hypot(next.x - point.x, next.y - point.y) / 2;
+            return `A ${radius} ${radius} 0 0 1 ${next.x} ${next.y}`;
+        });
+        return `M ${points[0].x} ${points[0].y} ${arcs.join(' ')} Z`;
+    }
+
+    /**
+     * Draw a node's image above its text, with a handle for resizing it
+     */
+    renderNodeImage(nodeGroup, node, textHeight) {
+        const { width, height, src } = node.image;
+        const top = -(height + (textHeight ? IMAGE_TEXT_GAP + textHeight : 0)) / 2;
+
+        const image = document.createElementNS(SVG_NS, 'image');
+        image.classList.add('node-image');
+        image.setAttribute('href', src);
+        image.setAttribute('x', -width / 2);
+        image.setAttribute('y', top);
+        image.setAttribute('width', width);
+        image.setAttribute('height', height);
+        image.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        nodeGroup.appendChild(image);
+
+        const handle = document.createElementNS(SVG_NS, 'rect');
+        handle.classList.add('image-resize-handle');
+        handle.setAttribute('x', width / 2 - 5);
+        handle.setAttribute('y', top + height - 5);
+        handle.setAttribute('width', 10);
+        handle.setAttribute('height', 10);
+        handle.addEventListener('pointerdown', (e) => this.startImageResize(e, node.id));
+        nodeGroup.appendChild(handle);
+    }
+
+    /**
+     * Draw a node's marker icon as a badge on the upper left of its outline
+     */
+    renderNodeIcon(nodeGroup, node) {
+        const corner = this.getOutlinePoint(
+            { x: 0, y: 0, shape: node.shape, size: node.size, cornerRadius: node.cornerRadius },
+            { x: 0, y: 0 },
+            { x: -Math.SQRT1_2, y: -Math.SQRT1_2 }
+        );
+
+        const badge = document.createElementNS(SVG_NS, 'g');
+        badge.classList.add('node-icon');
+        badge.setAttribute('transform', `translate(${corner.x}, ${corner.y})`);
+
+        const background = document.createElementNS(SVG_NS, 'circle');
+        background.classList.add('node-icon-background');
+        background.setAttribute('r', 13);
+        badge.appendChild(background);
+
+        const icon = document.createElementNS(SVG_NS, 'text');
+        icon.classList.add('node-icon-symbol');
+        icon.textContent = node.icon;
+        badge.appendChild(icon);
+
+        nodeGroup.appendChild(badge);
+    }
+
+    /**
+     * Whether a node has notes, links or attachments
+     */
+    hasNodeDetails(node) {
+        return Boolean(node.notes) || (node.links || []).length > 0 || (node.attachments || []).length > 0;
+    }
+
+    /**
+     * Mark a node that has details with a badge on the upper right of its outline
+     */
+    renderDetailsIndicator(nodeGroup, node) {
+        const corner = this.getOutlinePoint(
+            { x: 0, y: 0, shape: node.shape, size: node.size, cornerRadius: node.cornerRadius },
+            { x: 0, y: 0 },
+            { x: Math.SQRT1_2, y: -Math.SQRT1_2 }
+        );
+        const symbols = [
+            node.notes ? '\u{1F4DD}' : '',
+            node.links.length > 0 ? '\u{1F517}' : '',
+            node.attachments.length > 0 ? '\u{1F4CE}' : ''
+        ].join('');
+        const width = 8 + Array.from(symbols).length * 14;
+
+        const badge = document.createElementNS(SVG_NS, 'g');
+        badge.classList.add('node-details-indicator');
+        badge.setAttribute('transform', `translate(${corner.x}, ${corner.y})`);
+
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.classList.add('node-details-background');
+        background.setAttribute('x', -width / 2);
+        background.setAttribute('y', -10);
+        background.setAttribute('width', width);
+        background.setAttribute('height', 20);
+        background.setAttribute('rx', 10);
+        badge.appendChild(background);
+
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.classList.add('node-details-symbols');
+        text.textContent = symbols;
+        badge.appendChild(text);
+
+        // Clicking the badge opens the panel for this node
+        badge.addEventListener('pointerdown', (e) => e.stopPropagation());
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.clearSelection();
+            this.selectNode(node.id);
+            this.toggleDetailsPanel(true);
+        });
+
+        nodeGroup.appendChild(badge);
+    }
+
+    /**
+     * Show a node's tags as a row of coloured dots on the lower left of its outline
+     */
+    renderNodeTags(nodeGroup, node) {
+        const corner = this.getOutlinePoint(
+            { x: 0, y: 0, shape: node.shape, size: node.size, cornerRadius: node.cornerRadius },
+            { x: 0, y: 0 },
+            { x: -Math.SQRT1_2, y: Math.SQRT1_2 }
+        );
+
+        const dots = document.createElementNS(SVG_NS, 'g');
+        dots.classList.add('node-tags');
+        dots.setAttribute('transform', `translate(${corner.x}, ${corner.y})`);
+
+        node.tags.forEach((name, index) => {
+            const dot = document.createElementNS(SVG_NS, 'circle');
+            dot.classList.add('node-tag-dot');
+            dot.setAttribute('cx', index * 14);
+            dot.setAttribute('r', 6);
+            dot.setAttribute('fill', this.getTagColor(name));
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `#${name}`;
+            dot.appendChild(title);
+            dots.appendChild(dot);
+        });
+
+        nodeGroup.appendChild(dots);
+    }
+
+    /**
+     * Drag an image's resize handle; the aspect ratio is kept and the node refits as it goes
+     */
+    startImageResize(e, nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node || !node.image || e.button !== 0) return;
+
+        // Keep the canvas from starting a node drag or marquee
+        e.stopPropagation();
+        e.preventDefault();
+
+        const start = this.screenToMap(e.clientX, e.clientY);
+        const startWidth = node.image.width;
+        const aspect = node.image.width / node.image.height;
+        const before = this.captureMapState();
+        this.isResizingImage = true;
+
+        const onMove = (moveEvent) => {
+            const point = this.screenToMap(moveEvent.clientX, moveEvent.clientY);
+            // The handle sits on the right edge of a centred image, so it moves half as fast as the width grows
+            const width = Math.max(IMAGE_MIN_SIZE, Math.min(IMAGE_MAX_SIZE, startWidth + (point.x - start.x) * 2));
+            node.image.width = Math.round(width);
+            node.image.height = Math.round(width / aspect);
+            node.size = this.getFittedNodeSize(node);
+            node.radius = node.size;
+            this.refreshNode(nodeId);
+        };
+        const onUp = () => {
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            window.removeEventListener('pointercancel', onUp);
+            this.isResizingImage = false;
+            this.suppressNextClick = true;
+            this.commitChange('Resize image', before);
+        };
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+    }
+
+    /**
+     * Read an image file into an embedded data URL with a starting display size.
+     * Large bitmaps are scaled down so saves and the recovery copy stay small.
+     */
+    readImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error(`Could not read "${file.name}".`));
+            reader.onload = () => {
+                const image = new Image();
+                image.onerror = () => reject(new Error(`"${file.name}" is not an image this browser can show.`));
+                image.onload = () => {
+                    let src = reader.result;
+                    const naturalWidth = image.naturalWidth || IMAGE_DEFAULT_SIZE;
+                    const naturalHeight = image.naturalHeight || IMAGE_DEFAULT_SIZE;
+                    const longest = Math.max(naturalWidth, naturalHeight);
+
+                    if (longest > IMAGE_STORED_MAX && file.type !== 'image/svg+xml') {
+                        const scale = IMAGE_STORED_MAX / longest;
+                        const canvas = document.createElement('canvas');
+                        canvas.width = Math.round(naturalWidth * scale);
+                        canvas.height = Math.round(naturalHeight * scale);
+                        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                        src = file.type === 'image/png' ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', 0.9);
+                    }
+
+                    const scale = Math.min(1, IMAGE_DEFAULT_SIZE / longest);
+                    resolve({
+                        src: src,
+                        width: Math.max(IMAGE_MIN_SIZE, Math.round(naturalWidth * scale)),
+                        height: Math.max(IMAGE_MIN_SIZE, Math.round(naturalHeight * scale))
+                    });
+                };
+                image.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Put an image file on a node, or on a new node at a map point when no node is given
+     */
+    async addImageFromFile(file, nodeId, point) {
+        let image;
+        try {
+            image = await this.readImageFile(file);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return;
+        }
+
+        const node = nodeId ? this.nodes.get(nodeId) : null;
+        if (node) {
+            this.recordChange('Add image', () => {
+                node.image = Object.assign({ placement: 'above' }, image);
+                node.size = this.getFittedNodeSize(node);
+                node.radius = node.size;
+                this.refreshNode(node.id);
+            });
+            return;
+        }
+
+        // A new node is named after the file and shows only the picture
+        const name = (file.name || '').replace(/\.[^.]+$/, '') || 'Image';
+        this.recordChange('Add image', () => {
+            const newId = this.createNode(point.x, point.y, name, null, null, 'text');
+            const created = this.nodes.get(newId);
+            created.image = Object.assign({ placement: 'only' }, image);
+            created.size = this.getFittedNodeSize(created);
+            created.radius = created.size;
+            this.refreshNode(newId);
+            this.clearSelection();
+            this.selectNode(newId);
+        });
+    }
+
+    /**
+     * Paste copied nodes, an image onto the selected node or as a new node, or text as a diagram or outline
+     */
+    handlePaste(e) {
+        if (this.isModalOpen() || this.inlineEditor || e.target.closest('input, textarea, [contenteditable]')) return;
+
+        // Nodes copied from this or another map come first
+        let data;
+        try {
+            data = this.readClipboardData(e.clipboardData);
+        } catch (error) {
+            e.preventDefault();
+            this.showMessage(`Could not paste: ${error.message}`, 'error');
+            return;
+        }
+        if (data) {
+            e.preventDefault();
+            this.pasteClipboardData(data);
+            return;
+        }
+
+        const items = e.clipboardData ? Array.from(e.clipboardData.items) : [];
+        const item = items.find(entry => entry.kind === 'file' && entry.type.startsWith('image/'));
+        const file = item && item.getAsFile();
+        if (!file) {
+            // Other text is read as a diagram or an outline
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            if (text.trim()) {
+                e.preventDefault();
+                this.pasteText(text);
+            }
+            return;
+        }
+
+        e.preventDefault();
+        const nodeId = this.selectedNodes.size === 1 ? this.getFocusNodeId() : null;
+        this.addImageFromFile(file, nodeId, this.getPastePoint());
+    }
+
+    /**
+     * Map point where pasted content goes: under the pointer, or the middle of the view
+     */
+    getPastePoint() {
+        const rect = this.canvas.getBoundingClientRect();
+        const client = this.lastPointerClient || { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        return this.screenToMap(client.x, client.y);
+    }
+
+    /**
+     * Put the selected nodes on the clipboard (Ctrl+C), removing them for Ctrl+X
+     */
+    handleCopy(e, cut) {
+        if (this.isModalOpen() || this.inlineEditor || e.target.closest('input, textarea, [contenteditable]')) return;
+        // Text selected on the page is copied as usual
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return;
+
+        const data = this.getClipboardData(this.selectedNodes);
+        if (!data) return;
+
+        e.preventDefault();
+        const json = JSON.stringify(data);
+        const text = this.getClipboardOutline(data);
+        e.clipboardData.setData(CLIPBOARD_MIME_TYPE, json);
+        e.clipboardData.setData('text/plain', text);
+        this.clipboard = { json: json, text: text };
+
+        const count = data.nodes.length;
+        if (cut) {
+            this.deleteSelected('Cut');
+            this.showMessage(`Cut ${count} node${count === 1 ? '' : 's'}`);
+        } else {
+            this.showMessage(`Copied ${count} node${count === 1 ? '' : 's'}`);
+        }
+    }
+
+    /**
+     * Copy of the given nodes, everything folded away below them, and the connections
+     * among them, in the clipboard format. Returns null when there is nothing to copy.
+     */
+    getClipboardData(nodeIds) {
+        const ids = new Set();
+        nodeIds.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+            ids.add(nodeId);
+            if (node.collapsed) {
+                this.getDescendants(nodeId).forEach(descendantId => ids.add(descendantId));
+            }
+        });
+        if (ids.size === 0) return null;
+
+        // Keep the map's order so that roots and their branches come out as they are drawn
+        const nodes = Array.from(this.nodes.values()).filter(node => ids.has(node.id)).map(node => {
+            const copy = JSON.parse(JSON.stringify(node));
+            copy.parentId = ids.has(node.parentId) ? node.parentId : null;
+            copy.children = node.children.filter(childId => ids.has(childId));
+            return copy;
+        });
+        const connections = Array.from(this.connections.values())
+            .filter(connection => ids.has(connection.start) && ids.has(connection.end))
+            .map(connection => Object.assign({}, connection));
+        const usedTags = new Set(nodes.flatMap(node => node.tags));
+
+        return {
+            format: CLIPBOARD_FORMAT,
+            version: MINDMAP_FILE_VERSION,
+            nodes: nodes,
+            connections: connections,
+            tags: this.tags.filter(tag => usedTags.has(tag.name)).map(tag => ({ name: tag.name, color: tag.color }))
+        };
+    }
+
+    /**
+     * Indented plain-text outline of clipboard data, markup stripped, for pasting into other apps
+     */
+    getClipboardOutline(data) {
+        const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+        const lines = [];
+        const visit = (node, depth) => {
+            lines.push('  '.repeat(depth) + RichText.toPlainText(node.text, true).replace(/\s*\n\s*/g, ' '));
+            node.children.forEach(childId => visit(nodesById.get(childId), depth + 1));
+        };
+        data.nodes.filter(node => node.parentId === null).forEach(node => visit(node, 0));
+        return lines.join('\n');
+    }
+
+    /**
+     * Read copied nodes from a paste event, or null when the clipboard holds something else.
+     * Throws an Error when the copied data is unusable.
+     */
+    readClipboardData(clipboardData) {
+        let json = clipboardData ? clipboardData.getData(CLIPBOARD_MIME_TYPE) : '';
+        // Browsers that keep only plain text still give back the outline of our last copy
+        if (!json && this.clipboard && clipboardData && clipboardData.getData('text/plain') === this.clipboard.text) {
+            json = this.clipboard.json;
+        }
+        if (!json) return null;
+
+        let raw;
+        try {
+            raw = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The copied data is not valid JSON.');
+        }
+        if (!raw || raw.format !== CLIPBOARD_FORMAT) {
+            throw new Error('The copied data is not from a mindmap.');
+        }
+
+        // Copies are checked like map files, so they may come from older versions in other tabs
+        const data = this.migrateMapData(Object.assign({}, raw, { format: MINDMAP_FILE_FORMAT }));
+        data.theme = this.theme;
+        this.validateMapData(data);
+        return data;
+    }
+
+    /**
+     * Add copied nodes and connections to the map under new ids, shifted by the given offset.
+     * Returns the new id of each copied node, by its old id.
+     */
+    insertClipboardData(data, offsetX, offsetY) {
+        // Tags missing from this map are added; existing ones keep their colour here
+        data.tags.forEach(tag => {
+            if (!this.findTag(tag.name)) {
+                this.tags.push({ name: tag.name, color: tag.color });
+            }
+        });
+
+        const nodeIds = new Map(data.nodes.map(node => [node.id, `node_${++this.nodeCounter}`]));
+        data.nodes.forEach(node => {
+            const copy = Object.assign({}, node, {
+                id: nodeIds.get(node.id),
+                x: node.x + offsetX,
+                y: node.y + offsetY,
+                parentId: node.parentId ? nodeIds.get(node.parentId) : null,
+                children: node.children.map(childId => nodeIds.get(childId)),
+                tags: node.tags.map(name => this.findTag(name).name)
+            });
+            // The theme font here may differ from the one the node was copied under
+            copy.size = this.getFittedNodeSize(copy);
+            copy.radius = copy.size;
+            this.nodes.set(copy.id, copy);
+            this.renderNode(copy);
+        });
+
+        data.connections.forEach(connection => {
+            const copy = Object.assign({}, connection, {
+                id: `connection_${++this.connectionCounter}`,
+                start: nodeIds.get(connection.start),
+                end: nodeIds.get(connection.end)
+            });
+            this.connections.set(copy.id, copy);
+            this.renderConnection(copy);
+            this.refreshParallelConnections(copy.start, copy.end);
+        });
+        return nodeIds;
+    }
+
+    /**
+     * Paste copied nodes centred on the pointer and select them
+     */
+    pasteClipboardData(data) {
+        if (data.nodes.length === 0) return;
+
+        const point = this.getPastePoint();
+        const xs = data.nodes.map(node => node.x);
+        const ys = data.nodes.map(node => node.y);
+        const offsetX = point.x - (Math.min(...xs) + Math.max(...xs)) / 2;
+        const offsetY = point.y - (Math.min(...ys) + Math.max(...ys)) / 2;
+
+        this.recordChange('Paste', () => {
+            const nodeIds = this.insertClipboardData(data, offsetX, offsetY);
+            this.selectInsertedNodes(nodeIds);
+        });
+    }
+
+    /**
+     * Add topic trees ({ text, notes, children } and optionally color, textColor, borderColor,
+     * links, collapsed, icon, shape, connectionColor, connectionLabel and connectionArrows) as new nodes
+     * and tree connections, laid out left to right and centred on a map point. Returns the new
+     * node id by topic.
+     */
+    addTopicTrees(topics, point) {
+        const nodeIds = new Map();
+        const createdIds = [];
+        const rootIds = [];
+        const create = (topic, parentId) => {
+            const nodeId = this.createNode(0, 0, topic.text, topic.color || null, topic.textColor || null, topic.shape || 'circle');
+            const node = this.nodes.get(nodeId);
+            node.notes = topic.notes || '';
+            node.links = (topic.links || []).map(link => ({ url: link.url, title: link.title }));
+            node.icon = topic.icon || null;
+            node.borderColor = topic.borderColor || null;
+            node.collapsed = !!topic.collapsed && topic.children.length > 0;
+            node.size = this.getFittedNodeSize(node);
+            node.radius = node.size;
+            nodeIds.set(topic, nodeId);
+            createdIds.push(nodeId);
+
+            if (parentId) {
+                this.attachChild(parentId, nodeId);
+                const arrows = topic.connectionArrows || 'none';
+                if (topic.connectionColor || topic.connectionLabel || arrows !== 'none') {
+                    this.connections.forEach(connection => {
+                        if (connection.kind === 'tree' && connection.end === nodeId) {
+                            connection.color = topic.connectionColor || null;
+                            connection.label = topic.connectionLabel || '';
+                            connection.arrows = arrows;
+                            this.rerenderConnection(connection);
+                        }
+                    });
+                }
+            } else {
+                rootIds.push(nodeId);
+            }
+            topic.children.forEach(child => create(child, nodeId));
+        };
+        topics.forEach(topic => create(topic, null));
+
+        // Trees are stacked top to bottom, and the whole block centred on the point
+        const engine = new LayoutEngine(new Map(createdIds.map(id => [id, this.getNodeDimensions(this.nodes.get(id))])));
+        const childrenOf = new Map(createdIds.map(id => [id, this.nodes.get(id).children]));
+        const positions = new Map();
+        let top = 0;
+        rootIds.forEach(rootId => {
+            const relative = engine.tree(rootId, childrenOf, true);
+            const box = engine.bounds(relative);
+            relative.forEach((position, id) => positions.set(id, { x: position.x, y: position.y + top - box.y }));
+            top += box.height + LAYOUT_TREE_GAP;
+        });
+        const box = engine.bounds(positions);
+        positions.forEach((position, id) => {
+            const node = this.nodes.get(id);
+            node.x = position.x - box.x - box.width / 2 + point.x;
+            node.y = position.y - box.y - box.height / 2 + point.y;
+            this.refreshNode(id);
+        });
+        return nodeIds;
+    }
+
+    /**
+     * Add pasted text under the pointer: a Graphviz or Mermaid diagram when it starts
+     * like one, otherwise a Markdown or indented outline
+     */
+    pasteText(text) {
+        let imported;
+        let label = 'Paste outline';
+        try {
+            if (DotFormat.detect(text)) {
+                imported = DotFormat.parse(text);
+                label = 'Paste diagram';
+            } else if (MermaidFormat.detect(text)) {
+                imported = MermaidFormat.parse(text);
+                label = 'Paste diagram';
+            } else {
+                imported = { topics: Outline.parse(text) };
+            }
+        } catch (error) {
+            this.showMessage(`Could not paste: ${error.message}`, 'error');
+            return;
+        }
+        if (imported.topics.length === 0) return;
+
+        this.recordChange(label, () => {
+            const { nodeIds, unsupported } = this.addImportedTopics(imported, this.getPastePoint());
+            this.selectInsertedNodes(nodeIds);
+            if (unsupported.length > 0) {
+                this.showMessage(`Pasted. Not imported: ${unsupported.join(', ')}`, 'info', 8000);
+            }
+        });
+    }
+
+    /**
+     * Copy the selected nodes in place (Ctrl+D). Copies of branches keep their parent.
+     */
+    duplicateSelection() {
+        const data = this.getClipboardData(this.selectedNodes);
+        if (!data) {
+            this.showMessage('Select nodes to duplicate');
+            return;
+        }
+
+        this.recordChange('Duplicate', () => {
+            const nodeIds = this.insertClipboardData(data, DUPLICATE_OFFSET, DUPLICATE_OFFSET);
+            nodeIds.forEach((copyId, originalId) => {
+                const original = this.nodes.get(originalId);
+                const parent = original.parentId && !nodeIds.has(original.parentId) ? this.nodes.get(original.parentId) : null;
+                if (parent) {
+                    this.attachChild(parent.id, copyId, parent.children.indexOf(originalId) + 1);
+                }
+            });
+            this.selectInsertedNodes(nodeIds);
+        });
+    }
+
+    /**
+     * Select freshly inserted nodes and the connections among them
+     */
+    selectInsertedNodes(nodeIds) {
+        const ids = new Set(nodeIds.values());
+        const connectionIds = Array.from(this.connections.values())
+            .filter(connection => ids.has(connection.start) && ids.has(connection.end))
+            .map(connection => connection.id);
+        this.setSelection(Array.from(ids), connectionIds);
+    }
+
+    /**
+     * Wire up the notes, links and attachments side panel
+     */
+    setupDetailsPanel() {
+        document.getElementById('closeDetails').addEventListener('click', () => this.toggleDetailsPanel(false));
+
+        // Notes are recorded once the field loses focus, or another node is shown, as a single undoable step
+        const notes = document.getElementById('nodeNotes');
+        notes.addEventListener('input', () => {
+            this.notesEdited = true;
+        });
+        notes.addEventListener('change', () => this.commitNotes());
+
+        document.getElementById('addLinkBtn').addEventListener('click', () => this.addNodeLink());
+        document.getElementById('newLinkUrl').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addNodeLink();
+            }
+        });
+
+        const fileInput = document.getElementById('attachFileInput');
+        document.getElementById('attachFileBtn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) {
+                this.addNodeAttachment(file);
+            }
+        });
+    }
+
+    /**
+     * Record notes typed into the side panel for the node shown there
+     */
+    commitNotes() {
+        if (!this.notesEdited) return;
+        this.notesEdited = false;
+        const node = this.nodes.get(this.detailsNodeId);
+        const value = document.getElementById('nodeNotes').value;
+        if (!node || node.notes === value) return;
+        this.recordChange('Edit notes', () => {
+            node.notes = value;
+            this.refreshNode(node.id);
+        });
+    }
+
+    /**
+     * Open or close the side panel; with no argument it toggles
+     */
+    toggleDetailsPanel(show = !this.detailsPanelOpen) {
+        this.commitNotes();
+        this.detailsPanelOpen = show;
+        document.getElementById('detailsPanel').classList.toggle('show', show);
+        document.getElementById('detailsBtn').classList.toggle('active', show);
+        this.updateDetailsPanel(true);
+    }
+
+    /**
+     * Show the selected node in the side panel. Unless forced, nothing is
+     * redrawn while the same node stays selected.
+     */
+    updateDetailsPanel(force = false) {
+        if (!this.detailsPanelOpen) return;
+
+        const selectedId = this.selectedNodes.size === 1 ? Array.from(this.selectedNodes)[0] : null;
+        const node = selectedId ? this.nodes.get(selectedId) : null;
+        if (!force && this.detailsNodeId === (node ? node.id : null)) return;
+        // Selecting another node comes before the notes field's change event
+        if (this.detailsNodeId !== (node ? node.id : null)) {
+            this.commitNotes();
+        }
+        this.detailsNodeId = node ? node.id : null;
+
+        document.getElementById('detailsEmpty').style.display = node ? 'none' : '';
+        document.getElementById('detailsContent').style.display = node ? '' : 'none';
+        document.getElementById('detailsTitle').textContent = node ? RichText.toPlainText(node.text).replace(/\n/g, ' ') : 'Details';
+        if (!node) return;
+
+        document.getElementById('nodeNotes').value = node.notes;
+        this.notesEdited = false;
+
+        const linksList = document.getElementById('nodeLinksList');
+        linksList.innerHTML = '';
+        node.links.forEach((link, index) => {
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = link.title || link.url;
+            anchor.title = link.url;
+            linksList.appendChild(this.createDetailsItem(anchor, () => this.removeNodeLink(index)));
+        });
+
+        const attachmentsList = document.getElementById('nodeAttachmentsList');
+        attachmentsList.innerHTML = '';
+        node.attachments.forEach((attachment, index) => {
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'details-attachment';
+            download.textContent = `${attachment.name} (${this.formatFileSize(attachment.size)})`;
+            download.title = 'Download';
+            download.addEventListener('click', () => this.downloadAttachment(attachment));
+            attachmentsList.appendChild(this.createDetailsItem(download, () => this.removeNodeAttachment(index)));
+        });
+    }
+
+    /**
+     * A row of the links or attachments list, with a remove button
+     */
+    createDetailsItem(content, onRemove) {
+        const item = document.createElement('li');
+        item.appendChild(content);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'details-remove';
+        remove.title = 'Remove';
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', onRemove);
+        item.appendChild(remove);
+        return item;
+    }
+
+    /**
+     * Add the link typed into the side panel to the node shown there
+     */
+    addNodeLink() {
+        const node = this.nodes.get(this.detailsNodeId);
+        const urlInput = document.getElementById('newLinkUrl');
+        const titleInput = document.getElementById('newLinkTitle');
+        if (!node || !urlInput.value.trim()) return;
+
+        const url = RichText.safeUrl(urlInput.value.trim());
+        if (!url) {
+            this.showMessage('Links must be web (http, https) or email addresses', 'error');
+            return;
+        }
+
+        this.recordChange('Add link', () => {
+            node.links.push({ url: url, title: titleInput.value.trim() });
+            this.refreshNode(node.id);
+        });
+        urlInput.value = '';
+        titleInput.value = '';
+    }
+
+    /**
+     * Remove a link from the node shown in the side panel
+     */
+    removeNodeLink(index) {
+        const node = this.nodes.get(this.detailsNodeId);
+        if (!node) return;
+        this.recordChange('Remove link', () => {
+            node.links.splice(index, 1);
+            this.refreshNode(node.id);
+        });
+    }
+
+    /**
+     * Embed a small file in the node shown in the side panel
+     */
+    addNodeAttachment(file) {
+        const node = this.nodes.get(this.detailsNodeId);
+        if (!node) return;
+        if (file.size > ATTACHMENT_MAX_BYTES) {
+            this.showMessage(`Attachments can be at most ${this.formatFileSize(ATTACHMENT_MAX_BYTES)}`, 'error');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onerror = () => this.showMessage(`Could not read "${file.name}"`, 'error');
+        reader.onload = () => {
+            // The node may have been deleted while the file was read
+            if (!this.nodes.has(node.id)) return;
+            this.recordChange('Attach file', () => {
+                node.attachments.push({
+                    name: file.name,
+                    type: file.type || 'application/octet-stream',
+                    size: file.size,
+                    data: reader.result
+                });
+                this.refreshNode(node.id);
+            });
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Remove an attachment from the node shown in the side panel
+     */
+    removeNodeAttachment(index) {
+        const node = this.nodes.get(this.detailsNodeId);
+        if (!node) return;
+        this.recordChange('Remove attachment', () => {
+            node.attachments.splice(index, 1);
+            this.refreshNode(node.id);
+        });
+    }
+
+    /**
+     * Save an attachment back to a file
+     */
+    downloadAttachment(attachment) {
+        const [, base64 = ''] = attachment.data.split(',');
+        const bytes = Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+        this.downloadFile(new Blob([bytes], { type: attachment.type }), attachment.name, attachment.type);
+    }
+
+    /**
+     * Human-readable file size
+     */
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Plain-text summary of a node's tags, notes, links and attachments, for exports
+     */
+    getNodeDetailsText(node) {
+        const parts = [];
+        if (node.tags.length > 0) parts.push(node.tags.map(name => `#${name}`).join(' '));
+        if (node.notes) parts.push(node.notes);
+        if (node.links.length > 0) {
+            parts.push(node.links.map(link => (link.title ? `${link.title}: ${link.url}` : link.url)).join('\n'));
+        }
+        if (node.attachments.length > 0) {
+            parts.push(`Attachments: ${node.attachments.map(attachment => attachment.name).join(', ')}`);
+        }
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Preview a node's notes next to it while the pointer is over it
+     */
+    showNotesPreview(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node || !node.notes || this.isDragging || this.inlineEditor) return;
+
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        const preview = document.getElementById('notesPreview');
+        const box = nodeElement.getBoundingClientRect();
+        preview.textContent = node.notes.length > NOTES_PREVIEW_LENGTH
+            ? `${node.notes.slice(0, NOTES_PREVIEW_LENGTH)}\u2026`
+            : node.notes;
+        preview.style.left = `${box.right + 12}px`;
+        preview.style.top = `${box.top}px`;
+        preview.classList.add('show');
+    }
+
+    /**
+     * Hide the hover preview of a node's notes
+     */
+    hideNotesPreview() {
+        document.getElementById('notesPreview').classList.remove('show');
+    }
+
+    /**
+     * Wire up the find and replace bar
+     */
+    setupSearch() {
+        this.searchOptions = { caseSensitive: false, regex: false };
+
+        const input = document.getElementById('searchInput');
+        input.addEventListener('input', () => this.runSearch());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.goToSearchMatch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSearch();
+            }
+        });
+
+        const replaceInput = document.getElementById('replaceInput');
+        replaceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.replaceSearchMatches(e.ctrlKey || e.metaKey);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSearch();
+            }
+        });
+
+        document.getElementById('searchCaseBtn').addEventListener('click', (e) => {
+            this.searchOptions.caseSensitive = !this.searchOptions.caseSensitive;
+            e.currentTarget.classList.toggle('active', this.searchOptions.caseSensitive);
+            this.runSearch();
+        });
+        document.getElementById('searchRegexBtn').addEventListener('click', (e) => {
+            this.searchOptions.regex = !this.searchOptions.regex;
+            e.currentTarget.classList.toggle('active', this.searchOptions.regex);
+            this.runSearch();
+        });
+        document.getElementById('searchReplaceToggle').addEventListener('click', () => {
+            document.getElementById('searchBar').classList.toggle('replacing');
+        });
+        document.getElementById('searchPrevBtn').addEventListener('click', () => this.goToSearchMatch(-1));
+        document.getElementById('searchNextBtn').addEventListener('click', () => this.goToSearchMatch(1));
+        document.getElementById('searchCloseBtn').addEventListener('click', () => this.closeSearch());
+        document.getElementById('replaceOneBtn').addEventListener('click', () => this.replaceSearchMatches(false));
+        document.getElementById('replaceAllBtn').addEventListener('click', () => this.replaceSearchMatches(true));
+    }
+
+    /**
+     * Show the search bar and search for what is already typed in it
+     */
+    openSearch() {
+        const input = document.getElementById('searchInput');
+        document.getElementById('searchBar').classList.add('show');
+        input.focus();
+        input.select();
+        this.runSearch();
+    }
+
+    /**
+     * Hide the search bar and remove all highlighting
+     */
+    closeSearch() {
+        const bar = document.getElementById('searchBar');
+        if (!bar.classList.contains('show')) return;
+
+        bar.classList.remove('show');
+        this.search = null;
+        this.applySearchHighlight();
+        if (bar.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+    }
+
+    /**
+     * Build the pattern for the search box, null when it is empty.
+     * Throws a SyntaxError for an invalid regular expression.
+     */
+    getSearchPattern(global = false) {
+        const query = document.getElementById('searchInput').value;
+        if (!query) return null;
+
+        const source = this.searchOptions.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const flags = (this.searchOptions.caseSensitive ? '' : 'i') + (global ? 'g' : '');
+        return new RegExp(source, flags);
+    }
+
+    /**
+     * Find every node and connection that matches the search box, in reading
+     * order. The current match is kept when it still matches.
+     */
+    runSearch() {
+        const input = document.getElementById('searchInput');
+        const previous = this.search && this.search.matches[this.search.index];
+
+        let pattern;
+        try {
+            pattern = this.getSearchPattern();
+            input.classList.remove('invalid');
+        } catch (error) {
+            input.classList.add('invalid');
+            this.search = { matches: [], index: -1, keys: new Set(), invalid: true };
+            this.applySearchHighlight();
+            return;
+        }
+
+        const matches = [];
+        if (pattern) {
+            this.nodes.forEach(node => {
+                if (pattern.test(RichText.toPlainText(node.text)) || pattern.test(node.notes) ||
+                    node.tags.some(name => pattern.test(`#${name}`))) {
+                    matches.push({ type: 'node', id: node.id, x: node.x, y: node.y });
+                }
+            });
+            this.connections.forEach(connection => {
+                const start = this.nodes.get(connection.start);
+                const end = this.nodes.get(connection.end);
+                if (start && end && connection.label && pattern.test(connection.label)) {
+                    matches.push({ type: 'connection', id: connection.id, x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 });
+                }
+            });
+            matches.sort((a, b) => a.y - b.y || a.x - b.x);
+        }
+
+        const index = previous ? matches.findIndex(match => match.type === previous.type && match.id === previous.id) : -1;
+        this.search = {
+            matches: matches,
+            index: index,
+            keys: new Set(matches.map(match => `${match.type}:${match.id}`)),
+            active: Boolean(pattern)
+        };
+        this.applySearchHighlight();
+    }
+
+    /**
+     * Search again after the map changed, without moving the view
+     */
+    refreshSearch() {
+        if (this.search) {
+            this.runSearch();
+        }
+    }
+
+    /**
+     * Mark matches on the canvas, dim everything else and update the counter
+     */
+    applySearchHighlight() {
+        const active = Boolean(this.search && (this.search.active || this.search.invalid));
+        this.canvas.classList.toggle('searching', active);
+
+        this.nodesLayer.querySelectorAll('[data-node-id]').forEach(element => {
+            this.applySearchClasses(element, `node:${element.getAttribute('data-node-id')}`);
+        });
+        this.connectionsLayer.querySelectorAll('[data-connection-id]').forEach(element => {
+            this.applySearchClasses(element, `connection:${element.getAttribute('data-connection-id')}`);
+        });
+
+        const count = document.getElementById('searchCount');
+        if (!this.search || !active) {
+            count.textContent = '';
+        } else if (this.search.invalid) {
+            count.textContent = 'Invalid pattern';
+        } else if (this.search.matches.length === 0) {
+            count.textContent = 'No results';
+        } else {
+            const position = this.search.index >= 0 ? this.search.index + 1 : '?';
+            count.textContent = `${position} of ${this.search.matches.length}`;
+        }
+    }
+
+    /**
+     * Set the match classes of one node or connection element
+     */
+    applySearchClasses(element, key) {
+        const search = this.search;
+        const current = search && search.matches[search.index];
+        element.classList.toggle('search-match', Boolean(search && search.keys.has(key)));
+        element.classList.toggle('search-current', Boolean(current && `${current.type}:${current.id}` === key));
+    }
+
+    /**
+     * Step to the next or previous match, expanding its branch and bringing it into view
+     */
+    goToSearchMatch(step) {
+        if (!this.search || this.search.matches.length === 0) return;
+
+        const total = this.search.matches.length;
+        const index = this.search.index < 0
+            ? (step > 0 ? 0 : total - 1)
+            : (this.search.index + step + total) % total;
+        this.search.index = index;
+        const match = this.search.matches[index];
+
+        const nodeIds = match.type === 'node'
+            ? [match.id]
+            : [this.connections.get(match.id).start, this.connections.get(match.id).end];
+        this.revealNodes(nodeIds);
+
+        this.applySearchHighlight();
+        this.zoomToNodes(nodeIds, 1);
+    }
+
+    /**
+     * Expand any collapsed branches that hide the given nodes
+     */
+    revealNodes(nodeIds) {
+        const collapsed = new Set();
+        nodeIds.forEach(nodeId => {
+            let parentId = this.nodes.get(nodeId).parentId;
+            while (parentId) {
+                const parent = this.nodes.get(parentId);
+                if (parent.collapsed) collapsed.add(parent);
+                parentId = parent.parentId;
+            }
+        });
+        if (collapsed.size === 0) return;
+
+        this.recordChange('Expand branch', () => {
+            collapsed.forEach(node => {
+                node.collapsed = false;
+            });
+        });
+    }
+
+    /**
+     * Replace the search text in the current match, or in every match.
+     * Node labels and connection labels change; notes are only searched.
+     */
+    replaceSearchMatches(all) {
+        if (!this.search || this.search.matches.length === 0) return;
+
+        let pattern;
+        try {
+            pattern = this.getSearchPattern(true);
+        } catch (error) {
+            return;
+        }
+        if (!pattern) return;
+
+        const replacement = document.getElementById('replaceInput').value;
+        // Outside regex mode "$" has no special meaning in the replacement
+        const expand = (...args) => {
+            if (!this.searchOptions.regex) return replacement;
+            const named = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+            const groups = args.slice(1, named ? -3 : -2);
+            return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, reference, name) => {
+                if (reference === '$') return '$';
+                if (reference === '&') return args[0];
+                if (name !== undefined) return named ? named[name] || '' : token;
+                const group = Number(reference);
+                return group >= 1 && group <= groups.length ? groups[group - 1] || '' : token;
+            });
+        };
+        const replace = text => text.replace(pattern, expand);
+
+        const currentIndex = Math.max(this.search.index, 0);
+        const targets = all ? this.search.matches : [this.search.matches[currentIndex]];
+
+        let changed = 0;
+        this.recordChange(all ? 'Replace all' : 'Replace', () => {
+            targets.forEach(match => {
+                if (match.type === 'node') {
+                    const node = this.nodes.get(match.id);
+                    // Labels are searched without their markup, so only the text between it is replaced
+                    const text = RichText.replace(node.text, pattern, expand);
+                    // A label cannot become empty
+                    if (text === node.text || !text.trim()) return;
+                    node.text = text;
+                    node.size = this.getFittedNodeSize(node);
+                    node.radius = node.size;
+                    this.refreshNode(node.id);
+                } else {
+                    const connection = this.connections.get(match.id);
+                    const label = replace(connection.label).trim();
+                    if (label === connection.label) return;
+                    connection.label = label;
+                    this.updateConnectionPosition(connection.id);
+                }
+                changed++;
+            });
+        });
+
+        if (all) {
+            this.showMessage(changed === 0 ? 'Nothing to replace' : `Replaced text in ${changed} label${changed === 1 ? '' : 's'}`,
+                changed === 0 ? 'info' : 'success');
+        } else if (this.search.matches.length > 0) {
+            // When the replaced match no longer matches, the next one has taken its place
+            if (this.search.index < 0) {
+                this.search.index = Math.min(currentIndex, this.search.matches.length) - 1;
+            }
+            this.goToSearchMatch(1);
+        }
+    }
+
+    /**
+     * Set up the tag legend, the tag manager and the tag editor of the style dialog
+     */
+    setupTags() {
+        document.getElementById('closeTagLegend').addEventListener('click', () => this.toggleTagLegend(false));
+        document.getElementById('manageTagsBtn').addEventListener('click', () => this.showTagManager());
+        document.getElementById('tagFilterMode').addEventListener('change', (e) => {
+            this.tagFilter.mode = e.target.value;
+            this.applyTagFilter();
+        });
+        document.getElementById('clearTagFilterBtn').addEventListener('click', () => {
+            this.tagFilter.names.clear();
+            this.applyTagFilter();
+        });
+
+        const managerModal = document.getElementById('tagManagerModal');
+        document.getElementById('closeTagManager').addEventListener('click', () => this.hideTagManager());
+        document.getElementById('doneTagManager').addEventListener('click', () => this.hideTagManager());
+        managerModal.addEventListener('click', (e) => {
+            if (e.target === managerModal) {
+                this.hideTagManager();
+            }
+        });
+        document.getElementById('addTagBtn').addEventListener('click', () => this.addTagFromManager());
+        document.getElementById('newTagName').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addTagFromManager();
+            }
+        });
+
+        // Style dialog: Enter or a comma turns the typed name into a chip
+        const tagInput = document.getElementById('nodeTagInput');
+        tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addPendingTag(tagInput.value);
+            } else if (e.key === 'Backspace' && !tagInput.value && this.pendingTags.length > 0) {
+                this.pendingTags.pop();
+                this.showPendingTags();
+            }
+        });
+    }
+
+    /**
+     * Find an entry of the map's tag list by name, ignoring case
+     */
+    findTag(name) {
+        const key = name.toLowerCase();
+        return this.tags.find(tag => tag.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Colour a tag is drawn in
+     */
+    getTagColor(name) {
+        const tag = this.findTag(name);
+        return (tag && tag.color) || DEFAULT_TAG_COLOR;
+    }
+
+    /**
+     * Tidy a typed tag name, or explain why it cannot be used and return null
+     */
+    normalizeTagName(value) {
+        const name = value.trim().replace(/^#+/, '').replace(/\s+/g, ' ');
+        if (!name) return null;
+        if (name.includes(',')) {
+            this.showMessage('Tag names cannot contain commas', 'error');
+            return null;
+        }
+        if (name.length > TAG_NAME_MAX_LENGTH) {
+            this.showMessage(`Tag names can be at most ${TAG_NAME_MAX_LENGTH} characters`, 'error');
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Get a tag by name, adding it to the tag list with the next colour when it is new
+     */
+    ensureTag(name) {
+        let tag = this.findTag(name);
+        if (!tag) {
+            tag = { name: name, color: TAG_COLORS[this.tags.length % TAG_COLORS.length] };
+            this.tags.push(tag);
+        }
+        return tag;
+    }
+
+    /**
+     * Number of nodes using each tag, by name
+     */
+    getTagCounts() {
+        const counts = new Map(this.tags.map(tag => [tag.name, 0]));
+        this.nodes.forEach(node => {
+            node.tags.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+        });
+        return counts;
+    }
+
+    /**
+     * Re-render every node that carries the given tag
+     */
+    refreshTaggedNodes(name) {
+        this.nodes.forEach(node => {
+            if (node.tags.includes(name)) {
+                this.refreshNode(node.id);
+            }
+        });
+    }
+
+    /**
+     * Bring the legend, the tag manager and the filter up to date after the map changed
+     */
+    updateTagViews() {
+        this.tagFilter.names.forEach(name => {
+            if (!this.tags.some(tag => tag.name === name)) {
+                this.tagFilter.names.delete(name);
+            }
+        });
+        this.applyTagFilter();
+        if (document.getElementById('tagManagerModal').classList.contains('show')) {
+            this.renderTagManager();
+        }
+    }
+
+    /**
+     * Whether the node lacks every tag the legend is filtering by
+     */
+    isExcludedByTagFilter(node) {
+        return this.tagFilter.names.size > 0 && !node.tags.some(name => this.tagFilter.names.has(name));
+    }
+
+    /**
+     * Whether a node is out of sight, in a collapsed branch or hidden by the tag filter
+     */
+    isNodeHidden(nodeId) {
+        return this.hiddenNodes.has(nodeId) || this.filteredNodes.has(nodeId);
+    }
+
+    /**
+     * Add a tag to the legend's filter, or take it out again
+     */
+    toggleTagFilter(name) {
+        if (this.tagFilter.names.has(name)) {
+            this.tagFilter.names.delete(name);
+        } else {
+            this.tagFilter.names.add(name);
+        }
+        this.applyTagFilter();
+    }
+
+    /**
+     * Dim, or in 'only' mode hide, the nodes without a filtered tag and the connections that touch them
+     */
+    applyTagFilter() {
+        const filtering = this.tagFilter.names.size > 0;
+        const hiding = filtering && this.tagFilter.mode === 'only';
+        this.canvas.classList.toggle('tag-filtering', filtering);
+        this.canvas.classList.toggle('tag-filter-only', hiding);
+
+        const excluded = new Set();
+        this.nodes.forEach(node => {
+            if (this.isExcludedByTagFilter(node)) excluded.add(node.id);
+        });
+        this.filteredNodes = hiding ? excluded : new Set();
+
+        this.nodesLayer.querySelectorAll('[data-node-id]').forEach(element => {
+            element.classList.toggle('tag-excluded', excluded.has(element.getAttribute('data-node-id')));
+        });
+        this.connectionsLayer.querySelectorAll('[data-connection-id]').forEach(element => {
+            const connection = this.connections.get(element.getAttribute('data-connection-id'));
+            element.classList.toggle('tag-excluded', Boolean(connection) &&
+                (excluded.has(connection.start) || excluded.has(connection.end)));
+        });
+
+        // Hidden nodes and lines cannot stay selected
+        if (hiding) {
+            this.setSelection(
+                Array.from(this.selectedNodes).filter(nodeId => !excluded.has(nodeId)),
+                Array.from(this.selectedConnections).filter(connectionId => {
+                    const connection = this.connections.get(connectionId);
+                    return connection && !excluded.has(connection.start) && !excluded.has(connection.end);
+                })
+            );
+        }
+        this.updateTagLegend();
+    }
+
+    /**
+     * Open or close the tag legend; with no argument it toggles
+     */
+    toggleTagLegend(show = !this.tagLegendOpen) {
+        this.tagLegendOpen = show;
+        document.getElementById('tagLegend').classList.toggle('show', show);
+        document.getElementById('tagsBtn').classList.toggle('active', show);
+        this.updateTagLegend();
+    }
+
+    /**
+     * List every tag with its colour and how many nodes use it; clicking one filters by it
+     */
+    updateTagLegend() {
+        if (!this.tagLegendOpen) return;
+
+        const counts = this.getTagCounts();
+        const list = document.getElementById('tagLegendList');
+        list.innerHTML = '';
+        document.getElementById('tagLegendEmpty').style.display = this.tags.length > 0 ? 'none' : '';
+
+        this.tags.forEach(tag => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'tag-legend-item';
+            item.classList.toggle('active', this.tagFilter.names.has(tag.name));
+            item.title = this.tagFilter.names.has(tag.name) ? 'Stop filtering by this tag' : 'Filter by this tag';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'tag-swatch';
+            swatch.style.background = tag.color || DEFAULT_TAG_COLOR;
+            const name = document.createElement('span');
+            name.className = 'tag-name';
+            name.textContent = tag.name;
+            const count = document.createElement('span');
+            count.className = 'tag-count';
+            count.textContent = counts.get(tag.name);
+            item.append(swatch, name, count);
+
+            item.addEventListener('click', () => this.toggleTagFilter(tag.name));
+            list.appendChild(item);
+        });
+
+        document.getElementById('tagFilterMode').value = this.tagFilter.mode;
+        document.getElementById('clearTagFilterBtn').disabled = this.tagFilter.names.size === 0;
+    }
+
+    /**
+     * Show the tag manager
+     */
+    showTagManager() {
+        this.renderTagManager();
+        document.getElementById('tagManagerModal').classList.add('show');
+        document.getElementById('newTagName').focus();
+    }
+
+    /**
+     * Hide the tag manager
+     */
+    hideTagManager() {
+        document.getElementById('tagManagerModal').classList.remove('show');
+        document.getElementById('newTagName').value = '';
+    }
+
+    /**
+     * Fill the tag manager with a row per tag: colour, name, usage and a delete button
+     */
+    renderTagManager() {
+        const counts = this.getTagCounts();
+        const list = document.getElementById('tagManagerList');
+        list.innerHTML = '';
+        document.getElementById('tagManagerEmpty').style.display = this.tags.length > 0 ? 'none' : '';
+
+        this.tags.forEach(tag => {
+            const row = document.createElement('div');
+            row.className = 'tag-manager-row';
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = tag.color || DEFAULT_TAG_COLOR;
+            color.title = 'Tag color';
+            color.addEventListener('change', () => this.setTagColor(tag.name, color.value));
+
+            const noColor = document.createElement('button');
+            noColor.type = 'button';
+            noColor.className = 'tag-no-color';
+            noColor.classList.toggle('active', !tag.color);
+            noColor.title = 'No color';
+            noColor.innerHTML = '<i class="fas fa-ban"></i>';
+            noColor.addEventListener('click', () => this.setTagColor(tag.name, null));
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = tag.name;
+            name.maxLength = TAG_NAME_MAX_LENGTH;
+            name.addEventListener('change', () => this.renameTag(tag.name, name.value));
+
+            const count = document.createElement('span');
+            count.className = 'tag-count';
+            const used = counts.get(tag.name);
+            count.textContent = `${used} node${used === 1 ? '' : 's'}`;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'details-remove';
+            remove.title = 'Delete tag';
+            remove.innerHTML = '<i class="fas fa-trash"></i>';
+            remove.addEventListener('click', () => this.deleteTag(tag.name));
+
+            row.append(color, noColor, name, count, remove);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Add the tag typed into the tag manager
+     */
+    addTagFromManager() {
+        const input = document.getElementById('newTagName');
+        const name = this.normalizeTagName(input.value);
+        if (!name) return;
+
+        const existing = this.findTag(name);
+        if (existing) {
+            this.showMessage(`There is already a tag called "${existing.name}"`, 'error');
+            return;
+        }
+        const color = document.getElementById('newTagColor').value;
+        this.recordChange('Add tag', () => {
+            this.tags.push({ name: name, color: color });
+        });
+        input.value = '';
+    }
+
+    /**
+     * Give a tag another name on every node that uses it
+     */
+    renameTag(oldName, value) {
+        const tag = this.findTag(oldName);
+        const name = this.normalizeTagName(value);
+        const existing = name ? this.findTag(name) : null;
+        if (existing && existing !== tag) {
+            this.showMessage(`There is already a tag called "${existing.name}"`, 'error');
+        }
+        if (!tag || !name || name === oldName || (existing && existing !== tag)) {
+            this.renderTagManager();
+            return;
+        }
+
+        this.recordChange('Rename tag', () => {
+            tag.name = name;
+            this.nodes.forEach(node => {
+                const index = node.tags.indexOf(oldName);
+                if (index >= 0) {
+                    node.tags[index] = name;
+                    this.refreshNode(node.id);
+                }
+            });
+            if (this.tagFilter.names.delete(oldName)) {
+                this.tagFilter.names.add(name);
+            }
+        });
+    }
+
+    /**
+     * Change a tag's colour; null leaves it uncoloured
+     */
+    setTagColor(name, color) {
+        const tag = this.findTag(name);
+        if (!tag || tag.color === color) return;
+        this.recordChange('Tag color', () => {
+            tag.color = color;
+            this.refreshTaggedNodes(tag.name);
+        });
+    }
+
+    /**
+     * Delete a tag from the tag list and from every node that uses it
+     */
+    deleteTag(name) {
+        const used = this.getTagCounts().get(name) || 0;
+        if (used > 0 && !confirm(`Remove the tag "${name}" from ${used} node${used === 1 ? '' : 's'}?`)) return;
+
+        this.recordChange('Delete tag', () => {
+            this.tags = this.tags.filter(tag => tag.name !== name);
+            this.nodes.forEach(node => {
+                if (node.tags.includes(name)) {
+                    node.tags = node.tags.filter(tagName => tagName !== name);
+                    this.refreshNode(node.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Add a typed name to the tags chosen in the style dialog, reusing the spelling of an existing tag
+     */
+    addPendingTag(value) {
+        const input = document.getElementById('nodeTagInput');
+        const name = this.normalizeTagName(value);
+        input.value = '';
+        if (!name) return;
+
+        const existing = this.findTag(name);
+        const tagName = existing ? existing.name : name;
+        if (!this.pendingTags.some(pending => pending.toLowerCase() === tagName.toLowerCase())) {
+            this.pendingTags.push(tagName);
+        }
+        this.showPendingTags();
+    }
+
+    /**
+     * Show the tags chosen in the style dialog as removable chips, and suggest the other tags
+     */
+    showPendingTags() {
+        const list = document.getElementById('nodeTagList');
+        list.innerHTML = '';
+        this.pendingTags.forEach((name, index) => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.style.setProperty('--tag-color', this.getTagColor(name));
+            chip.textContent = name;
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.title = 'Remove tag';
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => {
+                this.pendingTags.splice(index, 1);
+                this.showPendingTags();
+            });
+            chip.appendChild(remove);
+            list.appendChild(chip);
+        });
+
+        const suggestions = document.getElementById('tagSuggestions');
+        suggestions.innerHTML = '';
+        this.tags.filter(tag => !this.pendingTags.includes(tag.name)).forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag.name;
+            suggestions.appendChild(option);
+        });
+    }
+
+    /**
+     * Set up the theme menu and the theme editor
+     */
+    setupThemes() {
+        document.getElementById('editThemesBtn').addEventListener('click', () => this.showThemeEditor());
+
+        const editorModal = document.getElementById('themeEditorModal');
+        document.getElementById('closeThemeEditor').addEventListener('click', () => this.hideThemeEditor());
+        document.getElementById('cancelThemeEdit').addEventListener('click', () => this.hideThemeEditor());
+        document.getElementById('saveThemeEdit').addEventListener('click', () => this.saveThemeEditor());
+        editorModal.addEventListener('click', (e) => {
+            if (e.target === editorModal) {
+                this.hideThemeEditor();
+            }
+        });
+        document.getElementById('themeSelect').addEventListener('change', (e) => {
+            const theme = this.getAvailableThemes().find(candidate => candidate.id === e.target.value);
+            if (theme) {
+                this.fillThemeEditor(theme);
+            }
+        });
+        document.getElementById('deleteThemeBtn').addEventListener('click', () => this.deleteCustomTheme());
+        document.getElementById('exportThemeBtn').addEventListener('click', () => this.exportThemeFile());
+
+        const importInput = document.getElementById('themeFileInput');
+        document.getElementById('importThemeBtn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) {
+                this.importThemeFile(file);
+            }
+        });
+
+        // One row of colour pickers per depth level, and the palette swatches
+        const levels = document.getElementById('themeLevels');
+        for (let index = 0; index < THEME_EDITOR_LEVELS; index++) {
+            const row = document.createElement('div');
+            row.className = 'theme-level-row';
+            const label = document.createElement('span');
+            label.textContent = index === 0 ? 'Root'
+                : index === THEME_EDITOR_LEVELS - 1 ? `Level ${index + 1} and below` : `Level ${index + 1}`;
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.title = 'Node color';
+            const textColor = document.createElement('input');
+            textColor.type = 'color';
+            textColor.title = 'Text color';
+            row.append(label, color, textColor);
+            levels.appendChild(row);
+        }
+        const palette = document.getElementById('themePalette');
+        for (let index = 0; index < THEME_PALETTE_SIZE; index++) {
+            const color = document.createElement('input');
+            color.type = 'color';
+            palette.appendChild(color);
+        }
+
+        this.applyTheme();
+    }
+
+    /**
+     * Copy of a theme holding only the theme fields
+     */
+    cloneTheme(theme) {
+        return {
+            id: theme.id,
+            name: theme.name,
+            background: theme.background,
+            fontFamily: theme.fontFamily,
+            levels: theme.levels.map(level => ({ color: level.color, textColor: level.textColor })),
+            plainTextColor: theme.plainTextColor,
+            connection: {
+                color: theme.connection.color,
+                width: theme.connection.width,
+                routing: theme.connection.routing
+            },
+            palette: theme.palette.slice()
+        };
+    }
+
+    /**
+     * Check that a theme is well formed, throwing an Error that explains the first problem found
+     */
+    validateTheme(theme) {
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('The theme is not an object.');
+        }
+        if (typeof theme.name !== 'string' || !theme.name.trim()) {
+            throw new Error('The theme has no name.');
+        }
+        if (!isColor(theme.background)) {
+            throw new Error(`Theme "${theme.name}" has an invalid background color.`);
+        }
+        if (typeof theme.fontFamily !== 'string' || !theme.fontFamily) {
+            throw new Error(`Theme "${theme.name}" has an invalid font.`);
+        }
+        if (!Array.isArray(theme.levels) || theme.levels.length === 0 ||
+            !theme.levels.every(level => level && isColor(level.color) && isColor(level.textColor))) {
+            throw new Error(`Theme "${theme.name}" has invalid node colors.`);
+        }
+        if (!isColor(theme.plainTextColor)) {
+            throw new Error(`Theme "${theme.name}" has an invalid text-only color.`);
+        }
+        const connection = theme.connection;
+        if (!connection || typeof connection !== 'object' || !isColor(connection.color) ||
+            !Number.isFinite(connection.width) || connection.width <= 0 || !CONNECTION_ROUTINGS.includes(connection.routing)) {
+            throw new Error(`Theme "${theme.name}" has an invalid connection style.`);
+        }
+        if (!Array.isArray(theme.palette) || theme.palette.length === 0 || !theme.palette.every(isColor)) {
+            throw new Error(`Theme "${theme.name}" has an invalid palette.`);
+        }
+    }
+
+    /**
+     * Custom themes stored in the browser; broken entries are skipped
+     */
+    loadCustomThemes() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY) || '[]');
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(stored)) return [];
+
+        return stored.filter(theme => {
+            try {
+                this.validateTheme(theme);
+                return typeof theme.id === 'string';
+            } catch (error) {
+                return false;
+            }
+        }).map(theme => this.cloneTheme(theme));
+    }
+
+    /**
+     * Store the custom themes, returning false (after saying so) when the browser refuses
+     */
+    saveCustomThemes(themes) {
+        try {
+            localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(themes));
+            return true;
+        } catch (error) {
+            this.showMessage('Could not store the theme: browser storage is full', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Built-in and custom themes, plus the map's own theme when it came with an opened file
+     */
+    getAvailableThemes() {
+        const themes = THEMES.concat(this.loadCustomThemes());
+        if (!themes.some(theme => theme.id === this.theme.id)) {
+            themes.push(this.theme);
+        }
+        return themes;
+    }
+
+    /**
+     * A fresh id for a custom theme
+     */
+    createThemeId() {
+        const taken = new Set(this.getAvailableThemes().map(theme => theme.id));
+        let id;
+        do {
+            id = `custom_${Date.now().toString(36)}_${Math.floor(Math.random() * 1296).toString(36)}`;
+        } while (taken.has(id));
+        return id;
+    }
+
+    /**
+     * Colours and font a node is drawn with: its own, or otherwise the theme's for its depth
+     */
+    getNodeStyle(node) {
+        const levels = this.theme.levels;
+        const level = levels[Math.min(this.getNodeDepth(node.id), levels.length - 1)];
+        return {
+            color: node.color || level.color,
+            textColor: node.textColor || (node.shape === 'text' ? this.theme.plainTextColor : level.textColor),
+            fontFamily: node.fontFamily || this.theme.fontFamily
+        };
+    }
+
+    /**
+     * Short description of a node's resolved style, to spot nodes that need redrawing
+     */
+    getNodeStyleKey(node) {
+        const style = this.getNodeStyle(node);
+        return `${style.color}|${style.textColor}|${style.fontFamily}`;
+    }
+
+    /**
+     * Redraw the nodes whose theme colours changed, for example after moving to another depth
+     */
+    refreshThemeStyles() {
+        this.nodesLayer.querySelectorAll('[data-node-id]').forEach(element => {
+            const node = this.nodes.get(element.getAttribute('data-node-id'));
+            if (node && element.getAttribute('data-style') !== this.getNodeStyleKey(node)) {
+                this.refreshNode(node.id);
+            }
+        });
+    }
+
+    /**
+     * Switch the map to another theme as one undoable step
+     */
+    setTheme(theme) {
+        this.recordChange('Change theme', () => {
+            this.theme = this.cloneTheme(theme);
+            // Nodes in the theme font are refitted to the new one
+            this.nodes.forEach(node => {
+                if (!node.fontFamily) {
+                    node.size = this.getFittedNodeSize(node);
+                    node.radius = node.size;
+                }
+            });
+            this.applyTheme();
+        });
+    }
+
+    /**
+     * Restyle the canvas, the colour presets, the theme menu and everything drawn for the current theme
+     */
+    applyTheme() {
+        const container = this.canvas.parentElement;
+        container.style.background = this.theme.background;
+        container.style.setProperty('--map-background', this.theme.background);
+
+        this.nodes.forEach(node => this.refreshNode(node.id));
+        this.connections.forEach(connection => this.rerenderConnection(connection));
+
+        ['nodeColorPresets', 'connectionColorPresets'].forEach(containerId => {
+            const presets = document.getElementById(containerId);
+            presets.innerHTML = '';
+            this.theme.palette.forEach(color => {
+                const preset = document.createElement('div');
+                preset.className = 'color-preset';
+                preset.dataset.color = color;
+                preset.style.background = color;
+                presets.appendChild(preset);
+            });
+        });
+        this.renderThemeMenu();
+    }
+
+    /**
+     * List the themes in the toolbar menu, marking the map's current one
+     */
+    renderThemeMenu() {
+        const list = document.getElementById('themeMenuList');
+        list.innerHTML = '';
+        this.getAvailableThemes().forEach(theme => {
+            const item = document.createElement('button');
+            item.className = 'dropdown-item theme-item';
+            item.classList.toggle('active', theme.id === this.theme.id);
+
+            const swatch = document.createElement('span');
+            swatch.className = 'theme-swatch';
+            swatch.style.background = `linear-gradient(135deg, ${theme.background} 50%, ${theme.levels[0].color} 50%)`;
+            item.append(swatch, document.createTextNode(theme.name));
+
+            item.addEventListener('click', () => this.setTheme(theme));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Open the theme editor on the map's current theme
+     */
+    showThemeEditor() {
+        this.fillThemeEditor(this.theme);
+        document.getElementById('themeEditorModal').classList.add('show');
+    }
+
+    /**
+     * Hide the theme editor
+     */
+    hideThemeEditor() {
+        document.getElementById('themeEditorModal').classList.remove('show');
+    }
+
+    /**
+     * Show a theme in the editor's fields
+     */
+    fillThemeEditor(theme) {
+        this.editingThemeId = theme.id;
+
+        const select = document.getElementById('themeSelect');
+        select.innerHTML = '';
+        this.getAvailableThemes().forEach(candidate => {
+            const builtIn = THEMES.some(builtInTheme => builtInTheme.id === candidate.id);
+            select.add(new Option(builtIn ? `${candidate.name} (built-in)` : candidate.name, candidate.id));
+        });
+        select.value = theme.id;
+
+        // Fonts from imported themes may not be in the list yet
+        const fontSelect = document.getElementById('themeFont');
+        if (!Array.from(fontSelect.options).some(option => option.value === theme.fontFamily)) {
+            fontSelect.add(new Option(theme.fontFamily.split(',')[0].replace(/['"]/g, ''), theme.fontFamily));
+        }
+
+        document.getElementById('themeName').value = theme.name;
+        document.getElementById('themeBackground').value = theme.background;
+        fontSelect.value = theme.fontFamily;
+        document.querySelectorAll('#themeLevels .theme-level-row').forEach((row, index) => {
+            const level = theme.levels[Math.min(index, theme.levels.length - 1)];
+            const [color, textColor] = row.querySelectorAll('input');
+            color.value = level.color;
+            textColor.value = level.textColor;
+        });
+        document.getElementById('themePlainText').value = theme.plainTextColor;
+        document.getElementById('themeConnectionColor').value = theme.connection.color;
+        document.getElementById('themeConnectionWidth').value = theme.connection.width;
+        document.getElementById('themeConnectionRouting').value = theme.connection.routing;
+        document.querySelectorAll('#themePalette input').forEach((input, index) => {
+            input.value = theme.palette[Math.min(index, theme.palette.length - 1)];
+        });
+
+        const custom = this.loadCustomThemes().some(candidate => candidate.id === theme.id);
+        document.getElementById('deleteThemeBtn').disabled = !custom;
+        document.getElementById('themeEditorHint').textContent = custom
+            ? 'Saving updates this theme and applies it to the map.'
+            : 'Built-in themes stay as they are: saving creates a custom theme.';
+    }
+
+    /**
+     * Build a theme from the editor's fields
+     */
+    readThemeEditor() {
+        const width = parseFloat(document.getElementById('themeConnectionWidth').value);
+        const levels = Array.from(document.querySelectorAll('#themeLevels .theme-level-row')).map(row => {
+            const [color, textColor] = row.querySelectorAll('input');
+            return { color: color.value, textColor: textColor.value };
+        });
+        // Trailing levels that repeat the one above add nothing
+        while (levels.length > 1 && levels[levels.length - 1].color === levels[levels.length - 2].color &&
+            levels[levels.length - 1].textColor === levels[levels.length - 2].textColor) {
+            levels.pop();
+        }
+
+        return {
+            id: this.editingThemeId,
+            name: document.getElementById('themeName').value.trim(),
+            background: document.getElementById('themeBackground').value,
+            fontFamily: document.getElementById('themeFont').value,
+            levels: levels,
+            plainTextColor: document.getElementById('themePlainText').value,
+            connection: {
+                color: document.getElementById('themeConnectionColor').value,
+                width: Number.isFinite(width) ? Math.max(0.5, Math.min(12, width)) : 2,
+                routing: document.getElementById('themeConnectionRouting').value
+            },
+            palette: Array.from(document.querySelectorAll('#themePalette input')).map(input => input.value)
+        };
+    }
+
+    /**
+     * Store the edited theme as a custom theme and apply it to the map
+     */
+    saveThemeEditor() {
+        const theme = this.readThemeEditor();
+        try {
+            this.validateTheme(theme);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return;
+        }
+
+        const custom = this.loadCustomThemes();
+        const index = custom.findIndex(candidate => candidate.id === theme.id);
+        if (index >= 0) {
+            custom[index] = theme;
+        } else {
+            // Built-in themes stay as they are; changes to them become a custom theme
+            if (THEMES.some(builtIn => builtIn.id === theme.id)) {
+                theme.id = this.createThemeId();
+            }
+            if (THEMES.some(builtIn => builtIn.name === theme.name)) {
+                theme.name += ' (custom)';
+            }
+            custom.push(theme);
+        }
+        if (!this.saveCustomThemes(custom)) return;
+
+        this.hideThemeEditor();
+        this.setTheme(theme);
+        this.renderThemeMenu();
+        this.showMessage(`Theme "${theme.name}" applied`, 'success');
+    }
+
+    /**
+     * Delete the custom theme shown in the editor; maps using it keep their copy
+     */
+    deleteCustomTheme() {
+        const custom = this.loadCustomThemes();
+        const theme = custom.find(candidate => candidate.id === this.editingThemeId);
+        if (!theme || !confirm(`Delete the theme "${theme.name}"? Maps that use it keep their colors.`)) return;
+
+        if (!this.saveCustomThemes(custom.filter(candidate => candidate !== theme))) return;
+        this.fillThemeEditor(this.theme);
+        this.renderThemeMenu();
+    }
+
+    /**
+     * Download the theme in the editor as a .theme.json file
+     */
+    exportThemeFile() {
+        const theme = this.readThemeEditor();
+        try {
+            this.validateTheme(theme);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            return;
+        }
+
+        const data = Object.assign({ format: THEME_FILE_FORMAT }, theme);
+        delete data.id;
+        const fileName = `${theme.name.replace(/[\\/:*?"<>|]+/g, '_')}.theme.json`;
+        this.downloadFile(JSON.stringify(data, null, 2), fileName, 'application/json');
+    }
+
+    /**
+     * Add a theme from a .theme.json file to the custom themes and show it in the editor
+     */
+    importThemeFile(file) {
+        return file.text()
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    throw new Error('The file is not valid JSON.');
+                }
+                if (data && data.format !== undefined && data.format !== THEME_FILE_FORMAT) {
+                    throw new Error(`Unknown file format "${data.format}".`);
+                }
+                this.validateTheme(data);
+
+                const theme = this.cloneTheme(data);
+                theme.id = this.createThemeId();
+                const custom = this.loadCustomThemes();
+                custom.push(theme);
+                if (!this.saveCustomThemes(custom)) return;
+
+                this.fillThemeEditor(theme);
+                this.renderThemeMenu();
+                this.showMessage(`Imported theme "${theme.name}"`, 'success');
+            })
+            .catch(error => {
+                this.showMessage(`Could not import ${file.name}: ${error.message}`, 'error');
+            });
+    }
+
+    /**
+     * Handle node click events
+     */
+    handleNodeClick(e, nodeId) {
+        console.log('Node clicked:', nodeId, 'Tool:', this.currentTool, 'CtrlKey:', e.ctrlKey, 'MetaKey:', e.metaKey);
+        e.stopPropagation();
+
+        // Clicks that end a drag or a long press keep the selection as it is
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+
+        // Clicking a link in a label follows it
+        const link = e.target.closest && e.target.closest('.node-link');
+        if (link && this.currentTool === 'select' && !e.ctrlKey && !e.metaKey) {
+            window.open(link.getAttribute('data-href'), '_blank', 'noopener');
+            return;
+        }
+        
+        if (this.currentTool === 'connection') {
+            if (!this.isConnecting) {
+                this.startConnection(nodeId);
+            } else if (this.connectionStart !== nodeId) {
+                this.completeConnection(nodeId);
+            }
+        } else if (this.currentTool === 'select') {
+            if (e.ctrlKey || e.metaKey) {
+                // Ctrl+Click or Cmd+Click for multiple selection
+                console.log('Ctrl+Click detected, toggling selection');
+                this.toggleNodeSelection(nodeId);
+            } else {
+                // Regular click - clear other selections and select this node
+                console.log('Regular click, selecting single node');
+                this.selectNode(nodeId);
+            }
+        }
+    }
+
+    /**
+     * Start creating a connection
+     */
+    startConnection(nodeId) {
+        this.isConnecting = true;
+        this.connectionStart = nodeId;
+        this.selectNode(nodeId);
+    }
+
+    /**
+     * Complete creating a connection
+     */
+    completeConnection(nodeId) {
+        if (this.connectionStart && this.connectionStart !== nodeId) {
+            const startNodeId = this.connectionStart;
+            this.recordChange('Add connection', () => this.createConnection(startNodeId, nodeId));
+        }
+        this.isConnecting = false;
+        this.connectionStart = null;
+        this.clearTempConnection();
+    }
+
+    /**
+     * Create a connection between two nodes
+     */
+    createConnection(startNodeId, endNodeId, kind = 'link') {
+        const connectionId = `connection_${++this.connectionCounter}`;
+        const connection = {
+            id: connectionId,
+            start: startNodeId,
+            end: endNodeId,
+            // 'tree' edges run from parent to child, 'link' edges are free-form cross-links
+            kind: kind,
+            arrows: 'none',
+            label: '',
+            // Null style values follow the theme and the default look for the connection's kind
+            routing: null,
+            color: null,
+            width: null,
+            dash: null
+        };
+
+        this.connections.set(connectionId, connection);
+        this.renderConnection(connection);
+        this.refreshParallelConnections(startNodeId, endNodeId);
+        return connectionId;
+    }
+
+    /**
+     * Redraw a connection that is already on the canvas after its style changed, keeping its
+     * selection. Connections not drawn yet are left alone.
+     */
+    rerenderConnection(connection) {
+        const element = document.querySelector(`[data-connection-id="${connection.id}"]`);
+        if (!element) return;
+        element.remove();
+        this.renderConnection(connection);
+        this.updateConnectionSelection(connection.id, this.selectedConnections.has(connection.id));
+    }
+
+    /**
+     * Render a connection on the canvas
+     */
+    renderConnection(connection) {
+        const startNode = this.nodes.get(connection.start);
+        const endNode = this.nodes.get(connection.end);
+        
+        if (!startNode || !endNode) return;
+
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.classList.add('connection', connection.kind === 'tree' ? 'connection-tree' : 'connection-link');
+        group.setAttribute('data-connection-id', connection.id);
+
+        // Custom properties let the stylesheet keep hover and selection states on top
+        group.style.setProperty('--connection-color', connection.color || this.theme.connection.color);
+        group.style.setProperty('--connection-width', connection.width || this.theme.connection.width);
+        if (connection.dash) group.style.setProperty('--connection-dash', LINE_DASHES[connection.dash]);
+
+        group.addEventListener('click', (e) => this.handleConnectionClick(e, connection.id));
+        group.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.editConnection(connection.id);
+        });
+
+        this.drawConnection(group, connection);
+        this.applySearchClasses(group, `connection:${connection.id}`);
+        group.classList.toggle('tag-excluded', this.isExcludedByTagFilter(startNode) || this.isExcludedByTagFilter(endNode));
+        this.connectionsLayer.appendChild(group);
+    }
+
+    /**
+     * Draw a connection's line, arrowheads and label into its group
+     */
+    drawConnection(group, connection) {
+        const geometry = this.getConnectionGeometry(connection);
+        if (!geometry) return;
+
+        while (group.firstChild) {
+            group.removeChild(group.firstChild);
+        }
+
+        // A wide invisible stroke makes thin lines easy to click
+        const hitArea = document.createElementNS(SVG_NS, 'path');
+        hitArea.classList.add('connection-hit');
+        hitArea.setAttribute('d', geometry.path);
+        group.appendChild(hitArea);
+
+        const line = document.createElementNS(SVG_NS, 'path');
+        line.classList.add('connection-line');
+        line.setAttribute('d', geometry.path);
+        group.appendChild(line);
+
+        geometry.arrows.forEach(arrow => {
+            const head = document.createElementNS(SVG_NS, 'path');
+            head.classList.add('connection-arrow');
+            head.setAttribute('d', arrow);
+            group.appendChild(head);
+        });
+
+        if (connection.label) {
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.classList.add('connection-label');
+            label.setAttribute('x', geometry.mid.x);
+            label.setAttribute('y', geometry.mid.y);
+            label.textContent = connection.label;
+            group.appendChild(label);
+        }
+    }
+
+    /**
+     * Work out the path, arrowheads and label position of a connection.
+     * Ends are clipped to the node outlines and parallel edges are fanned out.
+     */
+    getConnectionGeometry(connection) {
+        const startNode = this.nodes.get(connection.start);
+        const endNode = this.nodes.get(connection.end);
+        if (!startNode || !endNode) return null;
+
+        const routing = connection.routing || this.theme.connection.routing;
+        const horizontal = Math.abs(endNode.x - startNode.x) >= Math.abs(endNode.y - startNode.y);
+        const centreRoute = this.routeConnection(startNode, endNode, routing, horizontal);
+        const startOut = { x: -centreRoute.startDirection.x, y: -centreRoute.startDirection.y };
+        const endOut = { x: -centreRoute.endDirection.x, y: -centreRoute.endDirection.y };
+
+        // Shift the whole edge sideways; reversed edges flip the sign so both sides stay apart
+        const offset = this.getParallelOffset(connection) * (connection.start < connection.end ? 1 : -1);
+        const shift = { x: -startOut.y * offset, y: startOut.x * offset };
+
+        const start = this.getOutlinePoint(startNode, shift, startOut);
+        const end = this.getOutlinePoint(endNode, shift, endOut);
+
+        const width = connection.width || this.theme.connection.width;
+        const arrowLength = 8 + width * 2;
+        const arrowHalfWidth = 4 + width;
+
+        const route = this.routeConnection(start, end, routing, horizontal);
+        const arrowAtStart = connection.arrows === 'both';
+        const arrowAtEnd = connection.arrows === 'end' || connection.arrows === 'both';
+
+        // Stop the line short of each arrow tip so a wide stroke does not poke through it
+        const trimmedStart = arrowAtStart
+            ? { x: start.x - route.startDirection.x * arrowLength * 0.7, y: start.y - route.startDirection.y * arrowLength * 0.7 }
+            : start;
+        const trimmedEnd = arrowAtEnd
+            ? { x: end.x - route.endDirection.x * arrowLength * 0.7, y: end.y - route.endDirection.y * arrowLength * 0.7 }
+            : end;
+        const trimmed = arrowAtStart || arrowAtEnd
+            ? this.routeConnection(trimmedStart, trimmedEnd, routing, horizontal)
+            : route;
+
+        const arrowHead = (tip, direction) => {
+            const baseX = tip.x - direction.x * arrowLength;
+            const baseY = tip.y - direction.y * arrowLength;
+            const normalX = -direction.y * arrowHalfWidth;
+            const normalY = direction.x * arrowHalfWidth;
+            return `M ${tip.x} ${tip.y} L ${baseX + normalX} ${baseY + normalY} L ${baseX - normalX} ${baseY - normalY} Z`;
+        };
+
+        const arrows = [];
+        if (arrowAtStart) arrows.push(arrowHead(start, route.startDirection));
+        if (arrowAtEnd) arrows.push(arrowHead(end, route.endDirection));
+
+        return { path: trimmed.path, mid: route.mid, arrows: arrows };
+    }
+
+    /**
+     * Sideways offset for a connection that shares its pair of nodes with others,
+     * spreading them evenly around the straight centre line
+     */
+    getParallelOffset(connection) {
+        const siblings = this.getParallelConnections(connection.start, connection.end);
+        if (siblings.length < 2) return 0;
+
+        const index = siblings.findIndex(sibling => sibling.id === connection.id);
+        return (index - (siblings.length - 1) / 2) * PARALLEL_CONNECTION_GAP;
+    }
+
+    /**
+     * All connections between two nodes in either direction, in creation order
+     */
+    getParallelConnections(nodeIdA, nodeIdB) {
+        return Array.from(this.connections.values()).filter(connection =>
+            (connection.start === nodeIdA && connection.end === nodeIdB) ||
+            (connection.start === nodeIdB && connection.end === nodeIdA));
+    }
+
+    /**
+     * Redraw every connection between two nodes after one was added or removed
+     */
+    refreshParallelConnections(nodeIdA, nodeIdB) {
+        this.getParallelConnections(nodeIdA, nodeIdB).forEach(connection => this.updateConnectionPosition(connection.id));
+    }
+
+    /**
+     * Describe a node's outline as an ellipse or a convex polygon,
+     * relative to the node centre. New shapes only need an entry here
+     * for connections to attach to their edge.
+     */
+    getNodeOutline(node) {
+        const { width, height } = this.getNodeDimensions(node);
+        const cornerRadius = node.cornerRadius === null || node.cornerRadius === undefined
+            ? NODE_CORNER_RADIUS
+            : node.cornerRadius;
+
+        switch (node.shape) {
+            case 'square':
+            case 'rectangle':
+            case 'text':
+                return { type: 'polygon', points: this.getRoundedRectPoints(width, height, cornerRadius) };
+            case 'pill':
+                return { type: 'polygon', points: this.getRoundedRectPoints(width, height, height / 2) };
+            case 'diamond':
+            case 'hexagon':
+            case 'parallelogram':
+                return { type: 'polygon', points: this.getShapePoints(node.shape, width, height) };
+            default: // circle, ellipse and cloud
+                return { type: 'ellipse', rx: width / 2, ry: height / 2 };
+        }
+    }
+
+    /**
+     * Approximate a rounded rectangle centred on the origin with a polygon
+     */
+    getRoundedRectPoints(width, height, radius) {
+        const r = Math.min(radius, width / 2, height / 2);
+        const corners = [
+            { x: width / 2 - r, y: height / 2 - r, angle: 0 },
+            { x: -width / 2 + r, y: height / 2 - r, angle: Math.PI / 2 },
+            { x: -width / 2 + r, y: -height / 2 + r, angle: Math.PI },
+            { x: width / 2 - r, y: -height / 2 + r, angle: Math.PI * 1.5 }
+        ];
+        const points = [];
+        corners.forEach(corner => {
+            for (let step = 0; step <= 4; step++) {
+                const angle = corner.angle + (Math.PI / 2) * (step / 4);
+                points.push({ x: corner.x + Math.cos(angle) * r, y: corner.y + Math.sin(angle) * r });
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Point where a ray from the node centre (moved by offset) leaves the node outline.
+     * Falls back to the ray origin when it already lies outside the shape.
+     */
+    getOutlinePoint(node, offset, direction) {
+        const outline = this.getNodeOutline(node);
+        const origin = { x: offset.x, y: offset.y };
+        let distance = null;
+
+        if (outline.type === 'ellipse') {
+            // Solve |(origin + t * direction) / radii| = 1 for the positive root
+            const ox = origin.x / outline.rx, oy = origin.y / outline.ry;
+            const dx = direction.x / outline.rx, dy = direction.y / outline.ry;
+            const a = dx * dx + dy * dy;
+            const b = 2 * (ox * dx + oy * dy);
+            const c = ox * ox + oy * oy - 1;
+            const discriminant = b * b - 4 * a * c;
+            if (a > 0 && c < 0 && discriminant >= 0) {
+                distance = (-b + Math.sqrt(discriminant)) / (2 * a);
+            }
+        } else {
+            const points = outline.points;
+            points.forEach((point, index) => {
+                const next = points[(index + 1) % points.length];
+                const edgeX = next.x - point.x;
+                const edgeY = next.y - point.y;
+                const denominator = direction.x * edgeY - direction.y * edgeX;
+                if (Math.abs(denominator) < 1e-9) return;
+
+                const relX = point.x - origin.x;
+                const relY = point.y - origin.y;
+                const t = (relX * edgeY - relY * edgeX) / denominator;
+                const u = (relX * direction.y - relY * direction.x) / denominator;
+                if (t > 0 && u >= 0 && u <= 1 && (distance === null || t > distance)) {
+                    distance = t;
+                }
+            });
+        }
+
+        const t = distance === null ? 0 : distance;
+        return { x: node.x + origin.x + direction.x * t, y: node.y + origin.y + direction.y * t };
+    }
+
+    /**
+     * Route a line between two points. The directions are unit vectors
+     * pointing into each end, which is where arrowheads point. Curves and
+     * elbows run along the horizontal or vertical axis as given.
+     */
+    routeConnection(start, end, routing, horizontal = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y)) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const straightDirection = { x: dx / length, y: dy / length };
+
+        if (routing === 'curved' && (dx !== 0 || dy !== 0)) {
+            // An S-curve that leaves and arrives along the dominant axis
+            const c1 = horizontal ? { x: start.x + dx / 2, y: start.y } : { x: start.x, y: start.y + dy / 2 };
+            const c2 = horizontal ? { x: end.x - dx / 2, y: end.y } : { x: end.x, y: end.y - dy / 2 };
+            const axis = horizontal ? { x: Math.sign(dx) || 1, y: 0 } : { x: 0, y: Math.sign(dy) || 1 };
+            return {
+                path: `M ${start.x} ${start.y} C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${end.x} ${end.y}`,
+                mid: { x: (start.x + 3 * c1.x + 3 * c2.x + end.x) / 8, y: (start.y + 3 * c1.y + 3 * c2.y + end.y) / 8 },
+                startDirection: { x: -axis.x, y: -axis.y },
+                endDirection: axis
+            };
+        }
+
+        if (routing === 'elbow' && (dx !== 0 || dy !== 0)) {
+            // Right angles, turning halfway along the dominant axis
+            const axis = horizontal ? { x: Math.sign(dx) || 1, y: 0 } : { x: 0, y: Math.sign(dy) || 1 };
+            const path = horizontal
+                ? `M ${start.x} ${start.y} H ${start.x + dx / 2} V ${end.y} H ${end.x}`
+                : `M ${start.x} ${start.y} V ${start.y + dy / 2} H ${end.x} V ${end.y}`;
+            return {
+                path: path,
+                mid: { x: start.x + dx / 2, y: start.y + dy / 2 },
+                startDirection: { x: -axis.x, y: -axis.y },
+                endDirection: axis
+            };
+        }
+
+        return {
+            path: `M ${start.x} ${start.y} L ${end.x} ${end.y}`,
+            mid: { x: start.x + dx / 2, y: start.y + dy / 2 },
+            startDirection: { x: -straightDirection.x, y: -straightDirection.y },
+            endDirection: straightDirection
+        };
+    }
+
+    /**
+     * Handle connection click events
+     */
+    handleConnectionClick(e, connectionId) {
+        e.stopPropagation();
+        if (this.currentTool === 'select') {
+            this.selectConnection(connectionId);
+        }
+    }
+
+    /**
+     * Update temporary connection line
+     */
+    updateTempConnection(x, y) {
+        if (!this.connectionStart) return;
+
+        const startNode = this.nodes.get(this.connectionStart);
+        if (!startNode) return;
+
+        this.clearTempConnection();
+
+        // Over another node the line snaps to its outline, otherwise it follows the pointer
+        const targetId = this.findNodeAt({ x: x, y: y }, new Set([startNode.id]));
+        const targetNode = targetId ? this.nodes.get(targetId) : null;
+        const target = targetNode || { x: x, y: y };
+
+        const dx = target.x - startNode.x;
+        const dy = target.y - startNode.y;
+        const length = Math.hypot(dx, dy);
+        const direction = length > 0 ? { x: dx / length, y: dy / length } : { x: 1, y: 0 };
+        const noOffset = { x: 0, y: 0 };
+        const start = this.getOutlinePoint(startNode, noOffset, direction);
+        const end = targetNode
+            ? this.getOutlinePoint(targetNode, noOffset, { x: -direction.x, y: -direction.y })
+            : target;
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.classList.add('temp-connection');
+        line.classList.toggle('snapped', Boolean(targetNode));
+        line.setAttribute('x1', start.x);
+        line.setAttribute('y1', start.y);
+        line.setAttribute('x2', end.x);
+        line.setAttribute('y2', end.y);
+
+        this.connectionsLayer.appendChild(line);
+        this.tempConnection = line;
+    }
+
+    /**
+     * Clear temporary connection line
+     */
+    clearTempConnection() {
+        if (this.tempConnection) {
+            this.tempConnection.remove();
+            this.tempConnection = null;
+        }
+    }
+
+    /**
+     * Select a node
+     */
+    selectNode(nodeId) {
+        this.clearSelection();
+        this.selectedNodes.add(nodeId);
+        this.updateNodeSelection(nodeId, true);
+    }
+
+    /**
+     * Toggle node selection
+     */
+    toggleNodeSelection(nodeId) {
+        console.log('Toggle selection for node:', nodeId, 'Currently selected:', Array.from(this.selectedNodes));
+        if (this.selectedNodes.has(nodeId)) {
+            this.selectedNodes.delete(nodeId);
+            this.updateNodeSelection(nodeId, false);
+        } else {
+            this.selectedNodes.add(nodeId);
+            this.updateNodeSelection(nodeId, true);
+        }
+        console.log('After toggle, selected nodes:', Array.from(this.selectedNodes));
+    }
+
+    /**
+     * Select a connection
+     */
+    selectConnection(connectionId) {
+        this.clearSelection();
+        this.selectedConnections.add(connectionId);
+        this.updateConnectionSelection(connectionId, true);
+    }
+
+    /**
+     * Select every visible node and connection (Ctrl+A)
+     */
+    selectAll() {
+        const visibleNodes = Array.from(this.nodes.keys()).filter(nodeId => !this.isNodeHidden(nodeId));
+        const visibleConnections = Array.from(this.connections.values())
+            .filter(connection => !this.isNodeHidden(connection.start) && !this.isNodeHidden(connection.end))
+            .map(connection => connection.id);
+        this.setSelection(visibleNodes, visibleConnections);
+    }
+
+    /**
+     * Replace the selection, only touching elements whose state changes
+     */
+    setSelection(nodeIds, connectionIds) {
+        const nodes = new Set(nodeIds);
+        const connections = new Set(connectionIds);
+
+        this.selectedNodes.forEach(nodeId => {
+            if (!nodes.has(nodeId)) this.updateNodeSelection(nodeId, false);
+        });
+        nodes.forEach(nodeId => {
+            if (!this.selectedNodes.has(nodeId)) this.updateNodeSelection(nodeId, true);
+        });
+        this.selectedConnections.forEach(connectionId => {
+            if (!connections.has(connectionId)) this.updateConnectionSelection(connectionId, false);
+        });
+        connections.forEach(connectionId => {
+            if (!this.selectedConnections.has(connectionId)) this.updateConnectionSelection(connectionId, true);
+        });
+
+        this.selectedNodes.clear();
+        nodes.forEach(nodeId => this.selectedNodes.add(nodeId));
+        this.selectedConnections.clear();
+        connections.forEach(connectionId => this.selectedConnections.add(connectionId));
+        this.updateDetailsPanel();
+    }
+
+    /**
+     * Update node selection visual state
+     */
+    updateNodeSelection(nodeId, selected) {
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        console.log('Updating node selection:', nodeId, 'selected:', selected, 'element found:', !!nodeElement);
+        if (nodeElement) {
+            if (selected) {
+                nodeElement.classList.add('selected');
+                console.log('Added selected class to node:', nodeId);
+            } else {
+                nodeElement.classList.remove('selected');
+                console.log('Removed selected class from node:', nodeId);
+            }
+        }
+        this.updateDetailsPanel();
+    }
+
+    /**
+     * Update connection selection visual state
+     */
+    updateConnectionSelection(connectionId, selected) {
+        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
+        if (connectionElement) {
+            if (selected) {
+                connectionElement.classList.add('selected');
+            } else {
+                connectionElement.classList.remove('selected');
+            }
+        }
+    }
+
+    /**
+     * Clear all selections
+     */
+    clearSelection() {
+        this.selectedNodes.forEach(nodeId => this.updateNodeSelection(nodeId, false));
+        this.selectedConnections.forEach(connectionId => this.updateConnectionSelection(connectionId, false));
+        this.selectedNodes.clear();
+        this.selectedConnections.clear();
+        this.updateDetailsPanel();
+    }
+
+    /**
+     * Move a node to new position
+     */
+    moveNode(nodeId, x, y) {
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+
+        node.x = x;
+        node.y = y;
+
+        // Update node position
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        if (nodeElement) {
+            nodeElement.setAttribute('transform', `translate(${x}, ${y})`);
+        }
+
+        // Update connected lines
+        this.updateNodeConnections(nodeId);
+    }
+
+    /**
+     * Update connections for a specific node
+     */
+    updateNodeConnections(nodeId) {
+        this.connections.forEach(connection => {
+            if (connection.start === nodeId || connection.end === nodeId) {
+                this.updateConnectionPosition(connection.id);
+            }
+        });
+    }
+
+    /**
+     * Update connection position
+     */
+    updateConnectionPosition(connectionId) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+
+        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
+        if (connectionElement) {
+            this.drawConnection(connectionElement, connection);
+        }
+    }
+
+    /**
+     * Update all connections
+     */
+    updateConnections() {
+        this.connections.forEach(connection => {
+            this.updateConnectionPosition(connection.id);
+        });
+    }
+
+    /**
+     * Edit a node or multiple nodes
+     */
+    editNode(nodeId) {
+        // Check if multiple nodes are selected
+        if (this.selectedNodes.size > 1) {
+            this.editMultipleNodes();
+            return;
+        }
+        
+        const node = this.nodes.get(nodeId);
+        if (!node) return;
+
+        this.currentEditingNode = nodeId;
+        document.getElementById('nodeText').value = node.text;
+        this.fillColorSettings(node);
+        this.fillFontSettings(node);
+        this.fillBorderSettings(node);
+        this.pendingImage = node.image ? Object.assign({}, node.image) : null;
+        this.showImageSettings(this.pendingImage);
+        this.selectedIcon = node.icon;
+        this.iconChanged = false;
+        this.showIconSelection(node.icon);
+        this.originalTags = node.tags.slice();
+        this.pendingTags = node.tags.slice();
+        this.showPendingTags();
+        
+        // Update shape selection
+        const nodeShape = node.shape || 'circle';
+        document.querySelectorAll('.shape-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.shape === nodeShape);
+        });
+        this.selectedShape = nodeShape;
+
+        this.showNodeModal();
+    }
+
+    /**
+     * Edit multiple selected nodes
+     */
+    editMultipleNodes() {
+        // Get first selected node for default values
+        const firstNodeId = Array.from(this.selectedNodes)[0];
+        const firstNode = this.nodes.get(firstNodeId);
+        
+        this.currentEditingNodes = Array.from(this.selectedNodes);
+        
+        // Hide text input for multiple selection
+        const textInput = document.getElementById('nodeText');
+        const textLabel = textInput.previousElementSibling;
+        textInput.style.display = 'none';
+        textLabel.style.display = 'none';
+        // Images belong to a single node
+        document.getElementById('nodeImageSection').style.display = 'none';
+        
+        // Set default values from first node
+        this.fillColorSettings(firstNode);
+        this.fillFontSettings(firstNode);
+        this.fillBorderSettings(firstNode);
+        this.selectedIcon = firstNode.icon;
+        this.iconChanged = false;
+        this.showIconSelection(firstNode.icon);
+        // Only the tags every selected node shares are shown; the others are left alone
+        this.originalTags = firstNode.tags.filter(name => this.currentEditingNodes
+            .every(nodeId => this.nodes.get(nodeId).tags.includes(name)));
+        this.pendingTags = this.originalTags.slice();
+        this.showPendingTags();
+        
+        // Update shape selection
+        const nodeShape = firstNode.shape || 'circle';
+        document.querySelectorAll('.shape-option').forEach(option => {
+            option.classList.toggle('selected', option.dataset.shape === nodeShape);
+        });
+        this.selectedShape = nodeShape;
+
+        this.showNodeModal();
+    }
+
+    /**
+     * Show a node's colours in the edit dialog. Colours that follow the theme are
+     * shown as the theme's and stay unset unless the field is changed.
+     */
+    fillColorSettings(node) {
+        const style = this.getNodeStyle(node);
+        this.colorFormDefaults = { color: style.color, textColor: style.textColor };
+        this.colorReset = false;
+        this.showColorSettings(style.color, style.textColor);
+    }
+
+    /**
+     * Fill the colour fields of the edit dialog and mark the matching presets
+     */
+    showColorSettings(color, textColor) {
+        document.getElementById('nodeColor').value = color;
+        document.getElementById('textColor').value = textColor;
+        document.querySelectorAll('#nodeColorPresets .color-preset').forEach(preset => {
+            preset.classList.toggle('selected', preset.dataset.color.toLowerCase() === color.toLowerCase());
+        });
+        document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
+            preset.classList.toggle('selected', preset.dataset.color.toLowerCase() === textColor.toLowerCase());
+        });
+    }
+
+    /**
+     * Show the theme's colours for the edited node; saving then hands the
+     * node's colours back to the theme unless a field is changed again
+     */
+    resetColorSettings() {
+        const node = this.nodes.get(this.currentEditingNode || (this.currentEditingNodes || [])[0]);
+        if (!node) return;
+        const style = this.getNodeStyle(Object.assign({}, node, { color: null, textColor: null, shape: this.selectedShape || node.shape }));
+        this.colorFormDefaults = { color: style.color, textColor: style.textColor };
+        this.colorReset = true;
+        this.showColorSettings(style.color, style.textColor);
+    }
+
+    /**
+     * Apply the colour fields of the edit dialog to a node
+     */
+    applyColorSettings(node) {
+        const color = document.getElementById('nodeColor').value;
+        const textColor = document.getElementById('textColor').value;
+        if (color.toLowerCase() !== this.colorFormDefaults.color.toLowerCase()) {
+            node.color = color;
+        } else if (this.colorReset) {
+            node.color = null;
+        }
+        if (textColor.toLowerCase() !== this.colorFormDefaults.textColor.toLowerCase()) {
+            node.textColor = textColor;
+        } else if (this.colorReset) {
+            node.textColor = null;
+        }
+    }
+
+    /**
+     * Show a node's font in the edit dialog; an empty choice follows the theme
+     */
+    fillFontSettings(node) {
+        const familySelect = document.getElementById('nodeFontFamily');
+        const family = node.fontFamily || '';
+        // Fonts from imported files may not be in the list yet
+        if (family && !Array.from(familySelect.options).some(option => option.value === family)) {
+            familySelect.add(new Option(family.split(',')[0].replace(/['"]/g, ''), family));
+        }
+        familySelect.value = family;
+        document.getElementById('nodeFontSize').value = node.fontSize || DEFAULT_FONT_SIZE;
+    }
+
+    /**
+     * Read the font chosen in the edit dialog, keeping the size within sensible limits
+     */
+    readFontSettings() {
+        const size = parseFloat(document.getElementById('nodeFontSize').value);
+        return {
+            size: Number.isFinite(size) ? Math.max(8, Math.min(72, size)) : DEFAULT_FONT_SIZE,
+            family: document.getElementById('nodeFontFamily').value || null
+        };
+    }
+
+    /**
+     * Show a node's border in the edit dialog. Null values are shown as the
+     * default they stand for and stay null unless the field is changed.
+     */
+    fillBorderSettings(node) {
+        this.borderReset = false;
+        this.borderFormDefaults = {
+            color: node.borderColor || '#FFFFFF',
+            width: String(node.borderWidth === null || node.borderWidth === undefined ? DEFAULT_BORDER_WIDTH : node.borderWidth),
+            radius: String(node.cornerRadius === null || node.cornerRadius === undefined ? NODE_CORNER_RADIUS : node.cornerRadius)
+        };
+        document.getElementById('nodeBorderColor').value = this.borderFormDefaults.color;
+        document.getElementById('nodeBorderWidth').value = this.borderFormDefaults.width;
+        document.getElementById('nodeBorderDash').value = node.borderDash || '';
+        document.getElementById('nodeCornerRadius').value = this.borderFormDefaults.radius;
+    }
+
+    /**
+     * Show the default border in the edit dialog; saving then clears the edited
+     * nodes' own border unless a field is changed again
+     */
+    resetBorderSettings() {
+        this.fillBorderSettings({ borderColor: null, borderWidth: null, borderDash: null, cornerRadius: null });
+        this.borderReset = true;
+    }
+
+    /**
+     * Apply the border fields of the edit dialog to a node
+     */
+    applyBorderSettings(node) {
+        const color = document.getElementById('nodeBorderColor').value;
+        const width = document.getElementById('nodeBorderWidth').value;
+        const radius = document.getElementById('nodeCornerRadius').value;
+        const parsedWidth = parseFloat(width);
+        const parsedRadius = parseFloat(radius);
+
+        node.borderDash = document.getElementById('nodeBorderDash').value || null;
+        if (color.toLowerCase() !== this.borderFormDefaults.color.toLowerCase()) {
+            node.borderColor = color;
+        } else if (this.borderReset) {
+            node.borderColor = null;
+        }
+        if (width !== this.borderFormDefaults.width && Number.isFinite(parsedWidth)) {
+            node.borderWidth = Math.max(0, Math.min(12, parsedWidth));
+        } else if (this.borderReset) {
+            node.borderWidth = null;
+        }
+        if (radius !== this.borderFormDefaults.radius && Number.isFinite(parsedRadius)) {
+            node.cornerRadius = Math.max(0, Math.min(60, parsedRadius));
+        } else if (this.borderReset) {
+            node.cornerRadius = null;
+        }
+    }
+
+    /**
+     * Show the image that the edit dialog will save, or none
+     */
+    showImageSettings(image) {
+        const preview = document.getElementById('nodeImagePreview');
+        const placement = document.getElementById('nodeImagePlacement');
+        preview.style.display = image ? '' : 'none';
+        preview.src = image ? image.src : '';
+        placement.disabled = !image;
+        placement.value = image ? image.placement : 'above';
+        document.getElementById('nodeImageRemove').disabled = !image;
+    }
+
+    /**
+     * Mark the chosen icon in the edit dialog
+     */
+    showIconSelection(icon) {
+        document.querySelectorAll('#nodeIconPicker .icon-option').forEach(option => {
+            option.classList.toggle('selected', (option.dataset.icon || null) === (icon || null));
+        });
+    }
+
+    /**
+     * Show node edit modal
+     */
+    showNodeModal() {
+        document.getElementById('nodeEditModal').classList.add('show');
+        // Only focus text input if it's visible (single node editing)
+        const textInput = document.getElementById('nodeText');
+        if (textInput.style.display !== 'none') {
+            textInput.focus();
+        }
+    }
+
+    /**
+     * Hide node edit modal
+     */
+    hideNodeModal() {
+        document.getElementById('nodeEditModal').classList.remove('show');
+        this.currentEditingNode = null;
+        this.currentEditingNodes = null;
+        
+        // Show text input again for next time
+        const textInput = document.getElementById('nodeText');
+        const textLabel = textInput.previousElementSibling;
+        textInput.style.display = '';
+        textLabel.style.display = '';
+        document.getElementById('nodeImageSection').style.display = '';
+        document.getElementById('nodeTagInput').value = '';
+    }
+
+    /**
+     * Open the style dialog for the selected nodes
+     */
+    editSelectedStyle() {
+        const nodeId = this.getFocusNodeId();
+        if (nodeId) {
+            this.editNode(nodeId);
+        }
+    }
+
+    /**
+     * Edit a node's text in place, in a text box laid over the node.
+     * Passing initial text replaces the label, as when typing on a selected node.
+     */
+    startInlineEdit(nodeId, initialText) {
+        const node = this.nodes.get(nodeId);
+        if (!node || this.isNodeHidden(nodeId)) return;
+        this.finishInlineEdit(true);
+        this.selectNode(nodeId);
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'inline-editor';
+        textarea.setAttribute('aria-label', 'Node text');
+        textarea.value = initialText !== undefined ? initialText : node.text;
+        this.canvas.parentElement.appendChild(textarea);
+
+        this.inlineEditor = {
+            nodeId: nodeId,
+            element: textarea,
+            before: this.captureMapState(),
+            original: { text: node.text, size: node.size, radius: node.radius }
+        };
+
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        if (nodeElement) {
+            nodeElement.classList.add('editing');
+        }
+
+        textarea.addEventListener('input', () => this.updateInlineEdit());
+        textarea.addEventListener('keydown', (e) => this.handleInlineEditorKeyDown(e));
+        textarea.addEventListener('blur', () => this.finishInlineEdit(true));
+
+        if (initialText !== undefined) {
+            this.updateInlineEdit();
+            textarea.focus();
+            textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+        } else {
+            this.positionInlineEditor();
+            textarea.focus();
+            textarea.select();
+        }
+    }
+
+    /**
+     * Resize the node live while its text is being typed
+     */
+    updateInlineEdit() {
+        const editor = this.inlineEditor;
+        const node = editor && this.nodes.get(editor.nodeId);
+        if (!node) return;
+
+        node.text = editor.element.value;
+        node.size = this.getFittedNodeSize(node, node.text.trim() || editor.original.text);
+        node.radius = node.size;
+        this.refreshNode(node.id);
+        this.positionInlineEditor();
+    }
+
+    /**
+     * Enter commits, Shift+Enter starts a new line and Escape cancels
+     */
+    handleInlineEditorKeyDown(e) {
+        if (e.isComposing) return;
+
+        if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+            e.preventDefault();
+            this.finishInlineEdit(true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.finishInlineEdit(false);
+        }
+    }
+
+    /**
+     * Close the in-place editor, keeping the new text as one undoable step or restoring the old one
+     */
+    finishInlineEdit(commit) {
+        const editor = this.inlineEditor;
+        if (!editor) return;
+        // Cleared first so the blur caused by removing the text box is ignored
+        this.inlineEditor = null;
+
+        const node = this.nodes.get(editor.nodeId);
+        const text = editor.element.value.trim();
+        editor.element.remove();
+        if (!node) return;
+
+        if (commit && text) {
+            node.text = text;
+            node.size = this.getFittedNodeSize(node);
+            node.radius = node.size;
+        } else {
+            // Nothing to keep: an empty label is never committed
+            Object.assign(node, editor.original);
+        }
+        this.refreshNode(node.id);
+
+        if (commit && text) {
+            this.commitChange('Edit text', editor.before);
+        }
+    }
+
+    /**
+     * Lay the in-place editor over its node under the current zoom and pan
+     */
+    positionInlineEditor() {
+        const editor = this.inlineEditor;
+        const node = editor && this.nodes.get(editor.nodeId);
+        if (!node) return;
+
+        const textarea = editor.element;
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const containerRect = this.canvas.parentElement.getBoundingClientRect();
+        const fontSize = node.fontSize || DEFAULT_FONT_SIZE;
+        const width = Math.max(this.getTextBoxWidth(node.size, node.shape), 40) * this.zoom;
+
+        textarea.style.fontSize = `${fontSize * this.zoom}px`;
+        const style = this.getNodeStyle(node);
+        textarea.style.fontFamily = style.fontFamily;
+        textarea.style.lineHeight = `${fontSize * LINE_HEIGHT * this.zoom}px`;
+        textarea.style.color = style.textColor;
+        textarea.style.width = `${width}px`;
+
+        // Grow with the text rather than scrolling
+        textarea.style.height = 'auto';
+        const height = textarea.scrollHeight;
+        textarea.style.height = `${height}px`;
+
+        const centerX = canvasRect.left - containerRect.left + node.x * this.zoom + this.pan.x;
+        const centerY = canvasRect.top - containerRect.top + node.y * this.zoom + this.pan.y;
+        textarea.style.left = `${centerX - width / 2}px`;
+        textarea.style.top = `${centerY - height / 2}px`;
+    }
+
+    /**
+     * Open the edit dialog for a connection
+     */
+    editConnection(connectionId) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+
+        this.selectConnection(connectionId);
+        this.currentEditingConnection = connectionId;
+
+        // Null style values are shown as the theme value they stand for
+        this.connectionFormDefaults = {
+            color: connection.color || this.theme.connection.color,
+            width: String(connection.width || this.theme.connection.width)
+        };
+        this.connectionStyleReset = false;
+        document.getElementById('connectionLabel').value = connection.label;
+        document.getElementById('connectionRouting').value = connection.routing || '';
+        document.getElementById('connectionArrows').value = connection.arrows;
+        document.getElementById('connectionDash').value = connection.dash || '';
+        this.showConnectionStyle(this.connectionFormDefaults.color, this.connectionFormDefaults.width);
+
+        document.getElementById('connectionEditModal').classList.add('show');
+        document.getElementById('connectionLabel').focus();
+    }
+
+    /**
+     * Fill the line colour and width fields of the connection dialog and mark the matching preset
+     */
+    showConnectionStyle(color, width) {
+        document.getElementById('connectionColor').value = color;
+        document.getElementById('connectionWidth').value = width;
+        document.querySelectorAll('#connectionColorPresets .color-preset').forEach(preset => {
+            preset.classList.toggle('selected', preset.dataset.color.toLowerCase() === color.toLowerCase());
+        });
+    }
+
+    /**
+     * Show the theme's line style for the edited connection; saving then hands its
+     * colour and width back to the theme unless a field is changed again
+     */
+    resetConnectionStyle() {
+        this.connectionFormDefaults = {
+            color: this.theme.connection.color,
+            width: String(this.theme.connection.width)
+        };
+        this.connectionStyleReset = true;
+        document.getElementById('connectionDash').value = '';
+        this.showConnectionStyle(this.connectionFormDefaults.color, this.connectionFormDefaults.width);
+    }
+
+    /**
+     * Hide connection edit modal
+     */
+    hideConnectionModal() {
+        document.getElementById('connectionEditModal').classList.remove('show');
+        this.currentEditingConnection = null;
+    }
+
+    /**
+     * Save connection edit
+     */
+    saveConnectionEdit() {
+        const connection = this.connections.get(this.currentEditingConnection);
+        if (!connection) {
+            this.hideConnectionModal();
+            return;
+        }
+
+        const color = document.getElementById('connectionColor').value;
+        const width = document.getElementById('connectionWidth').value;
+        const parsedWidth = parseFloat(width);
+
+        this.recordChange('Edit connection', () => {
+            connection.label = document.getElementById('connectionLabel').value.trim();
+            connection.routing = document.getElementById('connectionRouting').value || null;
+            connection.arrows = document.getElementById('connectionArrows').value;
+            connection.dash = document.getElementById('connectionDash').value || null;
+            // Untouched fields keep following the default style
+            if (color.toLowerCase() !== this.connectionFormDefaults.color.toLowerCase()) {
+                connection.color = color;
+            } else if (this.connectionStyleReset) {
+                connection.color = null;
+            }
+            if (width !== this.connectionFormDefaults.width && Number.isFinite(parsedWidth)) {
+                connection.width = Math.max(0.5, Math.min(12, parsedWidth));
+            } else if (this.connectionStyleReset) {
+                connection.width = null;
+            }
+
+            this.rerenderConnection(connection);
+        });
+        this.hideConnectionModal();
+    }
+
+    /**
+     * Save node edit
+     */
+    saveNodeEdit() {
+        // Handle multiple node editing
+        if (this.currentEditingNodes && this.currentEditingNodes.length > 1) {
+            this.saveMultipleNodeEdit();
+            return;
+        }
+        
+        if (!this.currentEditingNode) return;
+
+        const node = this.nodes.get(this.currentEditingNode);
+        if (!node) return;
+
+        const newText = document.getElementById('nodeText').value.trim();
+        const newShape = this.selectedShape || node.shape || 'circle';
+        const font = this.readFontSettings();
+        // A name still in the tag box counts as added
+        this.addPendingTag(document.getElementById('nodeTagInput').value);
+
+        const before = this.captureMapState();
+
+        // Always update properties
+        this.applyColorSettings(node);
+        node.shape = newShape;
+        node.fontSize = font.size;
+        node.fontFamily = font.family;
+        this.applyBorderSettings(node);
+        node.image = this.pendingImage
+            ? Object.assign({}, this.pendingImage, { placement: document.getElementById('nodeImagePlacement').value })
+            : null;
+        node.icon = this.selectedIcon || null;
+        node.tags = this.pendingTags.map(name => this.ensureTag(name).name);
+
+        // Update text if provided, otherwise keep existing text
+        if (newText) {
+            node.text = newText;
+        }
+
+        // Always recalculate size based on current text content, font and shape
+        node.size = this.getFittedNodeSize(node);
+        node.radius = node.size; // For backwards compatibility
+
+        // Re-render the entire node to apply shape changes
+        this.refreshNode(node.id);
+
+        this.commitChange('Edit node', before);
+        this.hideNodeModal();
+    }
+
+    /**
+     * Save multiple node edit
+     */
+    saveMultipleNodeEdit() {
+        const newShape = this.selectedShape;
+        const font = this.readFontSettings();
+        this.addPendingTag(document.getElementById('nodeTagInput').value);
+        const removedTags = this.originalTags.filter(name => !this.pendingTags.includes(name));
+        const before = this.captureMapState();
+        const addedTags = this.pendingTags.map(name => this.ensureTag(name).name);
+
+        // Update all selected nodes
+        this.currentEditingNodes.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            if (!node) return;
+
+            // Always update properties (but not text for multiple selection)
+            this.applyColorSettings(node);
+            if (newShape) {
+                node.shape = newShape;
+            }
+            node.fontSize = font.size;
+            node.fontFamily = font.family;
+            this.applyBorderSettings(node);
+            if (this.iconChanged) {
+                node.icon = this.selectedIcon || null;
+            }
+            node.tags = node.tags.filter(name => !removedTags.includes(name));
+            addedTags.forEach(name => {
+                if (!node.tags.includes(name)) node.tags.push(name);
+            });
+
+            // Recalculate size based on current text, font and new shape
+            node.size = this.getFittedNodeSize(node);
+            node.radius = node.size;
+
+            // Re-render the node
+            this.refreshNode(nodeId);
+        });
+
+        this.commitChange('Edit nodes', before);
+        this.hideNodeModal();
+    }
+
+    /**
+     * Delete selected nodes and connections
+     */
+    deleteSelected(label = 'Delete') {
+        this.recordChange(label, () => {
+            // Delete selected connections
+            this.selectedConnections.forEach(connectionId => {
+                this.deleteConnection(connectionId);
+            });
+
+            // Delete selected nodes
+            this.selectedNodes.forEach(nodeId => {
+                this.deleteNode(nodeId);
+            });
+        });
+
+        this.clearSelection();
+    }
+
+    /**
+     * Delete a node and its connections
+     */
+    deleteNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (node) {
+            // Children move up to the deleted node's parent, or become roots
+            const parentId = node.parentId;
+            const parent = parentId ? this.nodes.get(parentId) : null;
+            let index = parent ? parent.children.indexOf(nodeId) : -1;
+            const children = node.children.slice();
+
+            this.detachFromParent(nodeId);
+            children.forEach(childId => {
+                if (parent) {
+                    this.attachChild(parentId, childId, index++);
+                } else {
+                    this.detachFromParent(childId);
+                }
+            });
+        }
+
+        // Delete all connections to this node
+        const connectionsToDelete = [];
+        this.connections.forEach((connection, connectionId) => {
+            if (connection.start === nodeId || connection.end === nodeId) {
+                connectionsToDelete.push(connectionId);
+            }
+        });
+
+        connectionsToDelete.forEach(connectionId => {
+            this.deleteConnection(connectionId);
+        });
+
+        // Delete the node
+        this.nodes.delete(nodeId);
+        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+        if (nodeElement) {
+            nodeElement.remove();
+        }
+    }
+
+    /**
+     * Delete a connection
+     */
+    deleteConnection(connectionId) {
+        const connection = this.connections.get(connectionId);
+
+        // Removing a tree edge turns the child into a root
+        if (connection && connection.kind === 'tree') {
+            const child = this.nodes.get(connection.end);
+            if (child && child.parentId === connection.start) {
+                this.unlinkChild(connection.start, connection.end);
+            }
+        }
+
+        this.connections.delete(connectionId);
+        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
+        if (connectionElement) {
+            connectionElement.remove();
+        }
+        if (connection) {
+            this.refreshParallelConnections(connection.start, connection.end);
+        }
+    }
+
+    /**
+     * Make one node a child of another, replacing its current parent.
+     * Returns false when the move would create a cycle.
+     */
+    attachChild(parentId, childId, index) {
+        const parent = this.nodes.get(parentId);
+        const child = this.nodes.get(childId);
+        if (!parent || !child || parentId === childId || this.isDescendant(parentId, childId)) {
+            return false;
+        }
+
+        this.detachFromParent(childId);
+
+        child.parentId = parentId;
+        const position = index === undefined ? parent.children.length : Math.max(0, Math.min(index, parent.children.length));
+        parent.children.splice(position, 0, childId);
+        this.createConnection(parentId, childId, 'tree');
+        return true;
+    }
+
+    /**
+     * Turn a node into a root by removing it and its tree edge from its parent
+     */
+    detachFromParent(childId) {
+        const child = this.nodes.get(childId);
+        if (!child || !child.parentId) return;
+
+        const treeConnectionIds = [];
+        this.connections.forEach((connection, connectionId) => {
+            if (connection.kind === 'tree' && connection.start === child.parentId && connection.end === childId) {
+                treeConnectionIds.push(connectionId);
+            }
+        });
+
+        this.unlinkChild(child.parentId, childId);
+        treeConnectionIds.forEach(connectionId => this.deleteConnection(connectionId));
+    }
+
+    /**
+     * Clear the parent/child references between two nodes
+     */
+    unlinkChild(parentId, childId) {
+        const parent = this.nodes.get(parentId);
+        const child = this.nodes.get(childId);
+        if (parent) {
+            parent.children = parent.children.filter(id => id !== childId);
+        }
+        if (child && child.parentId === parentId) {
+            child.parentId = null;
+        }
+    }
+
+    /**
+     * Check whether a node lies inside the subtree of another node
+     */
+    isDescendant(nodeId, ancestorId) {
+        let current = this.nodes.get(nodeId);
+        const visited = new Set();
+        while (current && current.parentId && !visited.has(current.id)) {
+            visited.add(current.id);
+            if (current.parentId === ancestorId) return true;
+            current = this.nodes.get(current.parentId);
+        }
+        return false;
+    }
+
+    /**
+     * Get every node below the given node in the tree, depth first
+     */
+    getDescendants(nodeId) {
+        const descendants = [];
+        const node = this.nodes.get(nodeId);
+        if (!node) return descendants;
+
+        node.children.forEach(childId => {
+            if (this.nodes.has(childId)) {
+                descendants.push(childId, ...this.getDescendants(childId));
+            }
+        });
+        return descendants;
+    }
+
+    /**
+     * Get the distance from a node to the root of its tree
+     */
+    getNodeDepth(nodeId) {
+        let depth = 0;
+        let current = this.nodes.get(nodeId);
+        while (current && current.parentId && depth < this.nodes.size) {
+            depth++;
+            current = this.nodes.get(current.parentId);
+        }
+        return depth;
+    }
+
+    /**
+     * Get the nodes that have no parent, in creation order
+     */
+    getRootNodes() {
+        return Array.from(this.nodes.values()).filter(node => !node.parentId);
+    }
+
+    /**
+     * Move a node together with its whole subtree
+     */
+    moveSubtree(nodeId, dx, dy) {
+        [nodeId, ...this.getDescendants(nodeId)].forEach(id => {
+            const node = this.nodes.get(id);
+            if (node) {
+                this.moveNode(id, node.x + dx, node.y + dy);
+            }
+        });
+    }
+
+    /**
+     * Work out where a new child of the given parent should go: beside the
+     * parent, away from the grandparent, below any existing children on that side
+     */
+    getNewChildPosition(parent, child) {
+        const grandparent = parent.parentId ? this.nodes.get(parent.parentId) : null;
+        const direction = grandparent && grandparent.x > parent.x ? -1 : 1;
+        const parentSize = this.getNodeDimensions(parent);
+        const childSize = this.getNodeDimensions(child);
+
+        const siblings = parent.children
+            .filter(id => id !== child.id)
+            .map(id => this.nodes.get(id))
+            .filter(sibling => sibling && Math.sign(sibling.x - parent.x) === direction);
+
+        const x = parent.x + direction * (parentSize.width / 2 + CHILD_GAP_X + childSize.width / 2);
+        if (siblings.length === 0) {
+            return { x: x, y: parent.y };
+        }
+
+        const lowest = Math.max(...siblings.map(sibling => sibling.y + this.getNodeDimensions(sibling).height / 2));
+        return { x: x, y: lowest + CHILD_GAP_Y + childSize.height / 2 };
+    }
+
+    /**
+     * Get the single node that keyboard node creation works from
+     */
+    getFocusNodeId() {
+        if (this.selectedNodes.size === 0) {
+            this.showMessage('Select a node first');
+            return null;
+        }
+        return Array.from(this.selectedNodes).pop();
+    }
+
+    /**
+     * Create a child of the selected node (Tab)
+     */
+    addChildNode() {
+        const parentId = this.getFocusNodeId();
+        if (!parentId) return;
+
+        const childId = this.recordChange('Add child node', () => {
+            const parent = this.nodes.get(parentId);
+            // A new child should be visible straight away
+            parent.collapsed = false;
+            const newId = this.createNode(parent.x, parent.y, 'New Node');
+            const position = this.getNewChildPosition(parent, this.nodes.get(newId));
+            this.moveNode(newId, position.x, position.y);
+            this.attachChild(parentId, newId);
+            return newId;
+        });
+        this.selectNode(childId);
+    }
+
+    /**
+     * Create a sibling right after the selected node (Enter)
+     */
+    addSiblingNode() {
+        const siblingId = this.getFocusNodeId();
+        if (!siblingId) return;
+
+        const newId = this.recordChange('Add sibling node', () => {
+            const sibling = this.nodes.get(siblingId);
+            const parent = sibling.parentId ? this.nodes.get(sibling.parentId) : null;
+            const createdId = this.createNode(sibling.x, sibling.y, 'New Node');
+            const created = this.nodes.get(createdId);
+            const siblingHeight = this.getNodeDimensions(sibling).height;
+            const createdHeight = this.getNodeDimensions(created).height;
+
+            this.moveNode(createdId, sibling.x, sibling.y + siblingHeight / 2 + CHILD_GAP_Y + createdHeight / 2);
+
+            if (parent) {
+                const index = parent.children.indexOf(siblingId);
+                // Make room by pushing the following siblings on the same side down
+                parent.children.slice(index + 1).forEach(followingId => {
+                    const following = this.nodes.get(followingId);
+                    if (following && following.y > sibling.y && Math.sign(following.x - parent.x) === Math.sign(sibling.x - parent.x)) {
+                        this.moveSubtree(followingId, 0, createdHeight + CHILD_GAP_Y);
+                    }
+                });
+                this.attachChild(parent.id, createdId, index + 1);
+            }
+            return createdId;
+        });
+        this.selectNode(newId);
+    }
+
+    /**
+     * Find the topmost node whose shape contains a map point
+     */
+    findNodeAt(point, excludedIds = new Set()) {
+        let found = null;
+        this.nodes.forEach(node => {
+            if (excludedIds.has(node.id) || this.isNodeHidden(node.id)) return;
+            const { width, height } = this.getNodeDimensions(node);
+            if (Math.abs(point.x - node.x) <= width / 2 && Math.abs(point.y - node.y) <= height / 2) {
+                found = node.id;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Highlight the node that dragged nodes would be dropped onto
+     */
+    setDropTarget(nodeId) {
+        if (this.dropTargetId === nodeId) return;
+        if (this.dropTargetId) {
+            const previous = document.querySelector(`[data-node-id="${this.dropTargetId}"]`);
+            if (previous) {
+                previous.classList.remove('drop-target');
+            }
+        }
+        this.dropTargetId = nodeId;
+        if (nodeId) {
+            const element = document.querySelector(`[data-node-id="${nodeId}"]`);
+            if (element) {
+                element.classList.add('drop-target');
+            }
+        }
+    }
+
+    /**
+     * Make the dragged nodes children of the node they were dropped on.
+     * Returns true when at least one node changed parent.
+     */
+    reparentDraggedNodes(targetId) {
+        const target = this.nodes.get(targetId);
+        const dragged = new Set(this.dragOffsets.keys());
+        let changed = false;
+
+        dragged.forEach(nodeId => {
+            const node = this.nodes.get(nodeId);
+            // Only move the top of each dragged branch; its descendants follow it
+            if (!node || (node.parentId && dragged.has(node.parentId))) return;
+            if (nodeId === targetId || this.isDescendant(targetId, nodeId) || node.parentId === targetId) return;
+
+            const position = this.getNewChildPosition(target, node);
+            if (this.attachChild(targetId, nodeId)) {
+                this.moveSubtree(nodeId, position.x - node.x, position.y - node.y);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            target.collapsed = false;
+        }
+
+        return changed;
+    }
+
+    /**
+     * Rearrange the whole map, or the selected subtrees, with one of the
+     * automatic layouts: 'radial', 'tree' (left to right), 'org' (top-down) or 'force'
+     */
+    applyLayout(type) {
+        if (this.layoutAnimation || this.isDragging) return;
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to arrange yet');
+            return;
+        }
+
+        const layoutScope = this.getLayoutScope();
+        // Collapsed branches are laid out as if their nodes were leaves
+        const scopeIds = layoutScope.filter(id => !this.hiddenNodes.has(id));
+        const sizes = new Map(scopeIds.map(id => [id, this.getNodeDimensions(this.nodes.get(id))]));
+        const engine = new LayoutEngine(sizes);
+        const currentPositions = new Map(scopeIds.map(id => [id, { x: this.nodes.get(id).x, y: this.nodes.get(id).y }]));
+        let targets;
+
+        if (type === 'force') {
+            const inScope = new Set(scopeIds);
+            const edges = [];
+            this.connections.forEach(connection => {
+                if (inScope.has(connection.start) && inScope.has(connection.end)) {
+                    edges.push([connection.start, connection.end]);
+                }
+            });
+            targets = engine.force(scopeIds, edges, currentPositions);
+        } else {
+            const { roots, childrenOf } = this.buildLayoutForest(scopeIds);
+            const arrangeSideBySide = this.selectedNodes.size === 0;
+            targets = new Map();
+            let previousBox = null;
+
+            roots.forEach(rootId => {
+                const relative = type === 'radial'
+                    ? engine.radial(rootId, childrenOf)
+                    : engine.tree(rootId, childrenOf, type === 'tree');
+                const box = engine.bounds(relative);
+                const root = currentPositions.get(rootId);
+                let offsetX = root.x;
+                let offsetY = root.y;
+
+                // Separate trees are lined up next to each other instead of on top of each other
+                if (arrangeSideBySide && previousBox) {
+                    if (type === 'tree') {
+                        offsetX = previousBox.rootX;
+                        offsetY = previousBox.y + previousBox.height + LAYOUT_TREE_GAP - box.y;
+                    } else {
+                        offsetX = previousBox.x + previousBox.width + LAYOUT_TREE_GAP - box.x;
+                        offsetY = previousBox.rootY;
+                    }
+                }
+
+                relative.forEach((position, id) => {
+                    targets.set(id, { x: position.x + offsetX, y: position.y + offsetY });
+                });
+                previousBox = {
+                    x: box.x + offsetX,
+                    y: box.y + offsetY,
+                    width: box.width,
+                    height: box.height,
+                    rootX: offsetX,
+                    rootY: offsetY
+                };
+            });
+        }
+
+        // Hidden nodes keep their place relative to the visible node they are folded into
+        layoutScope.forEach(id => {
+            if (!this.hiddenNodes.has(id)) return;
+            const node = this.nodes.get(id);
+            let ancestorId = node.parentId;
+            while (ancestorId && !targets.has(ancestorId)) {
+                ancestorId = this.nodes.get(ancestorId).parentId;
+            }
+            if (!ancestorId) return;
+            const ancestor = this.nodes.get(ancestorId);
+            const target = targets.get(ancestorId);
+            targets.set(id, { x: node.x + target.x - ancestor.x, y: node.y + target.y - ancestor.y });
+        });
+
+        const labels = { radial: 'Radial layout', tree: 'Tree layout', org: 'Org chart layout', force: 'Force-directed layout' };
+        this.animateNodesTo(targets, labels[type]);
+    }
+
+    /**
+     * Nodes a layout works on: the selected nodes with their subtrees, or the whole map
+     */
+    getLayoutScope() {
+        if (this.selectedNodes.size === 0) {
+            return Array.from(this.nodes.keys());
+        }
+
+        const scope = new Set();
+        this.selectedNodes.forEach(nodeId => {
+            scope.add(nodeId);
+            this.getDescendants(nodeId).forEach(id => scope.add(id));
+        });
+        return Array.from(scope).filter(id => this.nodes.has(id));
+    }
+
+    /**
+     * Build the forest the tree layouts walk. It follows the topic tree, and
+     * also adopts roots that are only attached through cross-links, so maps
+     * built with the connection tool still get a sensible tree.
+     */
+    buildLayoutForest(scopeIds) {
+        const inScope = new Set(scopeIds);
+        const childrenOf = new Map();
+        const visited = new Set();
+        const roots = [];
+
+        const linkedNodes = new Map();
+        this.connections.forEach(connection => {
+            if (connection.kind !== 'link') return;
+            [[connection.start, connection.end], [connection.end, connection.start]].forEach(([from, to]) => {
+                if (!linkedNodes.has(from)) linkedNodes.set(from, []);
+                linkedNodes.get(from).push(to);
+            });
+        });
+
+        const isScopeRoot = id => {
+            const node = this.nodes.get(id);
+            return !node.parentId || !inScope.has(node.parentId);
+        };
+
+        const visit = rootId => {
+            const queue = [rootId];
+            visited.add(rootId);
+            while (queue.length > 0) {
+                const id = queue.shift();
+                const kids = [];
+                this.nodes.get(id).children.forEach(childId => {
+                    if (inScope.has(childId) && !visited.has(childId)) {
+                        kids.push(childId);
+                    }
+                });
+                (linkedNodes.get(id) || []).forEach(linkedId => {
+                    if (inScope.has(linkedId) && !visited.has(linkedId) && isScopeRoot(linkedId) && !kids.includes(linkedId)) {
+                        kids.push(linkedId);
+                    }
+                });
+                kids.forEach(childId => {
+                    visited.add(childId);
+                    queue.push(childId);
+                });
+                childrenOf.set(id, kids);
+            }
+        };
+
+        scopeIds.filter(isScopeRoot).forEach(rootId => {
+            if (!visited.has(rootId)) {
+                roots.push(rootId);
+                visit(rootId);
+            }
+        });
+
+        return { roots: roots, childrenOf: childrenOf };
+    }
+
+    /**
+     * Animate nodes to new positions and record the result as one undoable step
+     */
+    animateNodesTo(targets, label) {
+        const before = this.captureMapState();
+        const starts = new Map();
+        targets.forEach((target, nodeId) => {
+            const node = this.nodes.get(nodeId);
+            if (node) {
+                starts.set(nodeId, { x: node.x, y: node.y });
+            }
+        });
+
+        const finish = () => {
+            this.layoutAnimation = null;
+            targets.forEach((target, nodeId) => this.moveNode(nodeId, target.x, target.y));
+            this.commitChange(label, before);
+        };
+
+        if (typeof requestAnimationFrame !== 'function') {
+            finish();
+            return;
+        }
+
+        const startTime = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / LAYOUT_ANIMATION_MS);
+            // Ease in and out
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+            starts.forEach((start, nodeId) => {
+                const target = targets.get(nodeId);
+                this.moveNode(nodeId, start.x + (target.x - start.x) * eased, start.y + (target.y - start.y) * eased);
+            });
+
+            if (progress < 1) {
+                this.layoutAnimation = requestAnimationFrame(step);
+            } else {
+                finish();
+            }
+        };
+        this.layoutAnimation = requestAnimationFrame(step);
+    }
+
+    /**
+     * Collapse or expand the branch below a node
+     */
+    toggleCollapse(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node || node.children.length === 0) return;
+        this.recordChange(node.collapsed ? 'Expand branch' : 'Collapse branch', () => {
+            node.collapsed = !node.collapsed;
+        });
+    }
+
+    /**
+     * Collapse the selected branches, or expand them if they are all collapsed already
+     */
+    toggleSelectedBranches() {
+        const branches = Array.from(this.selectedNodes)
+            .map(nodeId => this.nodes.get(nodeId))
+            .filter(node => node && node.children.length > 0);
+        if (branches.length === 0) {
+            this.showMessage('Select a node with children first');
+            return;
+        }
+
+        const collapse = branches.some(node => !node.collapsed);
+        this.recordChange(collapse ? 'Collapse branches' : 'Expand branches', () => {
+            branches.forEach(node => {
+                node.collapsed = collapse;
+            });
+        });
+    }
+
+    /**
+     * Show only the top levels of every tree; level 1 shows just the root topics
+     */
+    collapseToLevel(level) {
+        this.recordChange(`Collapse to level ${level}`, () => {
+            this.nodes.forEach(node => {
+                node.collapsed = node.children.length > 0 && this.getNodeDepth(node.id) >= level - 1;
+            });
+        });
+    }
+
+    /**
+     * Expand every collapsed branch
+     */
+    expandAll() {
+        this.recordChange('Expand all', () => {
+            this.nodes.forEach(node => {
+                node.collapsed = false;
+            });
+        });
+    }
+
+    /**
+     * Hide the branches below collapsed nodes and refresh every node's
+     * collapse toggle and hidden-node badge
+     */
+    updateBranchVisibility() {
+        const hidden = new Set();
+        const hiddenCounts = new Map();
+        this.nodes.forEach(node => {
+            if (node.collapsed && node.children.length > 0) {
+                const descendants = this.getDescendants(node.id);
+                hiddenCounts.set(node.id, descendants.length);
+                descendants.forEach(id => hidden.add(id));
+            }
+        });
+        this.hiddenNodes = hidden;
+
+        this.nodesLayer.querySelectorAll('.mindmap-node').forEach(element => {
+            const node = this.nodes.get(element.getAttribute('data-node-id'));
+            if (!node) return;
+            element.classList.toggle('branch-hidden', hidden.has(node.id));
+            this.renderCollapseToggle(element, node, hiddenCounts.get(node.id) || 0);
+        });
+
+        this.connectionsLayer.querySelectorAll('.connection').forEach(element => {
+            const connection = this.connections.get(element.getAttribute('data-connection-id'));
+            if (!connection) return;
+            element.classList.toggle('branch-hidden', hidden.has(connection.start) || hidden.has(connection.end));
+        });
+
+        // Hidden nodes and lines cannot stay selected
+        this.selectedNodes.forEach(nodeId => {
+            if (hidden.has(nodeId)) {
+                this.selectedNodes.delete(nodeId);
+                this.updateNodeSelection(nodeId, false);
+            }
+        });
+        this.selectedConnections.forEach(connectionId => {
+            const connection = this.connections.get(connectionId);
+            if (connection && (hidden.has(connection.start) || hidden.has(connection.end))) {
+                this.selectedConnections.delete(connectionId);
+                this.updateConnectionSelection(connectionId, false);
+            }
+        });
+    }
+
+    /**
+     * Draw the toggle on a node with children: a minus sign while expanded,
+     * and a badge with the number of hidden nodes while collapsed
+     */
+    renderCollapseToggle(nodeGroup, node, hiddenCount) {
+        let toggle = nodeGroup.querySelector('.collapse-toggle');
+        if (node.children.length === 0) {
+            if (toggle) toggle.remove();
+            return;
+        }
+
+        // Sit on the side of the node that its children grow towards
+        const { width, height } = this.getNodeDimensions(node);
+        let dx = 0;
+        let dy = 0;
+        node.children.forEach(childId => {
+            const child = this.nodes.get(childId);
+            if (child) {
+                dx += child.x - node.x;
+                dy += child.y - node.y;
+            }
+        });
+        const position = Math.abs(dy) > Math.abs(dx)
+            ? { x: 0, y: (dy < 0 ? -1 : 1) * height / 2 }
+            : { x: (dx < 0 ? -1 : 1) * width / 2, y: 0 };
+
+        const label = node.collapsed ? String(hiddenCount) : '\u2212';
+        const state = `${position.x},${position.y},${label}`;
+        if (toggle && toggle.getAttribute('data-state') === state) return;
+        if (toggle) toggle.remove();
+
+        toggle = document.createElementNS(SVG_NS, 'g');
+        toggle.classList.add('collapse-toggle');
+        toggle.classList.toggle('collapsed', !!node.collapsed);
+        toggle.setAttribute('data-state', state);
+        toggle.setAttribute('transform', `translate(${position.x}, ${position.y})`);
+
+        const badgeWidth = node.collapsed ? Math.max(18, label.length * 7 + 10) : 18;
+        const background = document.createElementNS(SVG_NS, 'rect');
+        background.classList.add('collapse-toggle-background');
+        background.setAttribute('x', -badgeWidth / 2);
+        background.setAttribute('y', -9);
+        background.setAttribute('width', badgeWidth);
+        background.setAttribute('height', 18);
+        background.setAttribute('rx', 9);
+        toggle.appendChild(background);
+
+        const text = document.createElementNS(SVG_NS, 'text');
+        text.classList.add('collapse-toggle-label');
+        text.textContent = label;
+        toggle.appendChild(text);
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = node.collapsed ? `Expand branch (${hiddenCount} hidden)` : 'Collapse branch';
+        toggle.appendChild(title);
+
+        // The toggle must not start a drag, change the selection or open the editor
+        toggle.addEventListener('pointerdown', (e) => e.stopPropagation());
+        toggle.addEventListener('dblclick', (e) => e.stopPropagation());
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleCollapse(node.id);
+        });
+
+        nodeGroup.appendChild(toggle);
+    }
+
+    /**
+     * Clear all nodes and connections
+     */
+    clearAll() {
+        if (confirm('Are you sure you want to clear the entire mindmap?')) {
+            this.recordChange('Clear all', () => this.resetMap());
+        }
+    }
+
+    /**
+     * Remove every node and connection without recording history
+     */
+    resetMap() {
+        this.clearSelection();
+        this.nodes.clear();
+        this.connections.clear();
+        this.nodesLayer.innerHTML = '';
+        this.connectionsLayer.innerHTML = '';
+        this.nodeCounter = 0;
+        this.connectionCounter = 0;
+        this.hiddenNodes.clear();
+        this.tags = [];
+        this.tagFilter.names.clear();
+        this.filteredNodes.clear();
+    }
+
+    /**
+     * Capture the current map as JSON snapshots keyed by element id
+     */
+    captureMapState() {
+        const nodes = new Map();
+        const connections = new Map();
+        this.nodes.forEach((node, nodeId) => nodes.set(nodeId, JSON.stringify(node)));
+        this.connections.forEach((connection, connectionId) => connections.set(connectionId, JSON.stringify(connection)));
+
+        return {
+            nodes: nodes,
+            connections: connections,
+            tags: JSON.stringify(this.tags),
+            theme: JSON.stringify(this.theme),
+            counters: { node: this.nodeCounter, connection: this.connectionCounter }
+        };
+    }
+
+    /**
+     * Run a mutation and record it as a single undoable step
+     */
+    recordChange(label, mutate) {
+        const before = this.captureMapState();
+        const result = mutate();
+        this.commitChange(label, before);
+        return result;
+    }
+
+    /**
+     * Record everything that changed since the given state as one undoable step
+     */
+    commitChange(label, beforeState) {
+        this.updateBranchVisibility();
+        this.refreshThemeStyles();
+        this.updateDetailsPanel(true);
+        this.refreshSearch();
+        this.updateTagViews();
+        const command = MapChangeCommand.fromStates(this, label, beforeState, this.captureMapState());
+        if (command) {
+            this.history.push(command);
+            this.markDirty();
+        }
+        return command;
+    }
+
+    /**
+     * Apply a snapshot produced by MapChangeCommand, re-rendering touched elements
+     */
+    applyMapSnapshot(snapshot) {
+        // Restore the tag list and theme first so that re-rendered nodes use their colours
+        if (snapshot.tags) {
+            this.tags = JSON.parse(JSON.stringify(snapshot.tags));
+        }
+        if (snapshot.theme) {
+            this.theme = this.cloneTheme(snapshot.theme);
+        }
+
+        // Node pairs whose parallel connections need fanning out again
+        const pairs = [];
+        Object.entries(snapshot.connections).forEach(([connectionId, data]) => {
+            const current = this.connections.get(connectionId);
+            if (current) pairs.push([current.start, current.end]);
+            if (data) pairs.push([data.start, data.end]);
+
+            const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
+            if (connectionElement) {
+                connectionElement.remove();
+            }
+            if (data) {
+                this.connections.set(connectionId, JSON.parse(JSON.stringify(data)));
+            } else {
+                this.connections.delete(connectionId);
+                this.selectedConnections.delete(connectionId);
+            }
+        });
+
+        Object.entries(snapshot.nodes).forEach(([nodeId, data]) => {
+            const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
+            if (nodeElement) {
+                nodeElement.remove();
+            }
+            if (data) {
+                const node = JSON.parse(JSON.stringify(data));
+                this.nodes.set(nodeId, node);
+                this.renderNode(node);
+                this.updateNodeSelection(nodeId, this.selectedNodes.has(nodeId));
+            } else {
+                this.nodes.delete(nodeId);
+                this.selectedNodes.delete(nodeId);
+            }
+        });
+
+        // Restored connections are drawn after their nodes exist again
+        Object.entries(snapshot.connections).forEach(([connectionId, data]) => {
+            if (data) {
+                this.renderConnection(this.connections.get(connectionId));
+                this.updateConnectionSelection(connectionId, this.selectedConnections.has(connectionId));
+            }
+        });
+
+        if (snapshot.theme) {
+            this.applyTheme();
+        } else if (snapshot.tags) {
+            this.nodes.forEach(node => {
+                if (node.tags.length > 0 && !snapshot.nodes[node.id]) this.refreshNode(node.id);
+            });
+        }
+
+        Object.keys(snapshot.nodes).forEach(nodeId => this.updateNodeConnections(nodeId));
+        pairs.forEach(([nodeIdA, nodeIdB]) => this.refreshParallelConnections(nodeIdA, nodeIdB));
+        this.updateDetailsPanel(true);
+        this.refreshSearch();
+
+        this.nodeCounter = snapshot.counters.node;
+        this.connectionCounter = snapshot.counters.connection;
+        this.updateBranchVisibility();
+        this.refreshThemeStyles();
+        this.updateTagViews();
+    }
+
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.isDragging || this.layoutAnimation || this.isResizingImage) return;
+        const command = this.history.undo();
+        if (command) {
+            this.markDirty();
+            this.showMessage(`Undo: ${command.label}`);
+        }
+    }
+
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.isDragging || this.layoutAnimation || this.isResizingImage) return;
+        const command = this.history.redo();
+        if (command) {
+            this.markDirty();
+            this.showMessage(`Redo: ${command.label}`);
+        }
+    }
+
+    /**
+     * Reflect history state in the undo/redo toolbar buttons
+     */
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const lastDone = this.history.undoStack[this.history.undoStack.length - 1];
+        const lastUndone = this.history.redoStack[this.history.redoStack.length - 1];
+
+        undoBtn.disabled = !this.history.canUndo();
+        redoBtn.disabled = !this.history.canRedo();
+        undoBtn.title = lastDone ? `Undo ${lastDone.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoBtn.title = lastUndone ? `Redo ${lastUndone.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
+    /**
+     * Zoom in
+     */
+    zoomIn() {
+        this.zoomAt(this.zoom * 1.2, this.canvas.clientWidth / 2, this.canvas.clientHeight / 2);
+    }
+
+    /**
+     * Zoom out
+     */
+    zoomOut() {
+        this.zoomAt(this.zoom / 1.2, this.canvas.clientWidth / 2, this.canvas.clientHeight / 2);
+    }
+
+    /**
+     * Reset zoom
+     */
+    resetZoom() {
+        this.zoom = 1;
+        this.pan = { x: 0, y: 0 };
+        this.updateTransform();
+    }
+
+    /**
+     * Zoom to a new level while keeping the map point under the given
+     * canvas position (in screen pixels) fixed
+     */
+    zoomAt(newZoom, screenX, screenY) {
+        const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, newZoom));
+        const mapX = (screenX - this.pan.x) / this.zoom;
+        const mapY = (screenY - this.pan.y) / this.zoom;
+
+        this.zoom = zoom;
+        this.pan = { x: screenX - mapX * zoom, y: screenY - mapY * zoom };
+        this.updateTransform();
+    }
+
+    /**
+     * Set the pan offset in screen pixels
+     */
+    setPan(x, y) {
+        this.pan = { x: x, y: y };
+        this.updateTransform();
+    }
+
+    /**
+     * Zoom and pan so that every node is visible
+     */
+    zoomToFit() {
+        this.zoomToNodes(Array.from(this.nodes.keys()).filter(nodeId => !this.isNodeHidden(nodeId)));
+    }
+
+    /**
+     * Zoom and pan so that the selected nodes are visible
+     */
+    zoomToSelection() {
+        const nodeIds = new Set(this.selectedNodes);
+        // A selected connection brings both of its ends into view
+        this.selectedConnections.forEach(connectionId => {
+            const connection = this.connections.get(connectionId);
+            if (connection) {
+                nodeIds.add(connection.start);
+                nodeIds.add(connection.end);
+            }
+        });
+
+        if (nodeIds.size === 0) {
+            this.showMessage('Select nodes to zoom to first');
+            return;
+        }
+        this.zoomToNodes(Array.from(nodeIds));
+    }
+
+    /**
+     * Fit the given nodes into the visible canvas
+     */
+    zoomToNodes(nodeIds, maxZoom = FIT_MAX_ZOOM) {
+        const bounds = this.getNodesBounds(nodeIds);
+        if (!bounds) return;
+
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        const padding = 40;
+        const zoom = Math.max(MIN_ZOOM, Math.min(
+            maxZoom,
+            (width - padding * 2) / Math.max(bounds.width, 1),
+            (height - padding * 2) / Math.max(bounds.height, 1)
+        ));
+
+        this.zoom = zoom;
+        this.pan = {
+            x: width / 2 - (bounds.x + bounds.width / 2) * zoom,
+            y: height / 2 - (bounds.y + bounds.height / 2) * zoom
+        };
+        this.updateTransform();
+    }
+
+    /**
+     * Get the bounding box of the given nodes in map coordinates
+     */
+    getNodesBounds(nodeIds) {
+        const nodes = nodeIds.map(nodeId => this.nodes.get(nodeId)).filter(Boolean);
+        if (nodes.length === 0) return null;
+
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        nodes.forEach(node => {
+            const { width, height } = this.getNodeDimensions(node);
+            minX = Math.min(minX, node.x - width / 2);
+            minY = Math.min(minY, node.y - height / 2);
+            maxX = Math.max(maxX, node.x + width / 2);
+            maxY = Math.max(maxY, node.y + height / 2);
+        });
+
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Get the rendered width and height of a node's shape
+     */
+    getNodeDimensions(node) {
+        const size = node.size || node.radius || 40;
+        const shape = NODE_SHAPES[node.shape] || NODE_SHAPES.circle;
+        return { width: size * shape.width, height: size * shape.height };
+    }
+
+    /**
+     * Convert client (screen) coordinates to map coordinates
+     */
+    screenToMap(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.pan.x) / this.zoom,
+            y: (clientY - rect.top - this.pan.y) / this.zoom
+        };
+    }
+
+    /**
+     * Update canvas transform
+     */
+    updateTransform() {
+        this.viewportLayer.setAttribute('transform', `translate(${this.pan.x}, ${this.pan.y}) scale(${this.zoom})`);
+        // The in-place editor lives outside the SVG, so it follows the view by hand
+        if (this.inlineEditor) {
+            this.positionInlineEditor();
+        }
+    }
+
+    /**
+     * Show save modal
+     */
+    showSaveModal() {
+        document.getElementById('saveLoadTitle').textContent = 'Save MindMap';
+        document.getElementById('saveSection').style.display = 'block';
+        document.getElementById('loadSection').style.display = 'none';
+        document.getElementById('confirmSaveLoad').textContent = 'Save';
+        
+        const projectTitle = document.getElementById('projectTitle').value || 'Untitled MindMap';
+        document.getElementById('saveFileName').value = projectTitle;
+        
+        this.loadSavedFilesList('save');
+        document.getElementById('saveLoadModal').classList.add('show');
+    }
+
+    /**
+     * Show load modal
+     */
+    showLoadModal() {
+        document.getElementById('saveLoadTitle').textContent = 'Load MindMap';
+        document.getElementById('saveSection').style.display = 'none';
+        document.getElementById('loadSection').style.display = 'block';
+        document.getElementById('confirmSaveLoad').textContent = 'Load';
+        
+        this.loadSavedFilesList('load');
+        document.getElementById('saveLoadModal').classList.add('show');
+    }
+
+    /**
+     * Hide save/load modal
+     */
+    hideSaveLoadModal() {
+        document.getElementById('saveLoadModal').classList.remove('show');
+    }
+
+
+    /**
+     * Handle save/load action
+     */
+    handleSaveLoad() {
+        const title = document.getElementById('saveLoadTitle').textContent;
+        if (title.includes('Save')) {
+            this.saveMindMap();
+        } else {
+            this.loadMindMap();
+        }
+    }
+
+    /**
+     * Save mindmap to localStorage
+     */
+    saveMindMap() {
+        const fileName = document.getElementById('saveFileName').value.trim();
+        if (!fileName) {
+            alert('Please enter a file name');
+            return;
+        }
+
+        const mindmapData = this.serializeMindMap(fileName);
+
+        const savedMaps = JSON.parse(localStorage.getItem('mindmaps') || '{}');
+        savedMaps[fileName] = mindmapData;
+        localStorage.setItem('mindmaps', JSON.stringify(savedMaps));
+
+        document.getElementById('projectTitle').value = fileName;
+        this.markSaved();
+        this.hideSaveLoadModal();
+        
+        // Show success message
+        this.showMessage('MindMap saved successfully!', 'success');
+    }
+
+    /**
+     * Load mindmap from localStorage
+     */
+    loadMindMap() {
+        const selectedFile = document.querySelector('.saved-file-item.selected');
+        if (!selectedFile) {
+            alert('Please select a file to load');
+            return;
+        }
+
+        const fileName = selectedFile.querySelector('.file-name').textContent;
+        const savedMaps = JSON.parse(localStorage.getItem('mindmaps') || '{}');
+        const savedData = savedMaps[fileName];
+
+        if (!savedData) {
+            alert('File not found');
+            return;
+        }
+
+        if (!this.confirmDiscardChanges()) return;
+
+        let mindmapData;
+        try {
+            // Older saves are upgraded to the current format on the fly
+            mindmapData = this.migrateMapData(savedData);
+            this.validateMapData(mindmapData);
+        } catch (error) {
+            this.showMessage(`Could not load "${fileName}": ${error.message}`, 'error');
+            return;
+        }
+
+        this.applyMapData(mindmapData);
+        document.getElementById('projectTitle').value = mindmapData.title || fileName;
+        this.markSaved();
+        this.hideSaveLoadModal();
+        
+        // Show success message
+        this.showMessage('MindMap loaded successfully!', 'success');
+    }
+
+    /**
+     * Serialize the current map into the versioned file format
+     */
+    serializeMindMap(title) {
+        return {
+            format: MINDMAP_FILE_FORMAT,
+            version: MINDMAP_FILE_VERSION,
+            title: title,
+            nodes: Array.from(this.nodes.values()),
+            connections: Array.from(this.connections.values()),
+            tags: this.tags,
+            theme: this.theme,
+            nodeCounter: this.nodeCounter,
+            connectionCounter: this.connectionCounter,
+            viewport: { zoom: this.zoom, pan: { x: this.pan.x, y: this.pan.y } },
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Upgrade map data from any earlier version to the current file format
+     */
+    migrateMapData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('The file does not contain a mindmap object.');
+        }
+        if (data.format !== undefined && data.format !== MINDMAP_FILE_FORMAT) {
+            throw new Error(`Unknown file format "${data.format}".`);
+        }
+
+        const version = data.version === undefined ? 0 : data.version;
+        if (typeof version !== 'number' || version > MINDMAP_FILE_VERSION) {
+            throw new Error(`This file was written by a newer version (format ${data.version}). Please update the app.`);
+        }
+
+        const migrated = Object.assign({}, data);
+
+        if (version < 1) {
+            // Version 0: unversioned localStorage saves holding Map entries,
+            // with nodes that may only have a radius and no size/shape/textColor
+            migrated.nodes = this.listFromEntries(data.nodes, 'nodes');
+            migrated.connections = this.listFromEntries(data.connections, 'connections');
+            migrated.nodes = migrated.nodes.map(node => {
+                if (!node || typeof node !== 'object') return node;
+                const upgraded = Object.assign({}, node);
+                if (typeof upgraded.size !== 'number' && typeof upgraded.radius === 'number') {
+                    upgraded.size = upgraded.radius;
+                }
+                upgraded.shape = upgraded.shape || 'circle';
+                upgraded.textColor = upgraded.textColor || '#FFFFFF';
+                upgraded.color = upgraded.color || '#4A90E2';
+                return upgraded;
+            });
+        }
+
+        if (version < 2) {
+            // Version 1: no topic tree, every connection was an undirected link
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ parentId: null, children: [] }, node)
+                : node));
+            migrated.connections = migrated.connections.map(connection => (connection && typeof connection === 'object'
+                ? Object.assign({ kind: 'link' }, connection)
+                : connection));
+        }
+
+        if (version < 3) {
+            // Version 2: branches could not be collapsed
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ collapsed: false }, node)
+                : node));
+        }
+
+        if (version < 4) {
+            // Version 3: the font size followed the node size and the font was fixed
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({
+                    fontSize: Math.max(10, Math.min(16, (node.size || MIN_NODE_SIZE) / 3)),
+                    fontFamily: DEFAULT_FONT_FAMILY
+                }, node)
+                : node));
+        }
+
+        if (version < 5) {
+            // Version 4: connections were always plain straight lines
+            migrated.connections = migrated.connections.map(connection => (connection && typeof connection === 'object'
+                ? Object.assign({ routing: 'straight', arrows: 'none', label: '', color: null, width: null, dash: null }, connection)
+                : connection));
+        }
+
+        if (version < 6) {
+            // Version 5: every node had the same white border
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ borderColor: null, borderWidth: null, borderDash: null, cornerRadius: null }, node)
+                : node));
+        }
+
+        if (version < 7) {
+            // Version 6: nodes held text only
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ image: null, icon: null }, node)
+                : node));
+        }
+
+        if (version < 8) {
+            // Version 7: nodes had no notes, links or attachments
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ notes: '', links: [], attachments: [] }, node)
+                : node));
+        }
+
+        if (version < 9) {
+            // Version 8: no tags
+            migrated.tags = [];
+            migrated.nodes = migrated.nodes.map(node => (node && typeof node === 'object'
+                ? Object.assign({ tags: [] }, node)
+                : node));
+        }
+
+        if (version < 10) {
+            // Version 9: no themes. Colours, fonts and routings equal to the old defaults
+            // were never picked by hand, so from now on they follow the theme.
+            const isDefault = (value, fallback) => typeof value === 'string' && value.toLowerCase() === fallback.toLowerCase();
+            migrated.theme = this.cloneTheme(THEMES.find(theme => theme.id === DEFAULT_THEME_ID));
+            migrated.nodes = migrated.nodes.map(node => {
+                if (!node || typeof node !== 'object') return node;
+                const upgraded = Object.assign({}, node);
+                if (isDefault(upgraded.color, '#4A90E2')) upgraded.color = null;
+                if (isDefault(upgraded.textColor, upgraded.shape === 'text' ? '#333333' : '#FFFFFF')) upgraded.textColor = null;
+                if (upgraded.fontFamily === DEFAULT_FONT_FAMILY) upgraded.fontFamily = null;
+                return upgraded;
+            });
+            migrated.connections = migrated.connections.map(connection => (connection && typeof connection === 'object'
+                ? Object.assign({}, connection, { routing: connection.routing === 'straight' ? null : connection.routing })
+                : connection));
+        }
+
+        migrated.format = MINDMAP_FILE_FORMAT;
+        migrated.version = MINDMAP_FILE_VERSION;
+        return migrated;
+    }
+
+    /**
+     * Accept either a plain list or the [id, value] entries of a serialized Map
+     */
+    listFromEntries(value, fieldName) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            throw new Error(`"${fieldName}" must be a list.`);
+        }
+        return value.map(item => (Array.isArray(item) && item.length === 2 ? item[1] : item));
+    }
+
+    /**
+     * Check that map data is well formed, throwing an Error that explains the first problem found
+     */
+    validateMapData(data) {
+        if (!Array.isArray(data.nodes)) {
+            throw new Error('"nodes" must be a list.');
+        }
+        if (!Array.isArray(data.connections)) {
+            throw new Error('"connections" must be a list.');
+        }
+        if (!Array.isArray(data.tags)) {
+            throw new Error('"tags" must be a list.');
+        }
+        try {
+            this.validateTheme(data.theme);
+        } catch (error) {
+            throw new Error(`The map theme is invalid: ${error.message}`);
+        }
+        if (typeof data.theme.id !== 'string') {
+            throw new Error('The map theme has no id.');
+        }
+
+        const tagNames = new Set();
+        data.tags.forEach((tag, index) => {
+            if (!tag || typeof tag !== 'object' || typeof tag.name !== 'string' || !tag.name.trim()) {
+                throw new Error(`Tag #${index + 1} has no name.`);
+            }
+            if (Array.from(tagNames).some(name => name.toLowerCase() === tag.name.toLowerCase())) {
+                throw new Error(`Tag "${tag.name}" is listed more than once.`);
+            }
+            if (tag.color !== null && typeof tag.color !== 'string') {
+                throw new Error(`Tag "${tag.name}" has an invalid color.`);
+            }
+            tagNames.add(tag.name);
+        });
+
+        const nodeIds = new Set();
+        data.nodes.forEach((node, index) => {
+            if (!node || typeof node !== 'object') {
+                throw new Error(`Node #${index + 1} is not an object.`);
+            }
+            if (typeof node.id !== 'string' || !node.id) {
+                throw new Error(`Node #${index + 1} has no id.`);
+            }
+            if (nodeIds.has(node.id)) {
+                throw new Error(`Node id "${node.id}" is used more than once.`);
+            }
+            if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                throw new Error(`Node "${node.id}" has an invalid position.`);
+            }
+            if (typeof node.text !== 'string') {
+                throw new Error(`Node "${node.id}" has no text.`);
+            }
+            if ((node.color !== null && typeof node.color !== 'string') ||
+                (node.textColor !== null && typeof node.textColor !== 'string')) {
+                throw new Error(`Node "${node.id}" has an invalid color.`);
+            }
+            if (!Number.isFinite(node.size) || node.size <= 0) {
+                throw new Error(`Node "${node.id}" has an invalid size.`);
+            }
+            if (!Array.isArray(node.children)) {
+                throw new Error(`Node "${node.id}" has an invalid list of children.`);
+            }
+            if (typeof node.collapsed !== 'boolean') {
+                throw new Error(`Node "${node.id}" has an invalid collapsed state.`);
+            }
+            if (!Number.isFinite(node.fontSize) || node.fontSize <= 0) {
+                throw new Error(`Node "${node.id}" has an invalid font size.`);
+            }
+            if (node.fontFamily !== null && (typeof node.fontFamily !== 'string' || !node.fontFamily)) {
+                throw new Error(`Node "${node.id}" has an invalid font family.`);
+            }
+            if (!Object.prototype.hasOwnProperty.call(NODE_SHAPES, node.shape)) {
+                throw new Error(`Node "${node.id}" has an unknown shape "${node.shape}".`);
+            }
+            if (node.borderColor !== null && typeof node.borderColor !== 'string') {
+                throw new Error(`Node "${node.id}" has an invalid border color.`);
+            }
+            if (node.borderWidth !== null && (!Number.isFinite(node.borderWidth) || node.borderWidth < 0)) {
+                throw new Error(`Node "${node.id}" has an invalid border width.`);
+            }
+            if (node.borderDash !== null && !Object.prototype.hasOwnProperty.call(LINE_DASHES, node.borderDash)) {
+                throw new Error(`Node "${node.id}" has an unknown border style "${node.borderDash}".`);
+            }
+            if (node.cornerRadius !== null && (!Number.isFinite(node.cornerRadius) || node.cornerRadius < 0)) {
+                throw new Error(`Node "${node.id}" has an invalid corner radius.`);
+            }
+            if (node.image !== null && (typeof node.image !== 'object' ||
+                typeof node.image.src !== 'string' || !node.image.src.startsWith('data:image/') ||
+                !Number.isFinite(node.image.width) || node.image.width <= 0 ||
+                !Number.isFinite(node.image.height) || node.image.height <= 0 ||
+                !['above', 'only'].includes(node.image.placement))) {
+                throw new Error(`Node "${node.id}" has an invalid image.`);
+            }
+            if (node.icon !== null && typeof node.icon !== 'string') {
+                throw new Error(`Node "${node.id}" has an invalid icon.`);
+            }
+            if (typeof node.notes !== 'string') {
+                throw new Error(`Node "${node.id}" has invalid notes.`);
+            }
+            if (!Array.isArray(node.links) || !node.links.every(link => link && typeof link === 'object' &&
+                typeof link.url === 'string' && RichText.safeUrl(link.url) === link.url && typeof link.title === 'string')) {
+                throw new Error(`Node "${node.id}" has an invalid list of links.`);
+            }
+            if (!Array.isArray(node.attachments) || !node.attachments.every(attachment => attachment && typeof attachment === 'object' &&
+                typeof attachment.name === 'string' && typeof attachment.type === 'string' &&
+                Number.isFinite(attachment.size) && typeof attachment.data === 'string' && attachment.data.startsWith('data:'))) {
+                throw new Error(`Node "${node.id}" has an invalid list of attachments.`);
+            }
+            if (!Array.isArray(node.tags) || new Set(node.tags).size !== node.tags.length) {
+                throw new Error(`Node "${node.id}" has an invalid list of tags.`);
+            }
+            node.tags.forEach(name => {
+                if (!tagNames.has(name)) {
+                    throw new Error(`Node "${node.id}" uses the tag "${name}", which is not in the tag list.`);
+                }
+            });
+            nodeIds.add(node.id);
+        });
+
+        // The topic tree must only reference existing nodes and must not loop
+        const nodesById = new Map(data.nodes.map(node => [node.id, node]));
+        data.nodes.forEach(node => {
+            if (node.parentId !== null && !nodeIds.has(node.parentId)) {
+                throw new Error(`Node "${node.id}" has a parent that does not exist.`);
+            }
+        });
+        data.nodes.forEach(node => {
+            node.children.forEach(childId => {
+                const child = nodesById.get(childId);
+                if (!child || child.parentId !== node.id) {
+                    throw new Error(`Node "${node.id}" lists "${childId}" as a child, but it is not.`);
+                }
+            });
+
+            const visited = new Set([node.id]);
+            let current = node;
+            while (current.parentId) {
+                if (visited.has(current.parentId)) {
+                    throw new Error(`Node "${node.id}" is part of a parent/child cycle.`);
+                }
+                visited.add(current.parentId);
+                current = nodesById.get(current.parentId);
+            }
+        });
+
+        const connectionIds = new Set();
+        data.connections.forEach((connection, index) => {
+            if (!connection || typeof connection !== 'object') {
+                throw new Error(`Connection #${index + 1} is not an object.`);
+            }
+            if (typeof connection.id !== 'string' || !connection.id) {
+                throw new Error(`Connection #${index + 1} has no id.`);
+            }
+            if (connectionIds.has(connection.id)) {
+                throw new Error(`Connection id "${connection.id}" is used more than once.`);
+            }
+            if (!nodeIds.has(connection.start) || !nodeIds.has(connection.end)) {
+                throw new Error(`Connection "${connection.id}" refers to a node that does not exist.`);
+            }
+            if (connection.kind !== 'tree' && connection.kind !== 'link') {
+                throw new Error(`Connection "${connection.id}" has an unknown kind "${connection.kind}".`);
+            }
+            if (connection.routing !== null && !CONNECTION_ROUTINGS.includes(connection.routing)) {
+                throw new Error(`Connection "${connection.id}" has an unknown routing "${connection.routing}".`);
+            }
+            if (!CONNECTION_ARROWS.includes(connection.arrows)) {
+                throw new Error(`Connection "${connection.id}" has an unknown arrow setting "${connection.arrows}".`);
+            }
+            if (typeof connection.label !== 'string') {
+                throw new Error(`Connection "${connection.id}" has an invalid label.`);
             }
+            if (connection.color !== null && typeof connection.color !== 'string') {
+                throw new Error(`Connection "${connection.id}" has an invalid color.`);
+            }
+            if (connection.width !== null && (!Number.isFinite(connection.width) || connection.width <= 0)) {
+                throw new Error(`Connection "${connection.id}" has an invalid width.`);
+            }
+            if (connection.dash !== null && !Object.prototype.hasOwnProperty.call(LINE_DASHES, connection.dash)) {
+                throw new Error(`Connection "${connection.id}" has an unknown dash style "${connection.dash}".`);
+            }
+            connectionIds.add(connection.id);
         });
     }
 
     /**
-     * Update connection position
+     * Replace the current map with validated map data
      */
-    updateConnectionPosition(connectionId) {
-        const connection = this.connections.get(connectionId);
-        if (!connection) return;
+    applyMapData(data) {
+        this.resetMap();
 
-        const startNode = this.nodes.get(connection.start);
-        const endNode = this.nodes.get(connection.end);
-        if (!startNode || !endNode) return;
+        data.nodes.forEach(node => this.nodes.set(node.id, node));
+        data.connections.forEach(connection => this.connections.set(connection.id, connection));
+        this.tags = data.tags.map(tag => ({ name: tag.name, color: tag.color }));
+        this.theme = this.cloneTheme(data.theme);
+        this.applyTheme();
 
-        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
-        if (connectionElement) {
-            connectionElement.setAttribute('x1', startNode.x);
-            connectionElement.setAttribute('y1', startNode.y);
-            connectionElement.setAttribute('x2', endNode.x);
-            connectionElement.setAttribute('y2', endNode.y);
+        // Never hand out an id that is already taken, whatever the stored counters say
+        this.nodeCounter = Math.max(data.nodeCounter || 0, this.highestIdNumber(this.nodes));
+        this.connectionCounter = Math.max(data.connectionCounter || 0, this.highestIdNumber(this.connections));
+
+        // Render nodes and connections
+        this.nodes.forEach(node => this.renderNode(node));
+        this.connections.forEach(connection => this.renderConnection(connection));
+        this.updateBranchVisibility();
+        this.updateTagViews();
+
+        // Restore the saved view, or show the map at its default zoom
+        const viewport = data.viewport;
+        if (viewport && Number.isFinite(viewport.zoom) && viewport.pan &&
+            Number.isFinite(viewport.pan.x) && Number.isFinite(viewport.pan.y)) {
+            this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, viewport.zoom));
+            this.pan = { x: viewport.pan.x, y: viewport.pan.y };
+            this.updateTransform();
+        } else {
+            this.resetZoom();
         }
+
+        // A freshly loaded map starts with an empty history
+        this.history.clear();
     }
 
     /**
-     * Update all connections
+     * Get the largest numeric suffix among generated ids such as "node_12"
      */
-    updateConnections() {
-        this.connections.forEach(connection => {
-            this.updateConnectionPosition(connection.id);
+    highestIdNumber(elements) {
+        let highest = 0;
+        elements.forEach((element, id) => {
+            const match = /_(\d+)$/.exec(id);
+            if (match) {
+                highest = Math.max(highest, parseInt(match[1], 10));
+            }
         });
+        return highest;
     }
 
     /**
-     * Edit a node or multiple nodes
+     * Parse, migrate and validate the contents of a map file
      */
-    editNode(nodeId) {
-        // Check if multiple nodes are selected
-        if (this.selectedNodes.size > 1) {
-            this.editMultipleNodes();
-            return;
+    parseMapFile(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
         }
-        
-        const node = this.nodes.get(nodeId);
-        if (!node) return;
-
-        this.currentEditingNode = nodeId;
-        document.getElementById('nodeText').value = node.text;
-        document.getElementById('nodeColor').value = node.color;
-        document.getElementById('textColor').value = node.textColor || '#FFFFFF';
-        
-        // Update color preset selection for node color
-        document.querySelectorAll('#nodeColorPresets .color-preset').forEach(preset => {
-            preset.classList.toggle('selected', preset.dataset.color === node.color);
-        });
-        
-        // Update color preset selection for text color
-        document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
-            preset.classList.toggle('selected', preset.dataset.color === (node.textColor || '#FFFFFF'));
-        });
-        
-        // Update shape selection
-        const nodeShape = node.shape || 'circle';
-        document.querySelectorAll('.shape-option').forEach(option => {
-            option.classList.toggle('selected', option.dataset.shape === nodeShape);
-        });
-        this.selectedShape = nodeShape;
 
-        this.showNodeModal();
+        const data = this.migrateMapData(raw);
+        this.validateMapData(data);
+        return data;
     }
 
     /**
-     * Edit multiple selected nodes
+     * Download the current map as a .mindmap.json file
      */
-    editMultipleNodes() {
-        // Get first selected node for default values
-        const firstNodeId = Array.from(this.selectedNodes)[0];
-        const firstNode = this.nodes.get(firstNodeId);
-        
-        this.currentEditingNodes = Array.from(this.selectedNodes);
-        
-        // Hide text input for multiple selection
-        const textInput = document.getElementById('nodeText');
-        const textLabel = textInput.previousElementSibling;
-        textInput.style.display = 'none';
-        textLabel.style.display = 'none';
-        
-        // Set default values from first node
-        document.getElementById('nodeColor').value = firstNode.color;
-        document.getElementById('textColor').value = firstNode.textColor || '#FFFFFF';
-        
-        // Update color preset selection for node color
-        document.querySelectorAll('#nodeColorPresets .color-preset').forEach(preset => {
-            preset.classList.toggle('selected', preset.dataset.color === firstNode.color);
-        });
-        
-        // Update color preset selection for text color
-        document.querySelectorAll('#textColorPresets .color-preset').forEach(preset => {
-            preset.classList.toggle('selected', preset.dataset.color === (firstNode.textColor || '#FFFFFF'));
-        });
-        
-        // Update shape selection
-        const nodeShape = firstNode.shape || 'circle';
-        document.querySelectorAll('.shape-option').forEach(option => {
-            option.classList.toggle('selected', option.dataset.shape === nodeShape);
-        });
-        this.selectedShape = nodeShape;
-
-        this.showNodeModal();
+    downloadMindMapFile() {
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        const mindmapData = this.serializeMindMap(title);
+        this.downloadFile(JSON.stringify(mindmapData, null, 2), this.getExportFileName('mindmap.json'), 'application/json');
+        this.markSaved();
+        this.showMessage('MindMap downloaded successfully!', 'success');
     }
 
     /**
-     * Show node edit modal
+     * Reader for files from other tools, by file name: it turns the file's text into
+     * { topics, crossLinks, unsupported, title }. Null for anything else.
      */
-    showNodeModal() {
-        document.getElementById('nodeEditModal').classList.add('show');
-        // Only focus text input if it's visible (single node editing)
-        const textInput = document.getElementById('nodeText');
-        if (textInput.style.display !== 'none') {
-            textInput.focus();
+    getImportReader(fileName) {
+        if (/\.(md|markdown|txt)$/i.test(fileName)) {
+            return text => ({ topics: Outline.parse(text) });
         }
+        if (/\.mm$/i.test(fileName)) {
+            return text => FreeMindFormat.parse(text);
+        }
+        if (/\.opml$/i.test(fileName)) {
+            return text => OpmlFormat.parse(text);
+        }
+        if (/\.(mmd|mermaid)$/i.test(fileName)) {
+            return text => MermaidFormat.parse(text);
+        }
+        if (/\.(dot|gv)$/i.test(fileName)) {
+            return text => DotFormat.parse(text);
+        }
+        return null;
     }
 
     /**
-     * Hide node edit modal
-     */
-    hideNodeModal() {
-        document.getElementById('nodeEditModal').classList.remove('show');
-        this.currentEditingNode = null;
-        this.currentEditingNodes = null;
-        
-        // Show text input again for next time
-        const textInput = document.getElementById('nodeText');
-        const textLabel = textInput.previousElementSibling;
-        textInput.style.display = '';
-        textLabel.style.display = '';
-    }
-
-    /**
-     * Save node edit
+     * Add what an import reader gave (topic trees and cross-links between them) around a
+     * map point. Returns the new node ids by topic and the names of what was left out.
      */
-    saveNodeEdit() {
-        // Handle multiple node editing
-        if (this.currentEditingNodes && this.currentEditingNodes.length > 1) {
-            this.saveMultipleNodeEdit();
-            return;
-        }
-        
-        if (!this.currentEditingNode) return;
-
-        const node = this.nodes.get(this.currentEditingNode);
-        if (!node) return;
-
-        const newText = document.getElementById('nodeText').value.trim();
-        const newColor = document.getElementById('nodeColor').value;
-        const newTextColor = document.getElementById('textColor').value;
-        const newShape = this.selectedShape || node.shape || 'circle';
+    addImportedTopics(imported, point) {
+        const nodeIds = this.addTopicTrees(imported.topics, point);
 
-        // Always update properties
-        node.color = newColor;
-        node.textColor = newTextColor;
-        node.shape = newShape;
-
-        // Update text if provided, otherwise keep existing text
-        if (newText) {
-            node.text = newText;
-        }
-
-        // Always recalculate size based on current text content and shape
-        const words = node.text.split(' ');
-        const longestWord = Math.max(...words.map(word => word.length));
-        const totalWords = words.length;
-        
-        // Base size calculation considering word count and longest word
-        const minSize = 60;
-        let baseSize = Math.max(minSize, longestWord * 8 + totalWords * 4);
-        
-        // For circles, increase size to account for circular geometry constraints
-        if (node.shape === 'circle') {
-            baseSize = baseSize * 1.4; // 40% larger for circles to prevent corner spillage
-        }
-        
-        node.size = baseSize;
-        node.radius = node.size; // For backwards compatibility
+        // Cross-links refer to topics by the ids they had in the file
+        const nodeIdsBySource = new Map();
+        nodeIds.forEach((nodeId, topic) => {
+            if (topic.id) nodeIdsBySource.set(topic.id, nodeId);
+        });
+        let brokenLinks = 0;
+        (imported.crossLinks || []).forEach(link => {
+            const start = nodeIdsBySource.get(link.from);
+            const end = nodeIdsBySource.get(link.to);
+            if (!start || !end) {
+                brokenLinks += 1;
+                return;
+            }
+            const connectionId = this.createConnection(start, end, 'link');
+            const connection = this.connections.get(connectionId);
+            connection.arrows = link.arrows || 'end';
+            connection.color = link.color;
+            connection.label = link.label;
+            this.rerenderConnection(connection);
+        });
+        this.updateBranchVisibility();
 
-        // Re-render the entire node to apply shape changes
-        const nodeElement = document.querySelector(`[data-node-id="${this.currentEditingNode}"]`);
-        if (nodeElement) {
-            // Remove the old node and create a new one
-            nodeElement.remove();
-            this.renderNode(node);
+        const unsupported = Array.from(imported.unsupported || []);
+        if (brokenLinks > 0) {
+            unsupported.push(`${brokenLinks} arrow link${brokenLinks === 1 ? '' : 's'} to missing nodes`);
         }
-
-        this.hideNodeModal();
+        return { nodeIds: nodeIds, unsupported: unsupported };
     }
 
     /**
-     * Save multiple node edit
+     * Open an outline or a map from another tool as a new map, laid out automatically,
+     * and list anything that could not be brought over
      */
-    saveMultipleNodeEdit() {
-        const newColor = document.getElementById('nodeColor').value;
-        const newTextColor = document.getElementById('textColor').value;
-        const newShape = this.selectedShape;
+    openImportedFile(file, read) {
+        return file.text()
+            .then(text => {
+                const imported = read(text);
+                if (imported.topics.length === 0) {
+                    throw new Error('The file has no topics.');
+                }
+                if (!this.confirmDiscardChanges()) return;
+
+                this.resetMap();
+                const { unsupported } = this.addImportedTopics(imported, { x: 0, y: 0 });
+                this.updateTagViews();
+                this.history.clear();
+                document.getElementById('projectTitle').value = imported.title || file.name.replace(/\.[^.]+$/, '');
+                this.markSaved();
+                this.hideSaveLoadModal();
+                this.zoomToFit();
+
+                if (unsupported.length > 0) {
+                    this.showMessage(`Opened ${file.name}. Not imported: ${unsupported.join(', ')}`, 'info', 8000);
+                } else {
+                    this.showMessage(`Opened ${file.name}`, 'success');
+                }
+            })
+            .catch(error => {
+                this.showMessage(`Could not open ${file.name}: ${error.message}`, 'error');
+            });
+    }
 
-        // Update all selected nodes
-        this.currentEditingNodes.forEach(nodeId => {
+    /**
+     * Topic trees for an outline export, walking connections outward from the
+     * selected node, or from every root. Each node appears once, so cross-links
+     * that lead back to an earlier topic are left out instead of looping.
+     */
+    getOutlineTopics() {
+        const startIds = this.selectedNodes.size === 1
+            ? Array.from(this.selectedNodes)
+            : Array.from(this.nodes.values()).filter(node => !node.parentId).map(node => node.id);
+
+        const visited = new Set();
+        const visit = nodeId => {
+            visited.add(nodeId);
             const node = this.nodes.get(nodeId);
-            if (!node) return;
-
-            // Always update properties (but not text for multiple selection)
-            node.color = newColor;
-            node.textColor = newTextColor;
-            if (newShape) {
-                node.shape = newShape;
-            }
+            // Children in their tree order first, then nodes this one links to
+            const nextIds = node.children.slice();
+            this.connections.forEach(connection => {
+                if (connection.kind === 'link' && connection.start === nodeId) {
+                    nextIds.push(connection.end);
+                }
+            });
 
-            // Recalculate size based on current text and new shape
-            const words = node.text.split(' ');
-            const longestWord = Math.max(...words.map(word => word.length));
-            const totalWords = words.length;
-            
-            const minSize = 60;
-            let baseSize = Math.max(minSize, longestWord * 8 + totalWords * 4);
-            
-            if (node.shape === 'circle') {
-                baseSize = baseSize * 1.4;
-            }
-            
-            node.size = baseSize;
-            node.radius = node.size;
+            const topic = { text: node.text, notes: node.notes, children: [] };
+            nextIds.forEach(nextId => {
+                if (!visited.has(nextId) && this.nodes.has(nextId)) {
+                    topic.children.push(visit(nextId));
+                }
+            });
+            return topic;
+        };
 
-            // Re-render the node
-            const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-            if (nodeElement) {
-                nodeElement.remove();
-                this.renderNode(node);
+        const topics = [];
+        startIds.forEach(nodeId => {
+            if (!visited.has(nodeId)) {
+                topics.push(visit(nodeId));
             }
         });
-
-        this.hideNodeModal();
+        return topics;
     }
 
     /**
-     * Delete selected nodes and connections
+     * Download the map, or the branch below the selected node, as a Markdown outline
      */
-    deleteSelected() {
-        // Delete selected connections
-        this.selectedConnections.forEach(connectionId => {
-            this.deleteConnection(connectionId);
-        });
-
-        // Delete selected nodes
-        this.selectedNodes.forEach(nodeId => {
-            this.deleteNode(nodeId);
-        });
+    exportMarkdown() {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet');
+            return;
+        }
 
-        this.clearSelection();
+        const topics = this.getOutlineTopics();
+        this.downloadFile(Outline.toMarkdown(topics), this.getExportFileName('md'), 'text/markdown');
+        this.showMessage('Outline exported successfully!', 'success');
     }
 
     /**
-     * Delete a node and its connections
+     * The map's topic trees for FreeMind and OPML, following parent/child links from every root.
+     * With resolveStyles, colours are the ones drawn, theme colours included. Labels are plain
+     * text; bold or italic over the whole label is kept as a flag, and a label that is one
+     * link becomes the node's link when it has none of its own.
      */
-    deleteNode(nodeId) {
-        // Delete all connections to this node
-        const connectionsToDelete = [];
-        this.connections.forEach((connection, connectionId) => {
-            if (connection.start === nodeId || connection.end === nodeId) {
-                connectionsToDelete.push(connectionId);
-            }
-        });
+    getTopicTrees(resolveStyles) {
+        const toTopic = node => {
+            const style = resolveStyles ? this.getNodeStyle(node) : node;
+            const labelStyle = RichText.commonStyle(node.text);
+            const labelLink = labelStyle.href && node.links.length === 0;
+            const treeConnection = Array.from(this.connections.values())
+                .find(connection => connection.kind === 'tree' && connection.end === node.id);
+            return {
+                id: node.id,
+                text: RichText.toPlainText(node.text, !labelLink),
+                bold: labelStyle.bold,
+                italic: labelStyle.italic,
+                notes: node.notes,
+                children: node.children.filter(childId => this.nodes.has(childId)).map(childId => toTopic(this.nodes.get(childId))),
+                color: style.color,
+                textColor: style.textColor,
+                links: labelLink ? [{ url: labelStyle.href, title: '' }] : node.links,
+                collapsed: node.collapsed,
+                icon: node.icon,
+                shape: node.shape,
+                connectionColor: treeConnection ? treeConnection.color : null
+            };
+        };
+        return Array.from(this.nodes.values()).filter(node => !node.parentId).map(toTopic);
+    }
 
-        connectionsToDelete.forEach(connectionId => {
-            this.deleteConnection(connectionId);
-        });
+    /**
+     * What the map holds that an export format cannot carry. The format lists what it
+     * does carry beyond labels and branches: crossLinks, icons, notes, links and colors.
+     */
+    getExportLosses(carries) {
+        const nodes = Array.from(this.nodes.values());
+        const connections = Array.from(this.connections.values());
+        const losses = [];
+        if (nodes.some(node => node.image)) losses.push('images');
+        if (nodes.some(node => node.attachments.length > 0)) losses.push('attachments');
+        if (nodes.some(node => node.tags.length > 0)) losses.push('tags');
+        if (!carries.notes && nodes.some(node => node.notes.trim())) losses.push('notes');
+        if (!carries.links && nodes.some(node => node.links.length > 0)) {
+            losses.push('links');
+        } else if (nodes.some(node => node.links.length > 1)) {
+            losses.push('more than one link per node');
+        }
+        if (!carries.icons && nodes.some(node => node.icon)) losses.push('icons');
+        if (!carries.colors && (nodes.some(node => node.color || node.textColor) || connections.some(connection => connection.color))) {
+            losses.push('colors');
+        }
+        if (!carries.crossLinks && connections.some(connection => connection.kind === 'link')) {
+            losses.push('cross-links');
+        }
+        return losses;
+    }
 
-        // Delete the node
-        this.nodes.delete(nodeId);
-        const nodeElement = document.querySelector(`[data-node-id="${nodeId}"]`);
-        if (nodeElement) {
-            nodeElement.remove();
+    /**
+     * Report a finished export, naming anything the format left out
+     */
+    showExportResult(format, losses) {
+        if (losses.length > 0) {
+            this.showMessage(`${format} exported. Not included: ${losses.join(', ')}`, 'info', 8000);
+        } else {
+            this.showMessage(`${format} exported successfully!`, 'success');
         }
     }
 
     /**
-     * Delete a connection
+     * Download the map as a FreeMind/Freeplane .mm file
      */
-    deleteConnection(connectionId) {
-        this.connections.delete(connectionId);
-        const connectionElement = document.querySelector(`[data-connection-id="${connectionId}"]`);
-        if (connectionElement) {
-            connectionElement.remove();
+    exportFreeMind() {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet');
+            return;
         }
+
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        const crossLinks = Array.from(this.connections.values())
+            .filter(connection => connection.kind === 'link')
+            .map(connection => ({ from: connection.start, to: connection.end, color: connection.color, label: connection.label }));
+        const markup = FreeMindFormat.stringify(this.getTopicTrees(true), crossLinks, title);
+        this.downloadFile(markup, this.getExportFileName('mm'), 'application/x-freemind');
+        this.showExportResult('FreeMind map', this.getExportLosses({ crossLinks: true, icons: true, notes: true, links: true, colors: true }));
     }
 
     /**
-     * Clear all nodes and connections
+     * Download the map as an OPML outline
      */
-    clearAll() {
-        if (confirm('Are you sure you want to clear the entire mindmap?')) {
-            this.nodes.clear();
-            this.connections.clear();
-            this.clearSelection();
-            this.nodesLayer.innerHTML = '';
-            this.connectionsLayer.innerHTML = '';
-            this.nodeCounter = 0;
-            this.connectionCounter = 0;
+    exportOpml() {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet');
+            return;
         }
+
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        const markup = OpmlFormat.stringify(this.getTopicTrees(false), title);
+        this.downloadFile(markup, this.getExportFileName('opml'), 'text/x-opml');
+        this.showExportResult('OPML outline', this.getExportLosses({ notes: true, links: true, colors: true }));
     }
 
     /**
-     * Zoom in
+     * The map as diagram nodes and edges for Mermaid flowcharts and DOT, with plain-text labels
+     * and only the colours picked by hand, so that theme colours still follow the theme after
+     * importing them again; tree connections run from parent to child
      */
-    zoomIn() {
-        this.zoom = Math.min(3, this.zoom * 1.2);
-        this.updateTransform();
+    getDiagramGraph() {
+        const nodes = Array.from(this.nodes.values()).map(node => ({
+            id: node.id,
+            text: RichText.toPlainText(node.text, true),
+            shape: node.shape,
+            color: node.color,
+            textColor: node.textColor,
+            borderColor: node.borderColor
+        }));
+        const edges = Array.from(this.connections.values())
+            .filter(connection => this.nodes.has(connection.start) && this.nodes.has(connection.end))
+            .map(connection => ({
+                from: connection.start,
+                to: connection.end,
+                label: connection.label,
+                color: connection.color,
+                arrows: connection.arrows,
+                tree: connection.kind === 'tree'
+            }));
+        return { nodes: nodes, edges: edges };
     }
 
     /**
-     * Zoom out
+     * Download the map as Mermaid code: a mindmap of its branches, or a flowchart of every node and connection
      */
-    zoomOut() {
-        this.zoom = Math.max(0.1, this.zoom / 1.2);
-        this.updateTransform();
+    exportMermaid(diagram) {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet');
+            return;
+        }
+
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        let code;
+        let losses;
+        if (diagram === 'mindmap') {
+            code = MermaidFormat.stringifyMindmap(this.getTopicTrees(false), title);
+            losses = this.getExportLosses({});
+            if (Array.from(this.connections.values()).some(connection => connection.kind === 'tree' && connection.label)) {
+                losses.push('connection labels');
+            }
+        } else {
+            const graph = this.getDiagramGraph();
+            code = MermaidFormat.stringifyFlowchart(graph.nodes, graph.edges);
+            losses = this.getExportLosses({ crossLinks: true, colors: true });
+        }
+        this.downloadFile(code, this.getExportFileName('mmd'), 'text/vnd.mermaid');
+        this.showExportResult(diagram === 'mindmap' ? 'Mermaid mindmap' : 'Mermaid flowchart', losses);
     }
 
     /**
-     * Reset zoom
+     * Download the map as a Graphviz DOT graph
      */
-    resetZoom() {
-        this.zoom = 1;
-        this.pan = { x: 0, y: 0 };
-        this.updateTransform();
+    exportDot() {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet');
+            return;
+        }
+
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        const graph = this.getDiagramGraph();
+        const fontName = this.theme.fontFamily.split(',')[0].replace(/['"]/g, '').trim();
+        const code = DotFormat.stringify(graph.nodes, graph.edges, title, this.theme.background, fontName);
+        this.downloadFile(code, this.getExportFileName('dot'), 'text/vnd.graphviz');
+        this.showExportResult('Graphviz graph', this.getExportLosses({ crossLinks: true, colors: true }));
     }
 
     /**
-     * Update canvas transform
+     * Let the user pick a map file from disk
      */
-    updateTransform() {
-        const transform = `scale(${this.zoom}) translate(${this.pan.x}px, ${this.pan.y}px)`;
-        this.nodesLayer.style.transform = transform;
-        this.connectionsLayer.style.transform = transform;
+    showOpenFileDialog() {
+        const fileInput = document.getElementById('mapFileInput');
+        fileInput.value = '';
+        fileInput.click();
     }
 
     /**
-     * Show save modal
+     * Load a map from a File chosen in the picker or dropped on the canvas
      */
-    showSaveModal() {
-        document.getElementById('saveLoadTitle').textContent = 'Save MindMap';
-        document.getElementById('saveSection').style.display = 'block';
-        document.getElementById('loadSection').style.display = 'none';
-        document.getElementById('confirmSaveLoad').textContent = 'Save';
-        
-        const projectTitle = document.getElementById('projectTitle').value || 'Untitled MindMap';
-        document.getElementById('saveFileName').value = projectTitle;
-        
-        this.loadSavedFilesList('save');
-        document.getElementById('saveLoadModal').classList.add('show');
+    openMapFile(file) {
+        const read = this.getImportReader(file.name);
+        if (read) {
+            return this.openImportedFile(file, read);
+        }
+
+        return file.text()
+            .then(text => {
+                const mindmapData = this.parseMapFile(text);
+                if (!this.confirmDiscardChanges()) return;
+                this.applyMapData(mindmapData);
+                document.getElementById('projectTitle').value = mindmapData.title || file.name.replace(/\.mindmap\.json$|\.json$/i, '');
+                this.markSaved();
+                this.hideSaveLoadModal();
+                this.showMessage(`Opened ${file.name}`, 'success');
+            })
+            .catch(error => {
+                this.showMessage(`Could not open ${file.name}: ${error.message}`, 'error');
+            });
     }
 
     /**
-     * Show load modal
+     * Ask before replacing a map that has unsaved changes
      */
-    showLoadModal() {
-        document.getElementById('saveLoadTitle').textContent = 'Load MindMap';
-        document.getElementById('saveSection').style.display = 'none';
-        document.getElementById('loadSection').style.display = 'block';
-        document.getElementById('confirmSaveLoad').textContent = 'Load';
-        
-        this.loadSavedFilesList('load');
-        document.getElementById('saveLoadModal').classList.add('show');
+    confirmDiscardChanges() {
+        return !this.isDirty || confirm('The current mindmap has unsaved changes. Discard them?');
     }
 
     /**
-     * Hide save/load modal
+     * Flag the map as changed and schedule a recovery snapshot
      */
-    hideSaveLoadModal() {
-        document.getElementById('saveLoadModal').classList.remove('show');
+    markDirty() {
+        this.isDirty = true;
+        this.updateSaveStatus();
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.writeAutosave(), AUTOSAVE_DELAY);
     }
 
+    /**
+     * Flag the map as saved; the recovery snapshot is no longer needed
+     */
+    markSaved() {
+        this.isDirty = false;
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        localStorage.removeItem(AUTOSAVE_KEY);
+        this.updateSaveStatus();
+    }
 
     /**
-     * Handle save/load action
+     * Write the rolling recovery snapshot of the current map
      */
-    handleSaveLoad() {
-        const title = document.getElementById('saveLoadTitle').textContent;
-        if (title.includes('Save')) {
-            this.saveMindMap();
-        } else {
-            this.loadMindMap();
+    writeAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+        if (!this.isDirty) return;
+
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        try {
+            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(this.serializeMindMap(title)));
+        } catch (error) {
+            // Most likely the storage quota is exhausted
+            this.showMessage('Autosave failed: browser storage is full', 'error');
         }
     }
 
     /**
-     * Save mindmap to localStorage
+     * Offer to restore unsaved work left behind by a previous session
      */
-    saveMindMap() {
-        const fileName = document.getElementById('saveFileName').value.trim();
-        if (!fileName) {
-            alert('Please enter a file name');
-            return;
+    offerRecovery() {
+        const stored = localStorage.getItem(AUTOSAVE_KEY);
+        if (!stored) return false;
+
+        let mindmapData;
+        try {
+            mindmapData = this.parseMapFile(stored);
+        } catch (error) {
+            localStorage.removeItem(AUTOSAVE_KEY);
+            return false;
         }
 
-        const mindmapData = {
-            title: fileName,
-            nodes: Array.from(this.nodes.entries()),
-            connections: Array.from(this.connections.entries()),
-            nodeCounter: this.nodeCounter,
-            connectionCounter: this.connectionCounter,
-            savedAt: new Date().toISOString()
-        };
+        const savedAt = new Date(mindmapData.savedAt).toLocaleString();
+        if (!confirm(`Unsaved changes to "${mindmapData.title}" from ${savedAt} were found. Restore them?`)) {
+            localStorage.removeItem(AUTOSAVE_KEY);
+            return false;
+        }
 
-        const savedMaps = JSON.parse(localStorage.getItem('mindmaps') || '{}');
-        savedMaps[fileName] = mindmapData;
-        localStorage.setItem('mindmaps', JSON.stringify(savedMaps));
+        this.applyMapData(mindmapData);
+        document.getElementById('projectTitle').value = mindmapData.title;
+        // Still unsaved until the user saves it under a name
+        this.markDirty();
+        this.showMessage('Unsaved work restored', 'success');
+        return true;
+    }
 
-        document.getElementById('projectTitle').value = fileName;
-        this.hideSaveLoadModal();
-        
-        // Show success message
-        this.showMessage('MindMap saved successfully!', 'success');
+    /**
+     * Reflect the dirty/saved state in the header indicator
+     */
+    updateSaveStatus() {
+        const status = document.getElementById('saveStatus');
+        status.classList.toggle('dirty', this.isDirty);
+        status.querySelector('.save-status-text').textContent = this.isDirty ? 'Unsaved changes' : 'Saved';
+        status.title = this.isDirty
+            ? 'A recovery copy is kept in this browser until you save'
+            : 'All changes are saved';
     }
 
     /**
-     * Load mindmap from localStorage
+     * Warn before leaving the page with unsaved changes
      */
-    loadMindMap() {
-        const selectedFile = document.querySelector('.saved-file-item.selected');
-        if (!selectedFile) {
-            alert('Please select a file to load');
-            return;
-        }
+    handleBeforeUnload(e) {
+        if (!this.isDirty) return;
 
-        const fileName = selectedFile.querySelector('.file-name').textContent;
-        const savedMaps = JSON.parse(localStorage.getItem('mindmaps') || '{}');
-        const mindmapData = savedMaps[fileName];
+        // Make sure the very latest changes can be recovered
+        this.writeAutosave();
+        e.preventDefault();
+        e.returnValue = '';
+    }
 
-        if (!mindmapData) {
-            alert('File not found');
-            return;
-        }
+    /**
+     * Accept map files and images dropped onto the canvas
+     */
+    setupFileDrop() {
+        const container = this.canvas.parentElement;
 
-        // Clear current mindmap
-        this.clearAll();
+        container.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            container.classList.add('file-drop-active');
+        });
 
-        // Load data
-        this.nodes = new Map(mindmapData.nodes);
-        this.connections = new Map(mindmapData.connections);
-        this.nodeCounter = mindmapData.nodeCounter || 0;
-        this.connectionCounter = mindmapData.connectionCounter || 0;
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('file-drop-active');
+            }
+        });
 
-        // Render nodes and connections
-        this.nodes.forEach(node => this.renderNode(node));
-        this.connections.forEach(connection => this.renderConnection(connection));
+        container.addEventListener('drop', (e) => {
+            container.classList.remove('file-drop-active');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            e.preventDefault();
 
-        document.getElementById('projectTitle').value = mindmapData.title;
-        this.hideSaveLoadModal();
-        
-        // Show success message
-        this.showMessage('MindMap loaded successfully!', 'success');
+            // Images land on the node under the pointer, or become a node of their own
+            if (file.type.startsWith('image/')) {
+                const point = this.screenToMap(e.clientX, e.clientY);
+                this.addImageFromFile(file, this.findNodeAt(point), point);
+                return;
+            }
+            this.openMapFile(file);
+        });
     }
 
     /**
@@ -1182,9 +8802,271 @@ class MindMapCreator {
     }
 
     /**
-     * Show a temporary message
+     * Show image export modal
+     */
+    showExportModal(format) {
+        if (this.nodes.size === 0) {
+            this.showMessage('There is nothing to export yet', 'error');
+            return;
+        }
+
+        document.getElementById('exportFormat').value = format;
+        this.updateExportOptions();
+        document.getElementById('exportModal').classList.add('show');
+    }
+
+    /**
+     * Hide image export modal
+     */
+    hideExportModal() {
+        document.getElementById('exportModal').classList.remove('show');
+    }
+
+    /**
+     * Only show the scale option for raster exports
+     */
+    updateExportOptions() {
+        const format = document.getElementById('exportFormat').value;
+        document.getElementById('exportTitle').textContent = format === 'png' ? 'Export PNG' : 'Export SVG';
+        document.getElementById('exportScaleSection').style.display = format === 'png' ? 'block' : 'none';
+    }
+
+    /**
+     * Handle export action
+     */
+    handleExport() {
+        const format = document.getElementById('exportFormat').value;
+        const transparent = document.getElementById('exportTransparent').checked;
+
+        if (format === 'png') {
+            const scale = parseFloat(document.getElementById('exportScale').value) || 1;
+            this.exportPng(scale, transparent)
+                .then(() => this.showMessage('PNG exported successfully!', 'success'))
+                .catch(error => this.showMessage(`PNG export failed: ${error.message}`, 'error'));
+        } else {
+            this.exportSvg(transparent);
+            this.showMessage('SVG exported successfully!', 'success');
+        }
+
+        this.hideExportModal();
+    }
+
+    /**
+     * Download the map as a standalone SVG file
+     */
+    exportSvg(transparent = false) {
+        const { markup } = this.buildExportSvg(transparent);
+        this.downloadFile(markup, this.getExportFileName('svg'), 'image/svg+xml');
+    }
+
+    /**
+     * Rasterize the map and download it as a PNG file
+     */
+    exportPng(scale = 1, transparent = false) {
+        const { markup, width, height } = this.buildExportSvg(transparent);
+        const svgUrl = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(width * scale);
+                canvas.height = Math.ceil(height * scale);
+
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(svgUrl);
+
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        reject(new Error('The browser could not encode the image'));
+                        return;
+                    }
+                    this.downloadFile(blob, this.getExportFileName('png'), 'image/png');
+                    resolve();
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(svgUrl);
+                reject(new Error('The map could not be rendered as an image'));
+            };
+            image.src = svgUrl;
+        });
+    }
+
+    /**
+     * Serialize the connection and node layers into a self-contained SVG document
+     * whose viewBox is fitted to the map rather than the current zoom and pan
+     */
+    buildExportSvg(transparent = false) {
+        const bounds = this.getLayerBounds();
+        const x = bounds.x - EXPORT_PADDING;
+        const y = bounds.y - EXPORT_PADDING;
+        const width = Math.ceil(bounds.width + EXPORT_PADDING * 2);
+        const height = Math.ceil(bounds.height + EXPORT_PADDING * 2);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        // Connection labels are haloed in the background colour
+        svg.style.setProperty('--map-background', this.theme.background);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+        if (!transparent) {
+            const background = document.createElementNS(SVG_NS, 'rect');
+            background.setAttribute('x', x);
+            background.setAttribute('y', y);
+            background.setAttribute('width', width);
+            background.setAttribute('height', height);
+            background.setAttribute('fill', this.theme.background);
+            svg.appendChild(background);
+        }
+
+        const layers = [this.connectionsLayer, this.nodesLayer].map(layer => {
+            const clone = layer.cloneNode(true);
+            // The on-screen zoom/pan transform does not belong in the export
+            clone.removeAttribute('style');
+            clone.removeAttribute('id');
+            svg.appendChild(clone);
+            return { live: layer, clone: clone };
+        });
+
+        this.inlineExportStyles(svg, layers);
+
+        // Strip interaction state only after styles were matched element by element
+        svg.querySelectorAll('.temp-connection, .connection-hit, .image-resize-handle').forEach(element => element.remove());
+        // Collapsed branches stay hidden; only the hidden-count badges are kept
+        svg.querySelectorAll('.branch-hidden, .collapse-toggle:not(.collapsed)').forEach(element => element.remove());
+        svg.querySelectorAll('.selected').forEach(element => element.classList.remove('selected'));
+        svg.querySelectorAll('.search-match').forEach(element => element.classList.remove('search-match', 'search-current'));
+        // A tag filter that hides nodes leaves them out of the image as well
+        if (this.filteredNodes.size > 0) {
+            svg.querySelectorAll('.tag-excluded').forEach(element => element.remove());
+        }
+        svg.querySelectorAll('.tag-excluded').forEach(element => element.classList.remove('tag-excluded'));
+
+        // Tags, notes, links and attachment names travel along as tooltips of their node
+        svg.querySelectorAll('[data-node-id]').forEach(element => {
+            const node = this.nodes.get(element.getAttribute('data-node-id'));
+            if (!node || (!this.hasNodeDetails(node) && node.tags.length === 0)) return;
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${RichText.toPlainText(node.text)}\n\n${this.getNodeDetailsText(node)}`;
+            element.insertBefore(title, element.firstChild);
+        });
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+        return { markup: markup, width: width, height: height };
+    }
+
+    /**
+     * Get the bounding box of everything drawn on the map, in map coordinates
+     */
+    getLayerBounds() {
+        const boxes = [this.connectionsLayer, this.nodesLayer]
+            .map(layer => layer.getBBox())
+            .filter(box => box.width > 0 || box.height > 0);
+
+        if (boxes.length === 0) {
+            return { x: 0, y: 0, width: 0, height: 0 };
+        }
+
+        const minX = Math.min(...boxes.map(box => box.x));
+        const minY = Math.min(...boxes.map(box => box.y));
+        const maxX = Math.max(...boxes.map(box => box.x + box.width));
+        const maxY = Math.max(...boxes.map(box => box.y + box.height));
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Copy the rules from styles.css that apply to the exported elements
+     * into a <style> block so the SVG renders the same outside the app
+     */
+    inlineExportStyles(svg, layers) {
+        const rules = [];
+        let readable = false;
+
+        Array.from(document.styleSheets).forEach(sheet => {
+            if (!sheet.href || !sheet.href.endsWith('styles.css')) return;
+
+            let sheetRules;
+            try {
+                sheetRules = sheet.cssRules;
+                readable = true;
+            } catch (error) {
+                // Some browsers block rule access for pages opened from file://
+                return;
+            }
+
+            Array.from(sheetRules).forEach(rule => {
+                if (!rule.selectorText || rule.selectorText.includes(':hover')) return;
+                try {
+                    if (svg.querySelector(rule.selectorText)) {
+                        rules.push(rule.cssText);
+                    }
+                } catch (error) {
+                    // Selector not supported by querySelector, skip it
+                }
+            });
+        });
+
+        if (readable) {
+            const style = document.createElementNS(SVG_NS, 'style');
+            style.textContent = rules.join('\n');
+            svg.insertBefore(style, svg.firstChild);
+        } else {
+            this.inlineComputedStyles(layers);
+        }
+    }
+
+    /**
+     * Fallback for inaccessible stylesheets: copy the computed presentation
+     * properties of each live element onto its exported clone
+     */
+    inlineComputedStyles(layers) {
+        const properties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'opacity',
+            'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'];
+
+        layers.forEach(({ live, clone: cloneLayer }) => {
+            const clonedElements = cloneLayer.querySelectorAll('*');
+            live.querySelectorAll('*').forEach((element, index) => {
+                const clone = clonedElements[index];
+                const computed = window.getComputedStyle(element);
+                const declarations = properties
+                    .map(property => `${property}: ${computed.getPropertyValue(property)}`)
+                    .filter(declaration => !declaration.endsWith(': '));
+                clone.setAttribute('style', declarations.join('; '));
+            });
+        });
+    }
+
+    /**
+     * Build a download file name from the project title
+     */
+    getExportFileName(extension) {
+        const title = document.getElementById('projectTitle').value.trim() || 'Untitled MindMap';
+        return `${title.replace(/[\\/:*?"<>|]+/g, '_')}.${extension}`;
+    }
+
+    /**
+     * Trigger a browser download for the given content
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Show a temporary message; longer ones can stay up for longer
      */
-    showMessage(text, type = 'info') {
+    showMessage(text, type = 'info', duration = 3000) {
         const message = document.createElement('div');
         message.className = `message ${type}`;
         message.textContent = text;
@@ -1197,6 +9079,7 @@ class MindMapCreator {
             color: white;
             border-radius: 8px;
             box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+            max-width: 420px;
             z-index: 3000;
             animation: slideInRight 0.3s ease;
         `;
@@ -1206,7 +9089,7 @@ class MindMapCreator {
         setTimeout(() => {
             message.style.animation = 'slideOutRight 0.3s ease';
             setTimeout(() => message.remove(), 300);
-        }, 3000);
+        }, duration);
     }
 
     /**
@@ -1217,76 +9100,253 @@ class MindMapCreator {
     }
 
     /**
-     * Render wrapped text within a node
+     * Get the widest a line of text may be inside a node's shape
      */
-    renderWrappedText(textElement, text, size, textColor = '#FFFFFF', shape = 'circle') {
-        // Calculate font size based on size
-        const fontSize = Math.max(10, Math.min(16, size / 3));
-        textElement.style.fontSize = `${fontSize}px`;
-        textElement.setAttribute('fill', textColor);
-        
-        // Calculate maximum width for text based on shape
-        let maxWidth;
-        switch (shape) {
-            case 'rectangle':
-                maxWidth = (size * 1.6) * 0.9; // 90% of rectangle width
-                break;
-            case 'square':
-                maxWidth = size * 0.9; // 90% of square width
-                break;
-            default: // circle
-                // For circles, use inscribed square width to avoid corner spillage
-                maxWidth = size * 0.7; // 70% of diameter to fit in inscribed square
-                break;
+    getTextBoxWidth(size, shape) {
+        return size * (NODE_SHAPES[shape] || NODE_SHAPES.circle).textWidth;
+    }
+
+    /**
+     * Measure a piece of label text with the real font metrics of its style
+     */
+    measureTextWidth(text, run, fontSize, fontFamily) {
+        const font = `${run.italic ? 'italic ' : ''}${run.bold ? 700 : 500} ${fontSize}px ${run.code ? 'monospace' : fontFamily}`;
+        const key = `${font}|${text}`;
+        if (this.textWidthCache.has(key)) {
+            return this.textWidthCache.get(key);
         }
-        
-        const avgCharWidth = fontSize * 0.5; // More accurate character width
-        const maxCharsPerLine = Math.floor(maxWidth / avgCharWidth);
-        
-        // Split text into words
-        const words = text.split(' ');
+
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+
+        let width;
+        if (this.measureContext) {
+            this.measureContext.font = font;
+            width = this.measureContext.measureText(text).width;
+        } else {
+            // Without a canvas, estimate from the number of characters
+            width = Array.from(text).length * fontSize * 0.55;
+        }
+
+        if (this.textWidthCache.size > 5000) {
+            this.textWidthCache.clear();
+        }
+        this.textWidthCache.set(key, width);
+        return width;
+    }
+
+    /**
+     * Split text into user-perceived characters, so emoji and accents are never torn apart
+     */
+    splitGraphemes(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter().segment(text), segment => segment.segment);
+        }
+        return Array.from(text);
+    }
+
+    /**
+     * Wrap a node's label into lines no wider than maxWidth. Each line is a list
+     * of pieces, each a bit of text with the style of its run. Words wider than
+     * a whole line are broken, with a hyphen between letters of alphabetic scripts.
+     */
+    layoutText(node, text, maxWidth) {
+        const fontSize = node.fontSize || DEFAULT_FONT_SIZE;
+        const fontFamily = this.getNodeStyle(node).fontFamily;
+        const measure = pieces => pieces.reduce((sum, piece) => sum + this.measureTextWidth(piece.text, piece.run, fontSize, fontFamily), 0);
+
         const lines = [];
-        let currentLine = '';
-        
-        for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
-            
-            if (testLine.length <= maxCharsPerLine) {
-                currentLine = testLine;
-            } else {
-                if (currentLine) {
-                    lines.push(currentLine);
-                    currentLine = word;
+        const lineWidths = [];
+        let longestWord = 0;
+
+        // Explicit line breaks always start a new line; words wrap within each one
+        RichText.parse(text).forEach(runs => {
+            // A word can mix styles, as in **bold**ness, so it is a list of pieces too
+            const words = [];
+            let word = [];
+            runs.forEach(run => {
+                run.text.split(/(\s+)/).forEach(part => {
+                    if (!part) return;
+                    if (/^\s+$/.test(part)) {
+                        if (word.length) words.push(word);
+                        word = [];
+                    } else {
+                        word.push({ text: part, run: run });
+                    }
+                });
+            });
+            if (word.length) words.push(word);
+
+            let line = [];
+            let lineWidth = 0;
+            words.forEach(pieces => {
+                const wordWidth = measure(pieces);
+                longestWord = Math.max(longestWord, wordWidth);
+
+                if (wordWidth > maxWidth) {
+                    if (line.length) {
+                        lines.push(line);
+                        lineWidths.push(lineWidth);
+                    }
+                    const chunks = this.breakWord(pieces, maxWidth, measure);
+                    chunks.slice(0, -1).forEach(chunk => {
+                        lines.push(chunk);
+                        lineWidths.push(measure(chunk));
+                    });
+                    line = chunks[chunks.length - 1];
+                    lineWidth = measure(line);
+                    return;
+                }
+
+                if (line.length === 0) {
+                    line = pieces.slice();
+                    lineWidth = wordWidth;
+                    return;
+                }
+
+                const previous = line[line.length - 1].run;
+                const next = pieces[0].run;
+                // The space is only part of a link or style when the words on both sides are
+                const spaceRun = previous.href && previous.href === next.href
+                    ? previous
+                    : { bold: previous.bold && next.bold, italic: previous.italic && next.italic };
+                const space = { text: ' ', run: spaceRun };
+                const spaceWidth = measure([space]);
+
+                if (lineWidth + spaceWidth + wordWidth <= maxWidth) {
+                    line.push(space, ...pieces);
+                    lineWidth += spaceWidth + wordWidth;
                 } else {
-                    // Single word is too long, just add it as is - no truncation
-                    lines.push(word);
-                    currentLine = '';
+                    lines.push(line);
+                    lineWidths.push(lineWidth);
+                    line = pieces.slice();
+                    lineWidth = wordWidth;
+                }
+            });
+
+            // An empty paragraph still takes up a line of its own
+            lines.push(line);
+            lineWidths.push(lineWidth);
+        });
+
+        const lineHeight = fontSize * LINE_HEIGHT;
+        return {
+            lines: lines,
+            lineWidths: lineWidths,
+            lineHeight: lineHeight,
+            width: Math.max(0, ...lineWidths),
+            height: lines.length * lineHeight,
+            longestWord: longestWord
+        };
+    }
+
+    /**
+     * Break a word that is wider than a line into line-sized chunks
+     */
+    breakWord(pieces, maxWidth, measure) {
+        const letter = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+        const graphemes = [];
+        pieces.forEach(piece => {
+            this.splitGraphemes(piece.text).forEach(grapheme => graphemes.push({ text: grapheme, run: piece.run }));
+        });
+
+        const chunks = [];
+        let chunk = [];
+        graphemes.forEach(grapheme => {
+            if (chunk.length === 0 || measure([...chunk, grapheme]) <= maxWidth) {
+                chunk.push(grapheme);
+                return;
+            }
+
+            // Hyphenate between two letters, making room for the hyphen if needed
+            const last = chunk[chunk.length - 1];
+            if (letter.test(last.text) && letter.test(grapheme.text)) {
+                const carried = [];
+                while (chunk.length > 1 && measure([...chunk, { text: '-', run: last.run }]) > maxWidth) {
+                    carried.unshift(chunk.pop());
                 }
+                chunk.push({ text: '-', run: chunk[chunk.length - 1].run });
+                chunks.push(chunk);
+                chunk = [...carried, grapheme];
+            } else {
+                chunks.push(chunk);
+                chunk = [grapheme];
             }
-        }
-        
-        if (currentLine) {
-            lines.push(currentLine);
-        }
+        });
+        chunks.push(chunk);
+        return chunks;
+    }
+
+    /**
+     * Render wrapped text within a node
+     */
+    renderWrappedText(textElement, node) {
+        const fontSize = node.fontSize || DEFAULT_FONT_SIZE;
+        const style = this.getNodeStyle(node);
+        textElement.style.fontSize = `${fontSize}px`;
+        textElement.style.fontFamily = style.fontFamily;
+        textElement.setAttribute('fill', style.textColor);
         
-        // Use all lines - no truncation based on height
-        const displayLines = lines;
+        // Calculate maximum width for text based on shape
+        const maxWidth = this.getTextBoxWidth(node.size || node.radius || 40, node.shape);
+        const { lines, lineHeight } = this.layoutText(node, node.text, maxWidth);
         
-        // Create tspan elements for each line
-        const lineHeight = fontSize + 2;
-        const totalHeight = displayLines.length * lineHeight;
-        const startY = -(totalHeight / 2) + (lineHeight / 2);
+        // Create tspan elements for each line, centred on the node below any image
+        const totalHeight = lines.length * lineHeight;
+        const imageOffset = node.image ? (node.image.height + IMAGE_TEXT_GAP) / 2 : 0;
+        const startY = -(totalHeight / 2) + (lineHeight / 2) + imageOffset;
         
-        displayLines.forEach((line, index) => {
-            const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-            tspan.textContent = line;
+        lines.forEach((line, index) => {
+            const tspan = document.createElementNS(SVG_NS, 'tspan');
             tspan.setAttribute('x', '0');
             tspan.setAttribute('y', startY + (index * lineHeight));
             tspan.setAttribute('text-anchor', 'middle');
             tspan.setAttribute('dominant-baseline', 'central');
             tspan.setAttribute('fill', textColor);
+            this.appendStyledPieces(tspan, line);
             textElement.appendChild(tspan);
         });
+        return totalHeight;
+    }
+
+    /**
+     * Add the pieces of a wrapped line to its tspan, merging neighbours with the
+     * same style. Styles are set as attributes so they survive SVG and PNG export.
+     */
+    appendStyledPieces(lineElement, pieces) {
+        const styleKey = run => `${!!run.bold}|${!!run.italic}|${!!run.code}|${run.href || ''}`;
+        const segments = [];
+        pieces.forEach(piece => {
+            const last = segments[segments.length - 1];
+            if (last && styleKey(last.run) === styleKey(piece.run)) {
+                last.text += piece.text;
+            } else {
+                segments.push({ text: piece.text, run: piece.run });
+            }
+        });
+
+        segments.forEach(({ text, run }) => {
+            if (!run.bold && !run.italic && !run.code && !run.href) {
+                lineElement.appendChild(document.createTextNode(text));
+                return;
+            }
+
+            const span = document.createElementNS(SVG_NS, 'tspan');
+            span.textContent = text;
+            if (run.bold) span.setAttribute('font-weight', 'bold');
+            if (run.italic) span.setAttribute('font-style', 'italic');
+            if (run.code) {
+                span.classList.add('node-code');
+                span.setAttribute('font-family', 'monospace');
+            }
+            if (run.href) {
+                span.classList.add('node-link');
+                span.setAttribute('data-href', run.href);
+                span.setAttribute('text-decoration', 'underline');
+            }
+            lineElement.appendChild(span);
+        });
     }
 
     /**
@@ -1372,6 +9432,7 @@ class LandingPageController {
         // Initialize mindmap if not already done
         if (!window.mindmap) {
             window.mindmap = new MindMapCreator();
+            window.mindmap.offerRecovery();
         }
     }
 